@@ -1,4 +1,47 @@
-import React, { useEffect, useMemo, useRef, useState } from "react";
+import React, { useEffect, useMemo, useRef, useState, useSyncExternalStore } from "react";
+import { reviewItem, countDue } from "./lib/scheduler.js";
+import { appendAttempt } from "./lib/history.js";
+import { generateAnswers, fillSamples } from "./lib/answerGenerator.js";
+import StatsView from "./components/StatsView.jsx";
+import SessionSummary from "./components/SessionSummary.jsx";
+import ImportDialog from "./components/ImportDialog.jsx";
+import { FORMATS, serializeItems, exportFileInfo } from "./lib/deckFormat.js";
+import BackupDialog from "./components/BackupDialog.jsx";
+import { loadState, loadProfile, deleteProfileData, setValue, addSnapshot, listSnapshots, addRecording, SNAPSHOT_INTERVAL_MS } from "./lib/storage.js";
+import { isRecordingSupported, startClip, playBlob } from "./lib/recorder.js";
+import RecordingsView from "./components/RecordingsView.jsx";
+import FeedbackPanel from "./components/FeedbackPanel.jsx";
+import ShortcutsOverlay from "./components/ShortcutsOverlay.jsx";
+import { actionForKey, editActionForKey, isTypingTarget } from "./lib/commands.js";
+import { createVad } from "./lib/vad.js";
+import { LANGUAGES, DEFAULT_LANG, getLanguagePack, itemLang, pickVoices, parseYesNo } from "./lib/languages.js";
+import { BACKENDS, DEFAULT_RECOGNITION_SETTINGS, resolveBackend, settingsFromUrl } from "./lib/recognition/index.js";
+import { I18nContext, UI_LOCALES, createTranslator, detectUiLocale, useI18n } from "./lib/i18n.js";
+import { createTrainer, currentItem, topicPool, topicOf, TARGET_MODES } from "./lib/trainer.js";
+import { speak, cancelSpeech, createBrowserTts } from "./lib/tts.js";
+import { EMPTY_FILTER, DIFFICULTIES, decksFromItems, allItems, maxItemId, itemIdsOutside, addDeck, duplicateDeck, renameDeck, removeDeck, updateDeckItems, updateItems, removeItems, collectTags, filterItems, parseDifficulty } from "./lib/decks.js";
+import DeckBar from "./components/DeckBar.jsx";
+import ItemFilters from "./components/ItemFilters.jsx";
+import TagsInput from "./components/TagsInput.jsx";
+import AnswerFields from "./components/AnswerFields.jsx";
+import { QUESTION_TYPES, itemType, isPolar, answerText, targetLabel } from "./lib/questionTypes.js";
+import { useOnline, useServiceWorkerStatus, usableVoice } from "./lib/offline.js";
+import OfflineStatus from "./components/OfflineStatus.jsx";
+import ShareDialog from "./components/ShareDialog.jsx";
+import { decodeShare, shareDataFromHash } from "./lib/deckShare.js";
+import { defaultProfiles, profileKey, profileSettings, addProfile, renameProfile, removeProfile } from "./lib/profiles.js";
+import ProfileBar from "./components/ProfileBar.jsx";
+import TeacherReport from "./components/TeacherReport.jsx";
+import { EMPTY_UNDO, recordChange, undo, redo } from "./lib/undo.js";
+import { findDuplicates, mergeDuplicates } from "./lib/deckMerge.js";
+import SelectionBar from "./components/SelectionBar.jsx";
+import DuplicatesPanel from "./components/DuplicatesPanel.jsx";
+import { createDiagnostics, mediaErrorCode } from "./lib/diagnostics.js";
+import DiagnosticsPanel from "./components/DiagnosticsPanel.jsx";
+import MicCheck from "./components/MicCheck.jsx";
+import { createShadowing, sampleSentences, DEFAULT_SHADOWING_SETTINGS } from "./lib/shadowing.js";
+import ShadowingPanel from "./components/ShadowingPanel.jsx";
+import DictationPanel from "./components/DictationPanel.jsx";
 
 // ====== Utilities ======
 const defaultItems = [
@@ -9,35 +52,7 @@ const defaultItems = [
   { id: 5, topic: "Abilities", question: "Can you swim?", yesSample: "Yes, I can.", noSample: "No, I can't." },
 ];
 
-function loadFromLocalStorage() {
-  try {
-    const raw = localStorage.getItem("yn_trainer_items_v1");
-    if (!raw) return defaultItems;
-    const parsed = JSON.parse(raw);
-    if (!Array.isArray(parsed) || parsed.length === 0) return defaultItems;
-    return parsed;
-  } catch (e) {
-    return defaultItems;
-  }
-}
-function saveToLocalStorage(items) {
-  try { localStorage.setItem("yn_trainer_items_v1", JSON.stringify(items)); } catch {}
-}
-
-function speak(text, voice, rate = 1, pitch = 1, onend) {
-  try {
-    const utter = new SpeechSynthesisUtterance(text);
-    if (voice) utter.voice = voice;
-    utter.rate = rate; utter.pitch = pitch;
-    if (onend) {
-      utter.onend = () => { try { onend(); } catch {} };
-      utter.onerror = () => { try { onend(); } catch {} };
-    }
-    speechSynthesis.cancel();
-    speechSynthesis.speak(utter);
-    return utter;
-  } catch (e) { console.warn(e); }
-}
+const ITEMS_PAGE = 50; // スクリプト一覧に一度に表示する件数
 
 function useVoices() {
   const [voices, setVoices] = useState([]);
@@ -49,145 +64,366 @@ function useVoices() {
   }, []);
   return voices;
 }
-function pickEnglishVoices(voices) {
-  return voices.filter(v => /en[-_]/i.test(v.lang) || /English/i.test(v.name));
-}
 
-// Map ASR transcript to yes/no
-function parseYesNo(transcript) {
-  if (!transcript) return null;
-  const t = transcript.toLowerCase().trim();
-  const yesWords = [
-    "yes","yeah","yep","yup","sure","of course","i do","i did","i am","i will","i can","it is"
-  ];
-  const noWords  = [
-    "no","nope","nah","not","i don't","i did not","i didn't","i am not","i won't","i will not","i can't","cannot","it isn't","it is not"
-  ];
-  if (yesWords.some(w => t.startsWith(w) || t.includes(` ${w} `) || t === w)) return "yes";
-  if (noWords.some(w  => t.startsWith(w) || t.includes(` ${w} `) || t === w)) return "no";
-  return null;
+// 言語ごとに選んだ声（未選択ならその言語の最初の声）。オフラインなら端末内の声を優先
+function voiceFor(voices, voiceNames, lang, online = true) {
+  const list = pickVoices(voices, lang);
+  return usableVoice(list.find(v => v.name === voiceNames[lang]) || list[0] || null, list, online);
 }
 
 // ====== Main Component ======
 export default function YesNoSpeakingTrainer() {
   // --- Core states ---
-  const [items, setItems] = useState(loadFromLocalStorage());
-  const [currentIndex, setCurrentIndex] = useState(0);
-  const [listening, setListening] = useState(false);
-  const [recognized, setRecognized] = useState(""); // latest chunk
+  const [decks, setDecks] = useState(() => decksFromItems(defaultItems));
+  const [activeDeckId, setActiveDeckId] = useState(1);
+  const activeDeck = decks.find(d => d.id === activeDeckId) || decks[0];
+  const items = activeDeck.items; // 練習・編集の対象は選択中のデッキ
+  const [undoHistory, setUndoHistory] = useState(EMPTY_UNDO); // スクリプト一覧の編集の 元に戻す / やり直す
+  // 編集による decks の変更はここを通して元に戻せるようにする（label は editor.undoLabels.<label>）
+  const changeDecks = (update, label, key = null) => {
+    setUndoHistory(prev => recordChange(prev, decks, { label, key }));
+    setDecks(update);
+  };
+  const setItems = (update, label = 'edit', key = null) => changeDecks(prev => updateDeckItems(prev, activeDeck.id, update), label, key);
+  const libraryItems = useMemo(() => allItems(decks), [decks]); // 学習記録・録音の表示用（全デッキ）
   const [random, setRandom] = useState(true);
   const [useTTS, setUseTTS] = useState(true);
   const [rate, setRate] = useState(1);
   const [pitch, setPitch] = useState(1);
-  const [targetLang, setTargetLang] = useState("en-US");
+  const [defaultLang, setDefaultLang] = useState(DEFAULT_LANG); // 言語未指定の項目に使う
+  const [uiLocale, setUiLocale] = useState(() => detectUiLocale()); // 画面の表示言語（練習する言語とは別）
+  const t = useMemo(() => createTranslator(uiLocale), [uiLocale]);
+  useEffect(() => { document.documentElement.lang = uiLocale; }, [uiLocale]);
 
-  // 両方の回答を要求
-  const [needed, setNeeded] = useState({ yes: true, no: true });
+  const [feedback, setFeedback] = useState(null); // 直前の reveal の採点結果 { item, question, grades, clip }
+  const clipRef = useRef(null); // 録音中のクリップ（startClip の戻り値）
+  const clipPromiseRef = useRef(null); // 直前の reveal で取り出した録音
+  const [recordAnswers, setRecordAnswers] = useState(isRecordingSupported());
+  const [replayInReveal, setReplayInReveal] = useState(false); // reveal で 自分の録音 → お手本 の順に再生
+  const [recordingsVersion, setRecordingsVersion] = useState(0); // 録音一覧の再読み込み用
   const [practiceSec, setPracticeSec] = useState(8); // 一問あたりの練習時間（秒）
-  const [phase, setPhase] = useState('idle'); // 'idle' | 'practice' | 'reveal'
+  const [targetMode, setTargetMode] = useState('both'); // yes/no の問題で言う答えの指定（TARGET_MODES）
+  const [speakTarget, setSpeakTarget] = useState(true); // 指定した答えを読み上げる
 
   // Device & permission states — 定義は最初に
   const [devices, setDevices] = useState([]); // audioinput devices
   const [selectedMicId, setSelectedMicId] = useState("");
   const [permission, setPermission] = useState(null); // null | 'granted' | 'denied' | 'prompt'
+  const [streamLabel, setStreamLabel] = useState(null); // 使用中のマイク（診断の表示用）
+  const [showMicCheck, setShowMicCheck] = useState(false);
+  const [diagnostics] = useState(() => createDiagnostics()); // 認識・マイクの記録（診断パネル）
+  const diagnosticEntries = useSyncExternalStore(diagnostics.subscribe, diagnostics.getState, diagnostics.getState);
   const [audioLevel, setAudioLevel] = useState(0); // 0..1
   const mediaStreamRef = useRef(null);
   const audioCtxRef = useRef(null);
   const analyserRef = useRef(null);
   const rafRef = useRef(null);
-  const autoAdvanceRef = useRef(false); // 次問題への自動開始フラグ
+  const [showShortcuts, setShowShortcuts] = useState(false);
+  const actionsRef = useRef({}); // キーボード・音声コマンドから呼ぶ操作（毎レンダ更新）
+  const [lastCommand, setLastCommand] = useState(null); // 直近の音声コマンド（表示用）
+
+  // Voice activity detection（入力レベルから発話の開始・終了を判定）
+  const vadRef = useRef(createVad());
+  const vadTickRef = useRef(null); // rAF ループから毎フレーム呼ぶ（最新のクロージャを入れる）
+  const [speaking, setSpeaking] = useState(false);
+  const [vadThreshold, setVadThreshold] = useState(0);
+  const [autoEndOnSilence, setAutoEndOnSilence] = useState(true); // 話し終わって無音が続いたら早めに答え合わせ
+  const [silenceSec, setSilenceSec] = useState(2);
+
+  // Speech Synthesis voices
+  const voices = useVoices();
+  const [voiceNames, setVoiceNames] = useState({}); // 言語ごとに選んだ声 { en: name, ja: name, ... }
+  const online = useOnline();
+  const swStatus = useServiceWorkerStatus();
+  const voicesRef = useRef({ voices, voiceNames, online }); // trainer の読み上げから最新の選択を読む
+  useEffect(() => { voicesRef.current = { voices, voiceNames, online }; }, [voices, voiceNames, online]);
+  const hooksRef = useRef({}); // trainer のフックから呼ぶ処理（毎レンダ更新）
+
+  // Practice engine（出題・認識・採点・セッションの進行）
+  const [trainer] = useState(() => createTrainer({
+    tts: createBrowserTts(lang => voiceFor(voicesRef.current.voices, voicesRef.current.voiceNames, lang, voicesRef.current.online)),
+    beforeAnswer: (attempt) => hooksRef.current.beforeAnswer?.(attempt),
+  }));
+  const trainerState = useSyncExternalStore(trainer.subscribe, trainer.getState, trainer.getState);
+  const { phase, paused, session, target, topic: selectedTopic } = trainerState;
+  useEffect(() => { trainer.setItems(items); }, [trainer, items]);
+  useEffect(() => {
+    trainer.configure({ practiceSec, useTTS, random, rate, pitch, autoEndOnSilence, silenceSec, defaultLang, targetMode, speakTarget });
+  }, [trainer, practiceSec, useTTS, random, rate, pitch, autoEndOnSilence, silenceSec, defaultLang, targetMode, speakTarget]);
+  useEffect(() => () => trainer.dispose(), [trainer]);
+
+  // 練習の種類: 'answer'（質問に答える） | 'shadowing' | 'dictation'。後の 2 つはお手本の文を使う
+  const [practiceMode, setPracticeMode] = useState('answer');
+  const [shadowingSettings, setShadowingSettings] = useState({ repeats: DEFAULT_SHADOWING_SETTINGS.repeats, slower: DEFAULT_SHADOWING_SETTINGS.slower });
+  const [shadowing] = useState(() => createShadowing({
+    tts: createBrowserTts(lang => voiceFor(voicesRef.current.voices, voicesRef.current.voiceNames, lang, voicesRef.current.online)),
+  }));
+  const shadowingState = useSyncExternalStore(shadowing.subscribe, shadowing.getState, shadowing.getState);
+  const practiceSentences = useMemo(() => sampleSentences(topicPool(items, selectedTopic), defaultLang), [items, selectedTopic, defaultLang]);
+  useEffect(() => { shadowing.setSentences(practiceSentences); }, [shadowing, practiceSentences]);
+  useEffect(() => {
+    shadowing.configure({ rate, pitch, ...shadowingSettings });
+  }, [shadowing, rate, pitch, shadowingSettings]);
+  useEffect(() => () => shadowing.dispose(), [shadowing]);
 
   // Topic filtering & 10-question session
-  const topics = useMemo(() => Array.from(new Set(items.map(it => it.topic || "Untitled"))), [items]);
-  const [selectedTopic, setSelectedTopic] = useState("All");
-  const [sessionSet, setSessionSet] = useState(null); // null | number[] (ids)
-  const [sessionCursor, setSessionCursor] = useState(0); // 0..len-1
-  const viewItems = useMemo(() => {
-    const pool = (selectedTopic === "All") ? items : items.filter(it => (it.topic || "Untitled") === selectedTopic);
-    return sessionSet ? pool.filter(it => sessionSet.includes(it.id)) : pool;
-  }, [items, selectedTopic, sessionSet]);
-
-  // セッション中は ID 基準で現在を特定
-  const current = useMemo(() => {
-    if (sessionSet && sessionSet.length) {
-      const id = sessionSet[sessionCursor] ?? sessionSet[0];
-      return items.find(it => it.id === id) || viewItems[0] || items[0];
-    }
-    return viewItems[currentIndex] || viewItems[0] || items[0];
-  }, [items, viewItems, sessionSet, sessionCursor, currentIndex]);
+  const topics = useMemo(() => Array.from(new Set(items.map(topicOf))), [items]);
+  const [summarySessionId, setSummarySessionId] = useState(null); // 終了画面に表示するセッション
+  const [rightView, setRightView] = useState('editor'); // 'editor' | 'stats' | 'recordings'
+  const [importDraft, setImportDraft] = useState(null); // { text, fileName } 取り込み前のプレビュー
+  const [exportFormat, setExportFormat] = useState('json');
+  const [showBackups, setShowBackups] = useState(false);
+  const [showShare, setShowShare] = useState(false);
+  const [itemFilter, setItemFilter] = useState(EMPTY_FILTER);
+  const [shownLimit, setShownLimit] = useState(ITEMS_PAGE);
+  const itemTags = useMemo(() => collectTags(items), [items]);
+  const filteredItems = useMemo(() => filterItems(items, itemFilter).reverse(), [items, itemFilter]);
+  const reservedIds = useMemo(() => itemIdsOutside(decks, activeDeck.id), [decks, activeDeck.id]);
+  const [selectedIds, setSelectedIds] = useState([]); // 一括操作で選んだ問題
+  const selection = useMemo(() => items.filter(it => selectedIds.includes(it.id)).map(it => it.id), [items, selectedIds]);
+  const [showDuplicates, setShowDuplicates] = useState(false);
+  const [ignoredDuplicates, setIgnoredDuplicates] = useState([]); // 「重複ではない」とした組（ids を , でつないだもの）
+  const duplicateGroups = useMemo(
+    () => (showDuplicates ? findDuplicates(items).filter(g => !ignoredDuplicates.includes(g.ids.join(','))) : []),
+    [showDuplicates, items, ignoredDuplicates]
+  );
+
+  const current = useMemo(() => currentItem(items, trainerState), [items, trainerState]);
+  // 現在の問題の言語
+  const currentLang = itemLang(current, defaultLang);
+  const langPack = getLanguagePack(currentLang);
+
+  const langVoices = useMemo(() => pickVoices(voices, currentLang), [voices, currentLang]);
+  const voiceName = voiceNames[currentLang] || langVoices[0]?.name || "";
+  const setVoiceName = (name) => setVoiceNames(prev => ({ ...prev, [currentLang]: name }));
+  const selectedVoice = useMemo(() => usableVoice(langVoices.find(v => v.name === voiceName), langVoices, online), [langVoices, voiceName, online]);
+
+  // Spaced repetition schedule (id -> { due, interval, ease, ... })
+  const [schedule, setSchedule] = useState({});
+  const dueCount = useMemo(
+    () => countDue(topicPool(items, selectedTopic).map(it => it.id), schedule),
+    [items, selectedTopic, schedule]
+  );
+
+  // Attempt history
+  const [history, setHistory] = useState([]);
+
+  // Learner profiles（記録と声・速度・ピッチ・練習時間は学習者ごと。問題は全員で共有）
+  const [profiles, setProfiles] = useState(defaultProfiles);
+  const [profileId, setProfileId] = useState(1);
+  const activeProfile = profiles.find(p => p.id === profileId) || profiles[0];
+  const [loadedProfileId, setLoadedProfileId] = useState(null); // 記録・設定を読み込み済みの学習者（それまで保存しない）
+  const [showReport, setShowReport] = useState(false);
 
-  // Persist items
-  useEffect(() => { saveToLocalStorage(items); }, [items]);
+  // 認識の設定（保存・読み込みの effect より前に宣言する）
+  const [recSettings, setRecSettings] = useState(() => ({ ...DEFAULT_RECOGNITION_SETTINGS, ...settingsFromUrl() }));
+  const recBackend = useMemo(() => resolveBackend(recSettings.backend), [recSettings.backend]);
+
+  // === Storage (IndexedDB) ===
+  // 読み込みが終わるまでは保存しない（初期データで上書きしないため）
+  const [storageReady, setStorageReady] = useState(false);
+  const [storageWarnings, setStorageWarnings] = useState([]);
+  const [saveError, setSaveError] = useState(null); // { key, error } 直近の保存失敗
+  const lastSnapshotRef = useRef(0);
+  useEffect(() => {
+    let cancelled = false;
+    loadState().then(async state => {
+      if (cancelled) return;
+      if (state.decks) setDecks(state.decks);
+      if (state.settings?.activeDeckId) setActiveDeckId(state.settings.activeDeckId);
+      if (state.profiles) setProfiles(state.profiles);
+      if (state.settings?.activeProfileId) setProfileId(state.settings.activeProfileId);
+      if (state.settings?.recognition) setRecSettings(prev => ({ ...prev, ...state.settings.recognition, ...settingsFromUrl() }));
+      if (state.settings?.defaultLang) setDefaultLang(state.settings.defaultLang);
+      if (state.settings?.uiLocale) setUiLocale(state.settings.uiLocale);
+      setStorageWarnings(state.warnings);
+      lastSnapshotRef.current = (await listSnapshots().catch(() => []))[0]?.ts || 0;
+      setStorageReady(true);
+    }).catch(e => {
+      console.warn('storage load failed', e);
+      if (!cancelled) setSaveError({ key: 'load', error: e });
+    });
+    return () => { cancelled = true; };
+  }, []);
+  // 学習者を切り替えるたびにその人の記録・設定を読み直す
+  useEffect(() => {
+    if (!storageReady) return;
+    let cancelled = false;
+    const id = activeProfile.id;
+    setLoadedProfileId(null);
+    loadProfile(id).then(data => {
+      if (cancelled) return;
+      const settings = profileSettings(data.settings);
+      setSchedule(data.schedule || {});
+      setHistory(data.history || []);
+      setVoiceNames(settings.voiceNames);
+      setRate(settings.rate);
+      setPitch(settings.pitch);
+      setPracticeSec(settings.practiceSec);
+      setTargetMode(settings.targetMode);
+      setSpeakTarget(settings.speakTarget);
+      if (data.warnings.length) setStorageWarnings(prev => [...prev, ...data.warnings]);
+      setLoadedProfileId(id);
+    }).catch(e => {
+      console.warn('profile load failed', e);
+      if (!cancelled) setSaveError({ key: 'load', error: e });
+    });
+    return () => { cancelled = true; };
+  }, [storageReady, activeProfile.id]);
+
+  function persist(key, value) {
+    setValue(key, value)
+      .then(() => setSaveError(prev => (prev?.key === key ? null : prev)))
+      .catch(e => {
+        console.warn('save failed', key, e);
+        setSaveError({ key, error: e });
+      });
+  }
+  useEffect(() => {
+    if (!storageReady) return;
+    persist('decks', decks);
+    // 一定間隔ごとに自動バックアップ
+    if (Date.now() - lastSnapshotRef.current > SNAPSHOT_INTERVAL_MS) {
+      lastSnapshotRef.current = Date.now();
+      addSnapshot(decks, 'auto').catch(e => console.warn('snapshot failed', e));
+    }
+  }, [decks, storageReady]);
+  useEffect(() => { if (storageReady) persist('profiles', profiles); }, [profiles, storageReady]);
+  useEffect(() => { if (loadedProfileId) persist(profileKey('schedule', loadedProfileId), schedule); }, [schedule, loadedProfileId]);
+  useEffect(() => { if (loadedProfileId) persist(profileKey('history', loadedProfileId), history); }, [history, loadedProfileId]);
+  useEffect(() => {
+    if (loadedProfileId) persist(profileKey('profileSettings', loadedProfileId), { voiceNames, rate, pitch, practiceSec, targetMode, speakTarget });
+  }, [voiceNames, rate, pitch, practiceSec, targetMode, speakTarget, loadedProfileId]);
+  useEffect(() => {
+    if (storageReady) persist('settings', { recognition: recSettings, defaultLang, uiLocale, activeDeckId: activeDeck.id, activeProfileId: activeProfile.id });
+  }, [recSettings, defaultLang, uiLocale, activeDeck.id, activeProfile.id, storageReady]);
+  // 共有リンク（#deck=…）で開かれたら取り込みのプレビューを出す（読み込みが終わってから）
+  useEffect(() => {
+    if (!storageReady) return;
+    async function openShared() {
+      const data = shareDataFromHash();
+      if (!data) return;
+      window.history.replaceState(null, '', location.pathname + location.search); // 再読み込みで二重に取り込まない
+      try {
+        const shared = await decodeShare(data);
+        setImportDraft({ text: serializeItems(shared.items, 'json'), fileName: shared.name || t('share.opened') });
+      } catch (e) {
+        alert(t(`share.errors.${e.code || 'format'}`));
+      }
+    }
+    openShared();
+    window.addEventListener('hashchange', openShared);
+    return () => window.removeEventListener('hashchange', openShared);
+  }, [storageReady, t]);
+  const summaryAttempts = useMemo(
+    () => summarySessionId ? history.filter(a => a.sessionId === summarySessionId) : [],
+    [history, summarySessionId]
+  );
   // Re-acquire stream when mic changes
   useEffect(() => { if (selectedMicId) { ensureStream().catch(()=>{}); } }, [selectedMicId]);
 
-  // Speech Synthesis voices
-  const voices = useVoices();
-  const engVoices = useMemo(() => pickEnglishVoices(voices), [voices]);
-  const [voiceName, setVoiceName] = useState("");
-  useEffect(() => { if (engVoices.length && !voiceName) setVoiceName(engVoices[0].name); }, [engVoices, voiceName]);
-  const selectedVoice = useMemo(() => engVoices.find(v => v.name === voiceName), [engVoices, voiceName]);
+  // Speech Recognition setup（backend は設定で切り替え）
+  const [recError, setRecError] = useState(null); // { code, message }
 
-  // Speech Recognition setup
-  const recRef = useRef(null);
-  const recAvailable = typeof window !== "undefined" && ("webkitSpeechRecognition" in window || "SpeechRecognition" in window);
-  const practiceTimerRef = useRef(null);
+  // 練習・シャドーイング・マイクチェックで同じ作り方をする。
+  // 設定は認識を始めるたびに読む（エンドポイントなどの入力のたびに認識をやり直さない）
+  const recSettingsRef = useRef(recSettings);
+  useEffect(() => { recSettingsRef.current = recSettings; }, [recSettings]);
+  const createRecognizer = useMemo(() => options => recBackend.create({
+    ...options,
+    getSettings: () => recSettingsRef.current,
+    getStream: () => mediaStreamRef.current,
+  }), [recBackend]);
+  useEffect(() => {
+    trainer.setRecognizerFactory(createRecognizer);
+    shadowing.setRecognizerFactory(createRecognizer);
+  }, [trainer, shadowing, createRecognizer]);
+  useEffect(() => shadowing.on('error', (err) => {
+    setRecError(err);
+    diagnostics.log('error', { code: err.code, detail: err.message });
+  }), [shadowing, diagnostics]);
 
+  // trainer のイベント（毎レンダ登録し直して最新の state を使う）
   useEffect(() => {
-    if (!recAvailable) return;
-    const SR = window.SpeechRecognition || window.webkitSpeechRecognition;
-    const rec = new SR();
-    rec.lang = targetLang;
-    rec.interimResults = true;
-    rec.continuous = false;
-
-    rec.onresult = (e) => {
-      let txt = "";
-      for (let i = e.resultIndex; i < e.results.length; i++) {
-        txt += e.results[i][0].transcript;
-      }
-      setRecognized(txt);
-
-      if (e.results[e.results.length - 1].isFinal) {
-        const yn = parseYesNo(txt);
-        if (yn === 'yes' || yn === 'no') {
-          setNeeded(prev => {
-            const next = { ...prev, [yn]: false };
-            if (!next.yes && !next.no) {
-              fastReveal(); // 両方言えたら即リビール
-            }
-            return next;
-          });
+    const offs = [
+      trainer.on('listen', ({ item }) => {
+        setRecError(null);
+        diagnostics.log('listen', { detail: `${recBackend.id} ${getLanguagePack(itemLang(item, defaultLang)).locale}` });
+        if (recordAnswers && !clipRef.current && mediaStreamRef.current && isRecordingSupported()) {
+          try { clipRef.current = startClip(mediaStreamRef.current); } catch (e) { console.warn('recording start failed', e); }
         }
-      }
-    };
-    rec.onend = () => setListening(false);
-    rec.onerror = () => setListening(false);
-
-    recRef.current = rec;
-    return () => { try { rec.stop(); } catch {} };
-  }, [recAvailable, targetLang]);
+      }),
+      trainer.on('discard', () => { takeClip(); }), // 記録しない問題の録音は捨てる
+      trainer.on('attempt', ({ attempt, item, grades, opposite, fluency, grade }) => {
+        setSchedule(prev => ({ ...prev, [item.id]: reviewItem(prev[item.id], grade) }));
+        setHistory(prev => appendAttempt(prev, attempt));
+        const attemptTs = attempt.ts;
+        setFeedback({ item, question: item.question, grades, opposite, attemptTs, latencyMs: attempt.latencyMs, fluency, clip: null });
+        clipPromiseRef.current = takeClip().then(clip => {
+          if (clip) {
+            setFeedback(prev => (prev?.attemptTs === attemptTs ? { ...prev, clip } : prev));
+            addRecording({ profileId: activeProfile.id, itemId: item.id, question: item.question, attemptTs, mimeType: clip.mimeType, durationMs: clip.durationMs, blob: clip.blob })
+              .then(() => setRecordingsVersion(v => v + 1))
+              .catch(e => console.warn('recording save failed', e));
+          }
+          return clip;
+        });
+      }),
+      trainer.on('sessionEnd', ({ sessionId }) => setSummarySessionId(sessionId)),
+      trainer.on('command', (cmd) => {
+        setLastCommand(cmd);
+        actionsRef.current[cmd.action]?.();
+      }),
+      trainer.on('result', ({ transcript, isFinal, confidence, lang }) => {
+        diagnostics.log(isFinal ? 'final' : 'interim', {
+          text: transcript,
+          decision: parseYesNo(transcript, lang),
+          detail: isFinal && typeof confidence === 'number' ? `confidence ${confidence.toFixed(2)}` : '',
+        });
+      }),
+      trainer.on('end', ({ restart }) => diagnostics.log('end', { detail: restart ? t('diagnostics.restart') : '' })),
+      trainer.on('error', (err) => {
+        setRecError(err);
+        diagnostics.log('error', { code: err.code, detail: err.message });
+      }),
+    ];
+    // 答えを読み上げる前に 自分の録音 を再生
+    hooksRef.current.beforeAnswer = () => (replayInReveal && clipPromiseRef.current
+      ? clipPromiseRef.current.then(clip => (clip ? playBlob(clip.blob) : null))
+      : null);
+    return () => offs.forEach(off => off());
+  });
 
   // Permissions & device list
   useEffect(() => {
     try {
       navigator.permissions?.query?.({ name: 'microphone' }).then(p => {
         setPermission(p.state);
-        p.onchange = () => setPermission(p.state);
+        diagnostics.log('permission', { code: p.state });
+        p.onchange = () => {
+          setPermission(p.state);
+          diagnostics.log('permission', { code: p.state });
+        };
       }).catch(()=>{});
     } catch {}
-  }, []);
+  }, [diagnostics]);
 
-  async function ensureStream(withPrompt = false) {
+  // log: false なら失敗を診断ログに残さない（呼び出し側が記録する: マイクチェック）
+  async function ensureStream(withPrompt = false, { log = true } = {}) {
     const constraints = { audio: selectedMicId ? { deviceId: { exact: selectedMicId } } : true };
     try {
       const stream = await navigator.mediaDevices.getUserMedia(constraints);
       attachStream(stream);
+      const label = stream.getAudioTracks?.()[0]?.label || t('mic.unnamed');
+      setStreamLabel(label);
+      diagnostics.log('mic', { detail: label });
       await refreshDevices();
       return stream;
     } catch (e) {
       console.warn('getUserMedia error', e);
-      if (withPrompt) alert('マイクにアクセスできませんでした。ブラウザの権限やWindowsの設定をご確認ください。');
+      const code = mediaErrorCode(e);
+      if (log) diagnostics.log('mic', { code, detail: `${e?.name || ''} ${e?.message || ''}`.trim() });
+      if (withPrompt) alert(t(`mic.errors.${code}`));
       throw e;
     }
   }
@@ -202,11 +438,17 @@ export default function YesNoSpeakingTrainer() {
       const analyser = audioCtx.createAnalyser();
       analyser.fftSize = 1024; analyserRef.current = analyser; source.connect(analyser);
       const data = new Uint8Array(analyser.fftSize);
+      vadRef.current = createVad();
+      vadRef.current.calibrate(600, Date.now()); // 最初の 0.6 秒でノイズフロアを測る
       const loop = () => {
         analyser.getByteTimeDomainData(data);
         let sum = 0; for (let i=0;i<data.length;i++){ const v = (data[i]-128)/128; sum += v*v; }
         const rms = Math.sqrt(sum / data.length);
         setAudioLevel(rms);
+        const now = Date.now();
+        const ev = vadRef.current.update(rms, now);
+        setVadThreshold(vadRef.current.threshold);
+        vadTickRef.current?.(ev, now);
         rafRef.current = requestAnimationFrame(loop);
       };
       cancelAnimationFrame(rafRef.current);
@@ -219,6 +461,7 @@ export default function YesNoSpeakingTrainer() {
     try { mediaStreamRef.current?.getTracks?.().forEach(t=>t.stop()); } catch {}
     try { audioCtxRef.current?.close?.(); } catch {}
     mediaStreamRef.current = null; analyserRef.current = null; audioCtxRef.current = null;
+    setStreamLabel(null);
   }
 
   async function refreshDevices() {
@@ -232,330 +475,723 @@ export default function YesNoSpeakingTrainer() {
 
   // Start once to get permissions
   useEffect(() => { if (navigator.mediaDevices?.getUserMedia) { ensureStream().catch(()=>{}); } }, []);
-  // セッションカーソル or インデックスが変わった直後に最新の current で ask()
-  useEffect(() => {
-    if (autoAdvanceRef.current) {
-      autoAdvanceRef.current = false;
-      setTimeout(() => ask(), 0);
-    }
-  }, [sessionCursor, currentIndex]);
   useEffect(() => { return () => stopStream(); }, []);
 
+  // === Mic check ===
+  // 練習中の認識と取り合わないように止めてから開く
+  function openMicCheck() {
+    if (!paused) trainer.togglePause();
+    shadowing.stop();
+    setShowMicCheck(true);
+  }
+  // durationMs の間 静かにしてもらい、VAD のノイズフロアを測り直す
+  function measureNoise(durationMs) {
+    return new Promise(resolve => {
+      vadRef.current.calibrate(durationMs, Date.now());
+      setTimeout(() => resolve(vadRef.current.noiseFloor), durationMs + 100);
+    });
+  }
+
   // === Session helpers ===
   function buildSession(count = 10) {
-    const pool = (selectedTopic === "All") ? items : items.filter(it => (it.topic || "Untitled") === selectedTopic);
-    const unique = Array.from(new Set(pool.map(it => it.id)));
-    const shuffled = unique.sort(() => Math.random() - 0.5);
-    const ids = shuffled.slice(0, Math.min(count, shuffled.length));
-    setSessionSet(ids);
-    setSessionCursor(0);
-    resetNeeded();
-    autoAdvanceRef.current = true; // セッション開始時に自動で ask() する
+    setSummarySessionId(null);
+    trainer.buildSession(count, schedule);
   }
 
-  // レガシー互換（古い呼び出しが残ってもOK）
-  function advanceInSession() { goNext(); }
+  function startSession(ids) {
+    setSummarySessionId(null);
+    trainer.startSession(ids);
+  }
 
-  // === Practice flow ===
-  function startRecognition() {
-    try { recRef.current?.stop?.(); } catch {}
-    try { recRef.current?.start?.(); setListening(true); } catch (e) { console.warn('recognition start failed', e); setListening(false); }
+  // === Recording ===
+  // 録音を止めて取り出す（録音していなければ null）
+  function takeClip() {
+    const clip = clipRef.current;
+    clipRef.current = null;
+    return clip ? clip.stop() : Promise.resolve(null);
   }
 
-  function resetNeeded() { setNeeded({ yes: true, no: true }); setRecognized(""); }
-
-  function ask() {
-    resetNeeded();
-    setPhase('practice');
-    const q = current?.question || '';
-    if (useTTS) {
-      speak(q, selectedVoice, rate, pitch, () => {
-        setTimeout(() => startRecognition(), 200);
-        clearTimeout(practiceTimerRef.current);
-        practiceTimerRef.current = setTimeout(() => reveal(), practiceSec * 1000);
-      });
-    } else {
-      startRecognition();
-      clearTimeout(practiceTimerRef.current);
-      practiceTimerRef.current = setTimeout(() => reveal(), practiceSec * 1000);
-    }
+  // A/B 比較: 自分の録音 → お手本（TTS）
+  function compareWithModel(blob, item) {
+    const model = answerText(item);
+    playBlob(blob).then(() => speak(model, selectedVoice, rate, pitch));
   }
 
-  function fastReveal() {
-    if (phase !== 'practice') return;
-    clearTimeout(practiceTimerRef.current);
-    reveal();
+  // rAF ループから毎フレーム呼ばれる: 発話インジケータと、trainer への VAD の受け渡し
+  useEffect(() => {
+    vadTickRef.current = (ev, now) => {
+      if (ev) setSpeaking(ev.type === 'onset');
+      trainer.handleVoice(ev, vadRef.current, now);
+    };
+  });
+
+  function changeRate(delta) {
+    const next = Math.max(0.6, Math.min(1.6, Math.round((rate + delta) * 100) / 100));
+    setRate(next);
+    trainer.configure({ rate: next });
+    return next;
   }
 
-  function goNext() {
-    // セッションあり：カーソルを進める
-    if (sessionSet && sessionSet.length) {
-      const next = sessionCursor + 1;
-      if (next < sessionSet.length) {
-        setSessionCursor(next);
-        resetNeeded();
-        autoAdvanceRef.current = true; // 次レンダ後に ask()
-      } else {
-        setPhase('idle');
-        setSessionSet(null);
-        alert('セッション終了です。おつかれさま！');
-      }
+  // ダイアログを開いている間は練習の操作を止める（? でヘルプを閉じるのだけは残す）
+  const dialogOpen = showMicCheck || showBackups || showShare || !!importDraft || !!summarySessionId || showReport;
+  useEffect(() => {
+    if (dialogOpen || showShortcuts) {
+      actionsRef.current = dialogOpen ? {} : { help: () => setShowShortcuts(false) };
       return;
     }
-    // セッションなし：通常モードで前進
-    if (!viewItems.length) return;
-    if (random) {
-      const currentId = current?.id ?? null;
-      let idx = Math.floor(Math.random() * viewItems.length);
-      if (viewItems.length > 1) {
-        let guard = 0;
-        while (viewItems[idx]?.id === currentId && guard < 10) {
-          idx = Math.floor(Math.random() * viewItems.length);
-          guard++;
-        }
-      }
-      setCurrentIndex(idx);
-    } else {
-      setCurrentIndex(i => (i + 1) % viewItems.length);
+    if (practiceMode !== 'answer') {
+      // シャドーイング・ディクテーション中は対応する操作だけ
+      const help = () => setShowShortcuts(v => !v);
+      actionsRef.current = practiceMode === 'shadowing' ? {
+        start: () => shadowing.play(),
+        repeat: () => shadowing.play(),
+        skip: () => shadowing.next(),
+        next: () => shadowing.next(),
+        previous: () => shadowing.previous(),
+        pause: () => shadowing.stop(),
+        help,
+      } : { help };
+      return;
     }
-    resetNeeded();
-    autoAdvanceRef.current = true; // 次レンダ後に ask()
+    actionsRef.current = {
+      start: () => trainer.ask(),
+      repeat: () => trainer.repeat(),
+      reveal: () => trainer.reveal(),
+      skip: () => trainer.skip(),
+      next: () => trainer.skip(),
+      previous: () => trainer.previous(),
+      pause: () => trainer.togglePause(),
+      session: () => { if (!session) buildSession(10); },
+      nextTopic: () => {
+        const all = ["All", ...topics];
+        trainer.selectTopic(all[(all.indexOf(selectedTopic) + 1) % all.length]);
+      },
+      slower: () => trainer.repeat(changeRate(-0.1)),
+      faster: () => changeRate(0.1),
+      help: () => setShowShortcuts(v => !v),
+    };
+  });
+
+  // キーボード操作（入力欄では無効。ボタンの上の Space / Enter はボタンを押す）
+  useEffect(() => {
+    const onKey = (e) => {
+      if (e.key === 'Escape') { setShowShortcuts(false); setShowMicCheck(false); return; }
+      if (e.ctrlKey || e.metaKey || e.altKey || isTypingTarget(e.target)) return;
+      const run = actionsRef.current[actionForKey(e.key, e.target)];
+      if (!run) return;
+      e.preventDefault();
+      run();
+    };
+    window.addEventListener('keydown', onKey);
+    return () => window.removeEventListener('keydown', onKey);
+  }, []);
+
+  function changePracticeMode(mode) {
+    if (mode === practiceMode) return;
+    if (practiceMode === 'answer') trainer.stop();
+    if (practiceMode === 'shadowing') shadowing.stop();
+    cancelSpeech();
+    setRecError(null);
+    setPracticeMode(mode);
+  }
+  function speakSentence(sentence, speed) {
+    if (sentence) speak(sentence.text, voiceFor(voices, voiceNames, sentence.lang, online), speed, pitch);
   }
 
-  function reveal() {
-    setPhase('reveal');
-    try { recRef.current?.stop?.(); } catch {}
-    const ansText = `Answer: ${current?.yesSample || ''} / ${current?.noSample || ''}`;
-    if (useTTS) {
-      speak(ansText, selectedVoice, rate, pitch, () => {
-        goNext();
-      });
-    } else {
-      goNext();
-    }
+  // スクリプト一覧の 元に戻す / やり直す（毎レンダ登録し直して最新の履歴を使う）
+  useEffect(() => {
+    const onKey = (e) => {
+      const action = editActionForKey(e);
+      if (!action) return;
+      e.preventDefault();
+      if (action === 'undo') undoEdit(); else redoEdit();
+    };
+    window.addEventListener('keydown', onKey);
+    return () => window.removeEventListener('keydown', onKey);
+  });
+
+  // === Decks ===
+  function selectDeck(id) {
+    setActiveDeckId(id);
+    setSelectedIds([]);
+    trainer.selectTopic('All');
+    changeItemFilter(EMPTY_FILTER);
+  }
+  // 練習中の問題は前の学習者の記録にしない
+  function selectProfile(id) {
+    trainer.stop();
+    setFeedback(null);
+    setSummarySessionId(null);
+    setProfileId(id);
+  }
+  function deleteProfile(id) {
+    const next = removeProfile(profiles, id);
+    setProfiles(next);
+    if (id === activeProfile.id) selectProfile(next[0].id);
+    deleteProfileData(id).then(() => setRecordingsVersion(v => v + 1)).catch(e => console.warn('profile delete failed', e));
+  }
+  function deleteDeck(id) {
+    addSnapshot(decks, 'deckDelete').catch(e => console.warn('snapshot failed', e));
+    const next = removeDeck(decks, id);
+    changeDecks(next, 'deck');
+    if (id === activeDeck.id) selectDeck(next[0].id);
   }
 
   // === Editing utilities ===
+  function changeItemFilter(filter) {
+    setItemFilter(filter);
+    setShownLimit(ITEMS_PAGE);
+  }
+  function updateItem(id, patch) {
+    setItems(prev => prev.map(p => p.id === id ? { ...p, ...patch } : p), 'edit', `${id}:${Object.keys(patch).join(',')}`);
+  }
   function addNewItem() {
-    const maxId = items.reduce((m, it) => Math.max(m, it.id || 0), 0);
     const topic = selectedTopic === 'All' ? 'Untitled' : selectedTopic;
-    const newItem = { id: maxId + 1, topic, question: 'New question?', yesSample: 'Yes.', noSample: 'No.' };
-    setItems(prev => [...prev, newItem]);
+    const newItem = { id: maxItemId(decks) + 1, topic, question: 'New question?', yesSample: 'Yes.', noSample: 'No.' };
+    setItems(prev => [...prev, newItem], 'add');
+    changeItemFilter(EMPTY_FILTER); // 追加した問題が一覧の先頭に見えるように
+  }
+  function generateForItem(id) {
+    const it = items.find(p => p.id === id);
+    if (itemLang(it, defaultLang) !== 'en') { alert(t('editor.generateEnglishOnly')); return; }
+    const gen = generateAnswers(it);
+    if (!gen) { alert(t(itemType(it) === 'choice' ? 'editor.generateChoicesFailed' : 'editor.generateFailed')); return; }
+    setItems(prev => prev.map(p => p.id === id ? { ...p, ...gen } : p), 'generate');
+  }
+  // サンプルが空・"Yes."/"No." のままの項目に一括生成
+  function generateAllSamples() {
+    const { items: next, count } = fillSamples(items, { defaultLang });
+    if (count) setItems(next, 'generate');
+    return count;
+  }
+  function undoEdit() {
+    const r = undo(undoHistory, decks);
+    if (!r) return;
+    setUndoHistory(r.history);
+    setDecks(r.decks);
+  }
+  function redoEdit() {
+    const r = redo(undoHistory, decks);
+    if (!r) return;
+    setUndoHistory(r.history);
+    setDecks(r.decks);
+  }
+  function toggleSelected(id, on) {
+    setSelectedIds(prev => (on ? [...prev, id] : prev.filter(x => x !== id)));
+  }
+  function deleteSelected() {
+    if (!confirm(t('selection.confirmDelete', { count: selection.length }))) return;
+    setItems(prev => removeItems(prev, selection), 'bulkDelete');
+    setSelectedIds([]);
   }
-  function exportItems() {
-    const blob = new Blob([JSON.stringify(items, null, 2)], { type: 'application/json' });
+  function exportItems(format = exportFormat) {
+    const { name, type } = exportFileInfo(format, activeDeck.name);
+    const blob = new Blob([serializeItems(items, format)], { type });
     const url = URL.createObjectURL(blob);
     const a = document.createElement('a');
-    a.href = url; a.download = 'yesno-items.json'; a.click();
+    a.href = url; a.download = name; a.click();
     URL.revokeObjectURL(url);
   }
 
-  // ===== Dev self-tests for parseYesNo =====
-  useEffect(() => {
-    const cases = [
-      ["Yes", "yes"],
-      ["No", "no"],
-      ["Yeah, I think so", "yes"],
-      ["Nope, I don't", "no"],
-      ["I don't know", "no"],
-      ["Absolutely yes", "yes"],
-      ["Not really", "no"],
-      ["Maybe", null],
-      ["Yes, I can.", "yes"],
-      ["I will not.", "no"],
-      ["It is.", "yes"],
-      ["It isn't.", "no"],
-      // 追加テスト（既存に影響しない）
-      ["Sure.", "yes"],
-      ["No, thanks.", "no"],
-    ];
-    cases.forEach(([input, expected]) => {
-      const got = parseYesNo(input);
-      console.assert(got === expected, `parseYesNo('${input}') => ${got}, expected ${expected}`);
-    });
-  }, []);
+  // 保存まわりのエラー・警告の表示文言
+  const errorDetail = (e) => (e?.name === 'SchemaVersionError' ? t('storage.schemaTooNew', { version: e.version }) : String(e?.message || e));
+  const warningText = (w) => t(`storage.warnings.${w.code}`, { ...w.params, date: w.params?.ts ? t.formatDate(w.params.ts) : '' });
 
   // === UI ===
   return (
-    <div className="min-h-screen bg-slate-50 p-6">
-      <div className="max-w-6xl mx-auto grid lg:grid-cols-2 gap-6">
-        {/* 左：練習パネル */}
-        <div className="bg-white rounded-2xl shadow p-5">
-          <h1 className="text-xl font-bold mb-3">Yes/No スピーキング練習（シンプル）</h1>
-
-          {/* テーマ & セッション */}
-          <div className="mb-3 flex flex-wrap items-center gap-3">
-            <div className="flex items-center gap-2">
-              <span className="text-sm text-slate-600">テーマ:</span>
-              <select className="px-2 py-1 rounded-lg border" value={selectedTopic} onChange={e=>{ setSelectedTopic(e.target.value); setSessionSet(null); setSessionCursor(0); setCurrentIndex(0); }}>
-                <option value="All">All</option>
-                {topics.map(t => <option key={t} value={t}>{t}</option>)}
+    <I18nContext.Provider value={t}>
+      <div className={`min-h-screen bg-slate-50 p-6 ${showReport ? 'print:hidden' : ''}`}>
+        {/* 保存まわりの警告 */}
+        {(saveError || storageWarnings.length > 0) && (
+          <div className="max-w-6xl mx-auto mb-4 space-y-2">
+            {saveError && (
+              <div className="rounded-xl border border-rose-300 bg-rose-50 text-rose-700 px-4 py-2 text-sm flex items-center gap-3">
+                <span className="flex-1">⚠ {saveError.key === 'load'
+                  ? t('storage.loadFailed', { detail: errorDetail(saveError.error) })
+                  : t('storage.saveFailed', { key: saveError.key, detail: errorDetail(saveError.error) })}</span>
+                {saveError.key !== 'load' && (
+                  <button className="px-2 py-1 rounded-lg bg-white border hover:bg-rose-100" onClick={()=>{ persist('decks', decks); if (loadedProfileId) { persist(profileKey('schedule', loadedProfileId), schedule); persist(profileKey('history', loadedProfileId), history); } }}>{t('storage.retry')}</button>
+                )}
+                <button className="px-2 py-1 rounded-lg bg-white border hover:bg-rose-100" onClick={()=>exportItems('json')}>{t('storage.exportJson')}</button>
+              </div>
+            )}
+            {storageWarnings.map(w => (
+              <div key={w.code} className="rounded-xl border border-amber-300 bg-amber-50 text-amber-800 px-4 py-2 text-sm flex items-center gap-3">
+                <span className="flex-1">{warningText(w)}</span>
+                <button className="px-2 py-1 rounded-lg bg-white border hover:bg-amber-100" onClick={()=>setStorageWarnings(prev=>prev.filter(x=>x!==w))}>{t('common.close')}</button>
+              </div>
+            ))}
+          </div>
+        )}
+        <div className="max-w-6xl mx-auto grid lg:grid-cols-2 gap-6">
+          {/* 左：練習パネル */}
+          <div className="bg-white rounded-2xl shadow p-5">
+            <div className="flex items-start gap-3 mb-3">
+              <h1 className="flex-1 text-xl font-bold">{t('app.title')}</h1>
+              <OfflineStatus online={online} swStatus={swStatus} voices={langVoices} langLabel={langPack.label} backend={recBackend} settings={recSettings} />
+              <select className="px-2 py-1 rounded-lg border text-sm" value={uiLocale} onChange={e=>setUiLocale(e.target.value)} title={t('app.uiLanguage')} aria-label={t('app.uiLanguage')}>
+                {UI_LOCALES.map(l => <option key={l.id} value={l.id}>{l.label}</option>)}
               </select>
             </div>
-            {!sessionSet ? (
-              <button className="px-3 py-2 rounded-xl bg-blue-600 text-white hover:bg-blue-700" onClick={()=>{ buildSession(10); }}>
-                このテーマで10問セッション開始
-              </button>
-            ) : (
-              <span className="text-sm px-2 py-1 rounded bg-slate-100">進行: {sessionCursor+1} / {sessionSet.length}</span>
+
+            <ProfileBar
+              profiles={profiles}
+              activeProfileId={activeProfile.id}
+              onSelect={selectProfile}
+              onAdd={(name)=>{ const { profiles: next, profile } = addProfile(profiles, name); setProfiles(next); selectProfile(profile.id); }}
+              onRename={(id, name)=>setProfiles(prev=>renameProfile(prev, id, name))}
+              onDelete={deleteProfile}
+              onReport={()=>setShowReport(true)}
+            />
+
+            {/* デッキ・テーマ & セッション */}
+            <div className="mb-3 flex flex-wrap items-center gap-3">
+              <div className="flex items-center gap-2">
+                <span className="text-sm text-slate-600">{t('decks.label')}</span>
+                <select className="px-2 py-1 rounded-lg border" value={activeDeck.id} onChange={e=>selectDeck(Number(e.target.value))}>
+                  {decks.map(d => <option key={d.id} value={d.id}>{d.name}</option>)}
+                </select>
+              </div>
+              <div className="flex items-center gap-2">
+                <span className="text-sm text-slate-600">{t('session.topic')}</span>
+                <select className="px-2 py-1 rounded-lg border" value={selectedTopic} onChange={e=>trainer.selectTopic(e.target.value)}>
+                  <option value="All">{t('session.allTopics')}</option>
+                  {topics.map(t => <option key={t} value={t}>{t}</option>)}
+                </select>
+              </div>
+              <div className="flex items-center gap-2">
+                <span className="text-sm text-slate-600">{t('practiceMode.label')}</span>
+                <select className="px-2 py-1 rounded-lg border" value={practiceMode} onChange={e=>changePracticeMode(e.target.value)}>
+                  {['answer', 'shadowing', 'dictation'].map(m => <option key={m} value={m}>{t(`practiceMode.modes.${m}`)}</option>)}
+                </select>
+              </div>
+              {practiceMode !== 'answer' ? null : !session ? (
+                <>
+                  <button className="px-3 py-2 rounded-xl bg-blue-600 text-white hover:bg-blue-700" onClick={()=>{ buildSession(10); }}>
+                    {t('session.start', { count: 10 })}
+                  </button>
+                  <span className="text-xs text-slate-500">{t('session.due', { count: dueCount })}</span>
+                </>
+              ) : (
+                <span className="text-sm px-2 py-1 rounded bg-slate-100">{t('session.progress', { current: session.cursor+1, total: session.ids.length })}</span>
+              )}
+            </div>
+
+            {practiceMode === 'shadowing' && (
+              <ShadowingPanel
+                sentence={shadowing.current()}
+                count={practiceSentences.length}
+                state={shadowingState}
+                settings={shadowingSettings}
+                onChange={(patch)=>setShadowingSettings(prev=>({ ...prev, ...patch }))}
+                onPlay={()=>shadowing.play()}
+                onRestart={()=>shadowing.restart()}
+                onPrevious={()=>shadowing.previous()}
+                onNext={()=>shadowing.next()}
+                onStop={()=>shadowing.stop()}
+              />
             )}
-          </div>
+            {practiceMode === 'dictation' && (
+              <DictationPanel key={`${activeDeck.id}:${selectedTopic}`} sentences={practiceSentences} rate={rate} onSpeak={speakSentence} />
+            )}
+            {practiceMode !== 'answer' && recError && <div className="mb-4 text-xs text-rose-600">{t('controls.recError', { code: recError.code })}</div>}
 
-          {/* 現在の問題 */}
-          <div className="border rounded-xl p-4 mb-4">
-            <div className="text-slate-500 text-xs mb-1">Question</div>
-            <div className="text-lg font-semibold">{current?.question || "No question"}</div>
-            <div className="mt-2 text-sm text-slate-600">
-              <span className="mr-3">Yes 例: <span className="font-mono">{current?.yesSample}</span></span>
-              <span>No 例: <span className="font-mono">{current?.noSample}</span></span>
+            {practiceMode === 'answer' && (<>
+            {/* 現在の問題 */}
+            <div className="border rounded-xl p-4 mb-4">
+              <div className="text-slate-500 text-xs mb-1">
+                {t('question.label')}
+                {current && !isPolar(current) && <span className="ml-2 px-1.5 py-0.5 rounded bg-slate-100">{t(`questionTypes.types.${itemType(current)}`)}</span>}
+              </div>
+              <div className="text-lg font-semibold">{current?.question || t('question.empty')}</div>
+              {target && phase !== 'idle' && (
+                <div className={`mt-2 inline-block px-3 py-1 rounded-lg text-white font-semibold ${target === 'yes' ? 'bg-emerald-600' : 'bg-rose-600'}`}>
+                  {t('target.answerWith', { target: targetLabel(target, t) })}
+                </div>
+              )}
+              <div className="mt-2 text-sm text-slate-600">
+                {!current || isPolar(current) ? (
+                  <>
+                    <span className="mr-3">{t('question.yesExample')} <span className="font-mono">{current?.yesSample}</span></span>
+                    <span>{t('question.noExample')} <span className="font-mono">{current?.noSample}</span></span>
+                  </>
+                ) : (
+                  <span>{t('question.answerExample')} <span className="font-mono">{answerText(current)}</span></span>
+                )}
+              </div>
             </div>
-          </div>
 
-          {/* 操作 */}
-          <div className="flex flex-wrap items-center gap-2">
-            <button className="px-4 py-2 rounded-xl bg-blue-600 text-white hover:bg-blue-700" onClick={ask} disabled={!current}>
-              質問を読む → 練習開始
-            </button>
-            <label className="flex items-center gap-2 text-sm">
-              練習時間（秒）
-              <input type="number" className="w-20 px-2 py-1 border rounded-lg" min={3} max={20} value={practiceSec} onChange={e=>setPracticeSec(Math.max(3, Math.min(20, Number(e.target.value)||8)))} />
-            </label>
-            <label className="flex items-center gap-2 text-sm"><input type="checkbox" checked={useTTS} onChange={e=>setUseTTS(e.target.checked)} />音声読み上げ</label>
-            <label className="flex items-center gap-2 text-sm"><input type="checkbox" checked={random} onChange={e=>setRandom(e.target.checked)} />ランダム</label>
-            <span className="text-xs text-slate-500">状態: {phase}</span>
-          </div>
+            {/* 直前の問題の採点 */}
+            {feedback && <FeedbackPanel feedback={feedback} onCompare={compareWithModel} />}
 
-          {/* 音声設定（速度・ピッチ・声質） */}
-          <div className="mt-4 border rounded-xl p-4">
-            <div className="grid grid-cols-1 md:grid-cols-3 gap-4 items-start">
-              <label className="text-sm flex flex-col gap-1">
-                <span>Voice</span>
-                <select
-                  className="px-2 py-2 rounded-lg border w-full"
-                  value={voiceName}
-                  onChange={e=>setVoiceName(e.target.value)}
-                >
-                  {engVoices.length ? engVoices.map(v => (
-                    <option key={v.name} value={v.name}>{v.name} ({v.lang})</option>
-                  )) : <option value="">Default</option>}
+            {/* 操作 */}
+            <div className="flex flex-wrap items-center gap-2">
+              <button className="px-4 py-2 rounded-xl bg-blue-600 text-white hover:bg-blue-700" onClick={()=>trainer.ask()} disabled={!current}>
+                {t('controls.ask')}
+              </button>
+              <label className="flex items-center gap-2 text-sm">
+                {t('controls.practiceSec')}
+                <input type="number" className="w-20 px-2 py-1 border rounded-lg" min={3} max={20} value={practiceSec} onChange={e=>setPracticeSec(Math.max(3, Math.min(20, Number(e.target.value)||8)))} />
+              </label>
+              <label className="flex items-center gap-2 text-sm">
+                {t('target.label')}
+                <select className="px-2 py-1 rounded-lg border" value={targetMode} onChange={e=>setTargetMode(e.target.value)}>
+                  {TARGET_MODES.map(m => <option key={m} value={m}>{t(`target.modes.${m}`)}</option>)}
                 </select>
               </label>
+              <label className="flex items-center gap-2 text-sm"><input type="checkbox" checked={speakTarget} disabled={targetMode === 'both'} onChange={e=>setSpeakTarget(e.target.checked)} />{t('target.speak')}</label>
+              <label className="flex items-center gap-2 text-sm"><input type="checkbox" checked={useTTS} onChange={e=>setUseTTS(e.target.checked)} />{t('controls.useTTS')}</label>
+              <label className="flex items-center gap-2 text-sm"><input type="checkbox" checked={random} onChange={e=>setRandom(e.target.checked)} />{t('controls.random')}</label>
+              <label className="flex items-center gap-2 text-sm"><input type="checkbox" checked={recordAnswers} disabled={!isRecordingSupported()} onChange={e=>setRecordAnswers(e.target.checked)} />{t('controls.record')}</label>
+              <label className="flex items-center gap-2 text-sm"><input type="checkbox" checked={replayInReveal} disabled={!recordAnswers} onChange={e=>setReplayInReveal(e.target.checked)} />{t('controls.replayInReveal')}</label>
+              <span className="text-xs text-slate-500">{t('controls.state', { phase: t(`controls.phase.${paused ? 'paused' : phase}`) })}</span>
+              <button className="px-3 py-2 rounded-xl bg-slate-100 hover:bg-slate-200 text-sm" onClick={()=>trainer.togglePause()}>{paused ? t('controls.resume') : t('controls.pause')}</button>
+              <button className="px-2 py-1 rounded-lg bg-slate-100 hover:bg-slate-200 text-xs" onClick={()=>setShowShortcuts(true)} title={t('controls.shortcuts')}>⌨ ?</button>
+              {lastCommand && Date.now() - lastCommand.at < 3000 && <span className="text-xs text-blue-600">🎙 “{lastCommand.text}”</span>}
+              {recError && <span className="text-xs text-rose-600">{t('controls.recError', { code: recError.code })}</span>}
+            </div>
+            </>)}
 
-              <label className="text-sm flex flex-col gap-1 w-full">
-                <span>Speed: <span className="font-mono align-middle">{rate.toFixed(2)}x</span></span>
-                <input
-                  type="range"
-                  min={0.6}
-                  max={1.6}
-                  step={0.05}
-                  value={rate}
-                  onChange={e=>setRate(Number(e.target.value))}
-                  className="w-full"
-                />
-              </label>
+            {/* 音声設定（速度・ピッチ・声質） */}
+            <div className="mt-4 border rounded-xl p-4">
+              <div className="grid grid-cols-1 md:grid-cols-3 gap-4 items-start">
+                <label className="text-sm flex flex-col gap-1">
+                  <span>{t('voice.label', { lang: langPack.label })}</span>
+                  <select
+                    className="px-2 py-2 rounded-lg border w-full"
+                    value={voiceName}
+                    onChange={e=>setVoiceName(e.target.value)}
+                  >
+                    {langVoices.length ? langVoices.map(v => (
+                      <option key={v.name} value={v.name}>{v.name} ({v.lang}){v.localService ? ` · ${t('offline.localVoice')}` : ''}</option>
+                    )) : <option value="">{t('voice.default')}</option>}
+                  </select>
+                </label>
 
-              <label className="text-sm flex flex-col gap-1 w-full">
-                <span>Pitch: <span className="font-mono align-middle">{pitch.toFixed(2)}</span></span>
-                <input
-                  type="range"
-                  min={0.8}
-                  max={1.4}
-                  step={0.05}
-                  value={pitch}
-                  onChange={e=>setPitch(Number(e.target.value))}
-                  className="w-full"
-                />
-              </label>
-            </div>
-            <div className="mt-4">
-              <button
-                className="px-3 py-2 rounded-xl bg-slate-100 hover:bg-slate-200 w-full md:w-auto"
-                onClick={()=>speak(current?.question||'', selectedVoice, rate, pitch)}
-              >
-                🔊 テスト再生（現在の設定）
-              </button>
+                <label className="text-sm flex flex-col gap-1 w-full">
+                  <span>{t('voice.speed')} <span className="font-mono align-middle">{rate.toFixed(2)}x</span></span>
+                  <input
+                    type="range"
+                    min={0.6}
+                    max={1.6}
+                    step={0.05}
+                    value={rate}
+                    onChange={e=>setRate(Number(e.target.value))}
+                    className="w-full"
+                  />
+                </label>
+
+                <label className="text-sm flex flex-col gap-1 w-full">
+                  <span>{t('voice.pitch')} <span className="font-mono align-middle">{pitch.toFixed(2)}</span></span>
+                  <input
+                    type="range"
+                    min={0.8}
+                    max={1.4}
+                    step={0.05}
+                    value={pitch}
+                    onChange={e=>setPitch(Number(e.target.value))}
+                    className="w-full"
+                  />
+                </label>
+              </div>
+              <div className="mt-4">
+                <button
+                  className="px-3 py-2 rounded-xl bg-slate-100 hover:bg-slate-200 w-full md:w-auto"
+                  onClick={()=>speak(current?.question||'', selectedVoice, rate, pitch)}
+                >
+                  {t('voice.test')}
+                </button>
+              </div>
             </div>
-          </div>
 
-          {/* マイク選択 & 入力レベル */}
-          <div className="mt-4 border rounded-xl p-4">
-            <div className="flex flex-wrap items-center gap-3">
-              <div className="flex items-center gap-2">
-                <span className="text-sm text-slate-600">マイク:</span>
-                <select className="px-2 py-1 rounded-lg border" value={selectedMicId} onChange={e=>setSelectedMicId(e.target.value)}>
-                  {devices.map(d => <option key={d.deviceId} value={d.deviceId}>{d.label || 'Microphone'}</option>)}
-                </select>
-                <button className="px-2 py-1 rounded-lg bg-slate-100 hover:bg-slate-200" onClick={()=>refreshDevices()}>再読み込み</button>
+            {/* マイク選択 & 入力レベル */}
+            <div className="mt-4 border rounded-xl p-4">
+              <div className="flex flex-wrap items-center gap-3">
+                <div className="flex items-center gap-2">
+                  <span className="text-sm text-slate-600">{t('mic.label')}</span>
+                  <select className="px-2 py-1 rounded-lg border" value={selectedMicId} onChange={e=>setSelectedMicId(e.target.value)}>
+                    {devices.map(d => <option key={d.deviceId} value={d.deviceId}>{d.label || t('mic.unnamed')}</option>)}
+                  </select>
+                  <button className="px-2 py-1 rounded-lg bg-slate-100 hover:bg-slate-200" onClick={()=>refreshDevices()}>{t('mic.reload')}</button>
+                  <button className="px-2 py-1 rounded-lg bg-blue-50 text-blue-700 hover:bg-blue-100" onClick={openMicCheck}>{t('micCheck.open')}</button>
+                </div>
+              </div>
+              <div className="mt-3 text-sm text-slate-600 flex items-center gap-2">
+                {t('mic.level')}
+                <span className={`inline-block w-2 h-2 rounded-full ${speaking ? 'bg-rose-500' : 'bg-slate-300'}`} title={t('mic.speaking')} />
+                <button className="ml-auto text-xs px-2 py-0.5 rounded bg-slate-100 hover:bg-slate-200" onClick={()=>vadRef.current.calibrate(1000, Date.now())}>{t('mic.recalibrate')}</button>
+              </div>
+              <div className="relative h-3 bg-slate-200 rounded-full overflow-hidden">
+                <div className="h-full bg-emerald-500 transition-all" style={{ width: `${Math.min(100, Math.round(audioLevel*100))}%` }} />
+                <div className="absolute top-0 h-full w-0.5 bg-rose-500" style={{ left: `${Math.min(100, Math.round(vadThreshold*100))}%` }} title={t('mic.threshold')} />
+              </div>
+              <div className="mt-2 flex flex-wrap items-center gap-3 text-sm">
+                <label className="flex items-center gap-2"><input type="checkbox" checked={autoEndOnSilence} onChange={e=>setAutoEndOnSilence(e.target.checked)} />{t('mic.autoEnd')}</label>
+                <label className="flex items-center gap-2">{t('mic.silence')}
+                  <input type="number" className="w-16 px-2 py-1 border rounded-lg" min={0.5} max={5} step={0.5} value={silenceSec} onChange={e=>setSilenceSec(Math.max(0.5, Math.min(5, Number(e.target.value)||2)))} />{t('mic.silenceUnit')}
+                </label>
               </div>
             </div>
-            <div className="mt-3 text-sm text-slate-600">入力レベル</div>
-            <div className="h-3 bg-slate-200 rounded-full overflow-hidden">
-              <div className="h-full bg-emerald-500 transition-all" style={{ width: `${Math.min(100, Math.round(audioLevel*100))}%` }} />
+
+            {/* 音声認識エンジン */}
+            <div className="mt-4 border rounded-xl p-4 text-sm space-y-2">
+              <label className="flex items-center gap-2">
+                <span className="text-slate-600">{t('recognition.label')}</span>
+                <select className="px-2 py-1 rounded-lg border" value={recBackend.id} onChange={e=>setRecSettings(prev=>({ ...prev, backend: e.target.value }))}>
+                  {BACKENDS.map(b => <option key={b.id} value={b.id} disabled={!b.isAvailable()}>{t(`recognition.backends.${b.id}`)}{b.isAvailable() ? '' : t('recognition.unavailable')}</option>)}
+                </select>
+              </label>
+              {recBackend.id === 'http' && (
+                <label className="flex items-center gap-2">
+                  <span className="text-slate-600">{t('recognition.endpoint')}</span>
+                  <input className="flex-1 px-2 py-1 border rounded-lg font-mono" value={recSettings.httpEndpoint} onChange={e=>setRecSettings(prev=>({ ...prev, httpEndpoint: e.target.value }))} />
+                </label>
+              )}
+              {recBackend.id === 'mock' && (
+                <label className="block">
+                  <span className="text-slate-600">{t('recognition.mockScript')}</span>
+                  <textarea rows={3} className="mt-1 w-full px-2 py-1 border rounded-lg font-mono" value={recSettings.mockScript} onChange={e=>setRecSettings(prev=>({ ...prev, mockScript: e.target.value }))} />
+                </label>
+              )}
+              <details>
+                <summary className="cursor-pointer text-slate-600">{t('diagnostics.title')}</summary>
+                <div className="mt-2">
+                  <DiagnosticsPanel
+                    entries={diagnosticEntries}
+                    status={{ backend: recBackend.id, permission, mic: streamLabel, online, listening: trainerState.listening }}
+                    onClear={()=>diagnostics.clear()}
+                    onMicCheck={openMicCheck}
+                  />
+                </div>
+              </details>
             </div>
           </div>
-        </div>
 
-        {/* 右：スクリプト一覧（編集可能・広いテキストエリア） */}
-        <div className="bg-white rounded-2xl shadow p-5 overflow-auto">
-          <div className="flex items-center justify-between mb-3">
-            <h2 className="text-lg font-semibold">スクリプト一覧</h2>
-            <div className="flex gap-2">
-              <button className="px-3 py-2 rounded-xl bg-slate-100 hover:bg-slate-200" onClick={addNewItem}>新規追加</button>
-              <button className="px-3 py-2 rounded-xl bg-slate-100 hover:bg-slate-200" onClick={exportItems}>エクスポート</button>
-              <ImportButton onImport={(text)=>{ try{ const arr = JSON.parse(text); if(Array.isArray(arr)) setItems(arr); else alert('JSON配列ではありません'); } catch(e){ alert('JSON読み込みに失敗しました'); } }} />
+          {/* 右：スクリプト一覧（編集可能・広いテキストエリア） */}
+          <div className="bg-white rounded-2xl shadow p-5 overflow-auto">
+            <div className="flex gap-2 mb-3 text-sm">
+              <button className={`px-3 py-1 rounded-lg ${rightView === 'editor' ? 'bg-slate-800 text-white' : 'bg-slate-100 hover:bg-slate-200'}`} onClick={()=>setRightView('editor')}>{t('tabs.editor')}</button>
+              <button className={`px-3 py-1 rounded-lg ${rightView === 'stats' ? 'bg-slate-800 text-white' : 'bg-slate-100 hover:bg-slate-200'}`} onClick={()=>setRightView('stats')}>{t('tabs.stats')}</button>
+              <button className={`px-3 py-1 rounded-lg ${rightView === 'recordings' ? 'bg-slate-800 text-white' : 'bg-slate-100 hover:bg-slate-200'}`} onClick={()=>setRightView('recordings')}>{t('tabs.recordings')}</button>
             </div>
-          </div>
 
-          <div className="space-y-4">
-            {items.slice().reverse().map((it) => (
-              <div key={it.id} className={`border rounded-xl p-3 ${current && it.id===current.id ? 'bg-amber-50' : ''}`}>
-                <div className="flex flex-wrap gap-3 items-center mb-2">
-                  <span className="text-xs px-2 py-1 rounded bg-slate-100">ID: {it.id}</span>
-                  <label className="text-sm flex items-center gap-2">Topic
-                    <input className="px-2 py-1 border rounded w-56" value={it.topic || ''} onChange={e=>setItems(prev=>prev.map(p=>p.id===it.id?{...p, topic:e.target.value}:p))} />
-                  </label>
-                  <button className="ml-auto text-rose-600 hover:underline" onClick={()=>{ if(confirm('削除しますか？')) setItems(prev=>prev.filter(p=>p.id!==it.id)); }}>削除</button>
+            {rightView === 'stats' ? (
+              <>
+                <h2 className="text-lg font-semibold mb-3">{t('stats.title')}</h2>
+                <StatsView history={history} items={libraryItems} onClear={()=>setHistory([])} />
+              </>
+            ) : rightView === 'recordings' ? (
+              <>
+                <h2 className="text-lg font-semibold mb-3">{t('recordings.title')}</h2>
+                <RecordingsView
+                  items={libraryItems}
+                  profileId={activeProfile.id}
+                  version={recordingsVersion}
+                  onCompare={(r)=>compareWithModel(r.blob, libraryItems.find(it => it.id === r.itemId) || {})}
+                />
+              </>
+            ) : (
+            <>
+            <DeckBar
+              decks={decks}
+              activeDeckId={activeDeck.id}
+              onSelect={selectDeck}
+              onAdd={(name)=>{ const { decks: next, deck } = addDeck(decks, name); changeDecks(next, 'deck'); selectDeck(deck.id); }}
+              onRename={(id, name)=>changeDecks(prev=>renameDeck(prev, id, name), 'deck')}
+              onDuplicate={(id, name)=>{ const { decks: next, deck } = duplicateDeck(decks, id, name); changeDecks(next, 'deck'); selectDeck(deck.id); }}
+              onDelete={deleteDeck}
+            />
+            <div className="flex items-center justify-between mb-3">
+              <h2 className="text-lg font-semibold">{t('editor.title')}</h2>
+              <div className="flex gap-2">
+                <button className="px-2 py-2 rounded-xl bg-slate-100 hover:bg-slate-200 disabled:opacity-40" onClick={undoEdit} disabled={!undoHistory.past.length}
+                  title={undoHistory.past.length ? t('editor.undoWhat', { what: t(`editor.undoLabels.${undoHistory.past[undoHistory.past.length - 1].label}`) }) : t('editor.undo')}>↶</button>
+                <button className="px-2 py-2 rounded-xl bg-slate-100 hover:bg-slate-200 disabled:opacity-40" onClick={redoEdit} disabled={!undoHistory.future.length}
+                  title={undoHistory.future.length ? t('editor.redoWhat', { what: t(`editor.undoLabels.${undoHistory.future[undoHistory.future.length - 1].label}`) }) : t('editor.redo')}>↷</button>
+                <button className="px-3 py-2 rounded-xl bg-slate-100 hover:bg-slate-200" onClick={addNewItem}>{t('editor.add')}</button>
+                <button className="px-3 py-2 rounded-xl bg-slate-100 hover:bg-slate-200" onClick={()=>setShowDuplicates(true)}>{t('duplicates.find')}</button>
+                <button className="px-3 py-2 rounded-xl bg-slate-100 hover:bg-slate-200" onClick={()=>{ const n = generateAllSamples(); alert(n ? t('editor.generatedAll', { count: n }) : t('editor.nothingToGenerate')); }}>{t('editor.generateAll')}</button>
+                <div className="flex">
+                  <select className="px-2 rounded-l-xl border bg-white text-sm" value={exportFormat} onChange={e=>setExportFormat(e.target.value)}>
+                    {FORMATS.map(f => <option key={f} value={f}>{f.toUpperCase()}</option>)}
+                  </select>
+                  <button className="px-3 py-2 rounded-r-xl bg-slate-100 hover:bg-slate-200" onClick={()=>exportItems()}>{t('editor.export')}</button>
                 </div>
-                <label className="block text-sm mb-2">Question
-                  <textarea rows={4} className="mt-1 w-full px-3 py-2 border rounded-lg" value={it.question || ''} onChange={e=>setItems(prev=>prev.map(p=>p.id===it.id?{...p, question:e.target.value}:p))} />
-                </label>
-                <div className="grid md:grid-cols-2 gap-3">
-                  <label className="text-sm">Yes Sample
-                    <textarea rows={3} className="mt-1 w-full px-3 py-2 border rounded-lg" value={it.yesSample || ''} onChange={e=>setItems(prev=>prev.map(p=>p.id===it.id?{...p, yesSample:e.target.value}:p))} />
-                  </label>
-                  <label className="text-sm">No Sample
-                    <textarea rows={2} className="mt-1 w-full px-3 py-2 border rounded-lg" value={it.noSample || ''} onChange={e=>setItems(prev=>prev.map(p=>p.id===it.id?{...p, noSample:e.target.value}:p))} />
+                <button className="px-3 py-2 rounded-xl bg-slate-100 hover:bg-slate-200" onClick={()=>setShowShare(true)}>{t('editor.share')}</button>
+                <button className="px-3 py-2 rounded-xl bg-slate-100 hover:bg-slate-200" onClick={()=>setShowBackups(true)}>{t('editor.backups')}</button>
+                <ImportButton onImport={(text, fileName)=>setImportDraft({ text, fileName })} />
+              </div>
+            </div>
+            <label className="mb-3 text-sm flex items-center gap-2">
+              <span className="text-slate-600">{t('editor.defaultLang')}</span>
+              <select className="px-2 py-1 rounded-lg border" value={defaultLang} onChange={e=>setDefaultLang(e.target.value)}>
+                {LANGUAGES.map(l => <option key={l.id} value={l.id}>{l.label}</option>)}
+              </select>
+              <span className="text-xs text-slate-500">{t('editor.defaultLangHint')}</span>
+            </label>
+
+            <ItemFilters filter={itemFilter} tags={itemTags} shown={filteredItems.length} total={items.length} onChange={changeItemFilter} />
+            {showDuplicates && (
+              <DuplicatesPanel
+                groups={duplicateGroups}
+                items={items}
+                onMerge={(ids)=>setItems(prev=>mergeDuplicates(prev, ids), 'merge')}
+                onIgnore={(ids)=>setIgnoredDuplicates(prev=>[...prev, ids.join(',')])}
+                onClose={()=>setShowDuplicates(false)}
+              />
+            )}
+            {items.length > 0 && (
+              <SelectionBar
+                count={selection.length}
+                shown={filteredItems.length}
+                topics={topics}
+                onSelectShown={()=>setSelectedIds(Array.from(new Set([...selection, ...filteredItems.map(it => it.id)])))}
+                onClear={()=>setSelectedIds([])}
+                onSetTopic={(topic)=>setItems(prev=>updateItems(prev, selection, { topic }), 'bulkTopic')}
+                onDelete={deleteSelected}
+              />
+            )}
+
+            <div className="space-y-4">
+              {!filteredItems.length && <div className="text-sm text-slate-500">{items.length ? t('filters.noMatch') : t('editor.emptyDeck')}</div>}
+              {filteredItems.slice(0, shownLimit).map((it) => (
+                <div key={it.id} className={`border rounded-xl p-3 ${current && it.id===current.id ? 'bg-amber-50' : ''}`}>
+                  <div className="flex flex-wrap gap-3 items-center mb-2">
+                    <input type="checkbox" checked={selection.includes(it.id)} onChange={e=>toggleSelected(it.id, e.target.checked)} aria-label={t('selection.select')} />
+                    <span className="text-xs px-2 py-1 rounded bg-slate-100">{t('editor.id', { id: it.id })}</span>
+                    <label className="text-sm flex items-center gap-2">{t('editor.topic')}
+                      <input className="px-2 py-1 border rounded w-56" value={it.topic || ''} onChange={e=>updateItem(it.id, { topic: e.target.value })} />
+                    </label>
+                    <label className="text-sm flex items-center gap-2">{t('editor.type')}
+                      <select className="px-2 py-1 border rounded" value={itemType(it)} onChange={e=>updateItem(it.id, { type: e.target.value === 'yesno' ? undefined : e.target.value })}>
+                        {QUESTION_TYPES.map(type => <option key={type} value={type}>{t(`questionTypes.types.${type}`)}</option>)}
+                      </select>
+                    </label>
+                    <label className="text-sm flex items-center gap-2">{t('editor.lang')}
+                      <select className="px-2 py-1 border rounded" value={it.lang || ''} onChange={e=>updateItem(it.id, { lang: e.target.value || undefined })}>
+                        <option value="">{t('editor.langDefault', { lang: getLanguagePack(defaultLang).label })}</option>
+                        {LANGUAGES.map(l => <option key={l.id} value={l.id}>{l.label}</option>)}
+                      </select>
+                    </label>
+                    <label className="text-sm flex items-center gap-2">{t('editor.difficulty')}
+                      <select className="px-2 py-1 border rounded" value={it.difficulty || ''} onChange={e=>updateItem(it.id, { difficulty: parseDifficulty(e.target.value) })}>
+                        <option value="">{t('editor.difficultyNone')}</option>
+                        {DIFFICULTIES.map(d => <option key={d} value={d}>{t(`difficulty.${d}`)}</option>)}
+                      </select>
+                    </label>
+                    <span className="ml-auto" />
+                    {itemType(it) !== 'wh' && <button className="text-blue-600 hover:underline text-sm" onClick={()=>generateForItem(it.id)}>{t('editor.generate')}</button>}
+                    <button className="text-rose-600 hover:underline" onClick={()=>{ if(confirm(t('editor.confirmDelete'))) setItems(prev=>prev.filter(p=>p.id!==it.id), 'delete'); }}>{t('common.delete')}</button>
+                    <label className="text-sm flex items-center gap-2 basis-full">{t('editor.tags')}
+                      <TagsInput className="flex-1 px-2 py-1 border rounded" tags={it.tags} placeholder={t('editor.tagsHint')} onChange={tags=>updateItem(it.id, { tags: tags.length ? tags : undefined })} />
+                    </label>
+                  </div>
+                  <label className="block text-sm mb-2">{t('editor.question')}
+                    <textarea rows={4} className="mt-1 w-full px-3 py-2 border rounded-lg" value={it.question || ''} onChange={e=>updateItem(it.id, { question: e.target.value })} />
                   </label>
+                  <AnswerFields item={it} onChange={patch=>updateItem(it.id, patch)} />
                 </div>
-              </div>
-            ))}
+              ))}
+              {filteredItems.length > shownLimit && (
+                <button className="w-full px-3 py-2 rounded-xl bg-slate-100 hover:bg-slate-200 text-sm" onClick={()=>setShownLimit(n => n + ITEMS_PAGE)}>
+                  {t('filters.showMore', { count: filteredItems.length - shownLimit })}
+                </button>
+              )}
+            </div>
+            </>
+            )}
           </div>
         </div>
+
+        {showShortcuts && <ShortcutsOverlay onClose={()=>setShowShortcuts(false)} />}
+
+        {showMicCheck && (
+          <MicCheck
+            devices={devices}
+            selectedMicId={selectedMicId}
+            onSelectMic={setSelectedMicId}
+            onRefreshDevices={()=>refreshDevices()}
+            streamReady={!!streamLabel}
+            onStartMic={()=>ensureStream(false, { log: false })}
+            audioLevel={audioLevel}
+            threshold={vadThreshold}
+            onMeasureNoise={measureNoise}
+            lang={currentLang}
+            createRecognizer={createRecognizer}
+            onLog={(kind, data)=>diagnostics.log(kind, data)}
+            onClose={()=>setShowMicCheck(false)}
+          />
+        )}
+
+        {showBackups && (
+          <BackupDialog
+            decks={decks}
+            onRestore={(restored)=>{ changeDecks(restored, 'restore'); setShowBackups(false); }}
+            onClose={()=>setShowBackups(false)}
+          />
+        )}
+
+        {showShare && <ShareDialog deck={activeDeck} onClose={()=>setShowShare(false)} />}
+
+        {importDraft && (
+          <ImportDialog
+            text={importDraft.text}
+            fileName={importDraft.fileName}
+            items={items}
+            reservedIds={reservedIds}
+            onApply={(next)=>{
+              addSnapshot(decks, 'import').catch(e => console.warn('snapshot failed', e));
+              setItems(next, 'import'); setImportDraft(null);
+            }}
+            onClose={()=>setImportDraft(null)}
+          />
+        )}
+
+        {summarySessionId && (
+          <SessionSummary
+            attempts={summaryAttempts}
+            items={libraryItems}
+            onClose={()=>setSummarySessionId(null)}
+            onRetryMissed={(ids)=>startSession(ids)}
+          />
+        )}
       </div>
-    </div>
+
+      {/* 印刷時はレポートだけを出す */}
+      {showReport && (
+        <TeacherReport
+          profiles={profiles}
+          activeProfileId={activeProfile.id}
+          activeHistory={history}
+          onClose={()=>setShowReport(false)}
+        />
+      )}
+    </I18nContext.Provider>
   );
 }
 
 // ====== ImportButton ======
 function ImportButton({ onImport }) {
+  const t = useI18n();
   const inputRef = useRef(null);
   return (
     <>
       <input
         ref={inputRef}
         type="file"
-        accept="application/json"
+        accept=".json,.csv,.tsv,.txt,application/json,text/csv,text/tab-separated-values,text/plain"
         className="hidden"
         onChange={(e) => {
           const file = e.target.files?.[0];
           if (!file) return;
           const reader = new FileReader();
-          reader.onload = () => onImport?.(String(reader.result || ""));
+          reader.onload = () => onImport?.(String(reader.result || ""), file.name);
           reader.readAsText(file);
+          e.target.value = ""; // 同じファイルを続けて選べるように
         }}
       />
       <button className="px-3 py-2 rounded-xl bg-slate-100 hover:bg-slate-200" onClick={() => inputRef.current?.click()}>
-        インポート
+        {t('editor.import')}
       </button>
     </>
   );
@@ -0,0 +1,13 @@
+import { describe, it, expect } from "vitest";
+import React from "react";
+import { renderToString } from "react-dom/server";
+import App from "./App.jsx";
+
+// 画面全体が最初の描画で落ちないこと（effect は動かさず、描画だけを確かめる）
+describe("App", () => {
+  it("renders the first screen with the built-in questions", () => {
+    const html = renderToString(<App />);
+    expect(html).toContain("<h1");
+    expect(html).toContain("Do you like coffee?");
+  });
+});
@@ -0,0 +1,46 @@
+import React from "react";
+import { itemType, isPolar } from "../lib/questionTypes.js";
+import { useI18n } from "../lib/i18n.js";
+
+// 1 行 = 1 つ。編集中の空行は残し、採点側（parseAnswerList）で捨てる
+const linesOf = (v) => (Array.isArray(v) ? v.join("\n") : v || "");
+const toLines = (text) => text.split("\n");
+
+// ====== AnswerFields ======
+// 問題の種類ごとの答えの欄（yes/no サンプル・選択肢・正解とする答え）
+export default function AnswerFields({ item, onChange }) {
+  const t = useI18n();
+  const type = itemType(item);
+  const textareaClass = "mt-1 w-full px-3 py-2 border rounded-lg";
+
+  if (isPolar(item)) {
+    return (
+      <div className="grid md:grid-cols-2 gap-3">
+        <label className="text-sm">{t("editor.yesSample")}
+          <textarea rows={3} className={textareaClass} value={item.yesSample || ""} onChange={e => onChange({ yesSample: e.target.value })} />
+        </label>
+        <label className="text-sm">{t("editor.noSample")}
+          <textarea rows={2} className={textareaClass} value={item.noSample || ""} onChange={e => onChange({ noSample: e.target.value })} />
+        </label>
+      </div>
+    );
+  }
+  if (type === "choice") {
+    return (
+      <div className="grid md:grid-cols-2 gap-3">
+        <label className="text-sm">{t("editor.choices")}
+          <textarea rows={3} className={textareaClass} placeholder={"tea\ncoffee"} value={linesOf(item.choices)} onChange={e => onChange({ choices: toLines(e.target.value) })} />
+        </label>
+        <label className="text-sm">{t("editor.modelAnswers")}
+          <textarea rows={3} className={textareaClass} placeholder={"I'd like tea.\nCoffee, please."} value={linesOf(item.answers)} onChange={e => onChange({ answers: toLines(e.target.value) })} />
+        </label>
+      </div>
+    );
+  }
+  return (
+    <label className="block text-sm">{t("editor.acceptedAnswers")}
+      <textarea rows={3} className={textareaClass} placeholder={"I live in Tokyo.\nIn Tokyo."} value={linesOf(item.answers)} onChange={e => onChange({ answers: toLines(e.target.value) })} />
+      <span className="text-xs text-slate-500">{t("editor.acceptedAnswersHint")}</span>
+    </label>
+  );
+}
@@ -0,0 +1,58 @@
+import React, { useEffect, useState } from "react";
+import { listSnapshots, addSnapshot, deleteSnapshot, snapshotDecks } from "../lib/storage.js";
+import { useI18n } from "../lib/i18n.js";
+
+// ====== BackupDialog ======
+// 自動スナップショットの一覧と復元（全デッキまとめて）
+export default function BackupDialog({ decks, onRestore, onClose }) {
+  const t = useI18n();
+  const [snapshots, setSnapshots] = useState(null);
+  const [error, setError] = useState("");
+
+  function reload() {
+    listSnapshots().then(setSnapshots).catch(e => setError(String(e?.message || e)));
+  }
+  useEffect(() => { reload(); }, []);
+
+  async function run(fn) {
+    try { setError(""); await fn(); reload(); }
+    catch (e) { setError(String(e?.message || e)); }
+  }
+
+  return (
+    <div className="fixed inset-0 bg-black/40 flex items-center justify-center p-4 z-10">
+      <div className="bg-white rounded-2xl shadow p-5 w-full max-w-lg max-h-[90vh] overflow-auto text-sm">
+        <div className="flex items-center justify-between mb-3">
+          <h2 className="text-lg font-semibold">{t("backup.title")}</h2>
+          <button className="px-3 py-1 rounded-lg bg-slate-100 hover:bg-slate-200" onClick={() => run(() => addSnapshot(decks, "manual"))}>{t("backup.now")}</button>
+        </div>
+        {error && <div className="text-rose-600 mb-2">{error}</div>}
+        {!snapshots ? (
+          <div className="text-slate-500">{t("common.loading")}</div>
+        ) : !snapshots.length ? (
+          <div className="text-slate-500">{t("backup.empty")}</div>
+        ) : (
+          <ul className="divide-y">
+            {snapshots.map(s => (
+              <li key={s.id} className="py-2 flex items-center gap-2">
+                <span className="flex-1">
+                  {t.formatDate(s.ts)}
+                  <span className="ml-2 text-xs text-slate-500">{t(`backup.reasons.${s.reason}`)} ・ {t("common.itemCount", { count: s.count ?? s.items.length })}</span>
+                </span>
+                <button className="text-blue-600 hover:underline" onClick={() => run(async () => {
+                  if (!confirm(t("backup.confirmRestore"))) return;
+                  await addSnapshot(decks, "restore");
+                  onRestore(snapshotDecks(s));
+                })}>{t("backup.restore")}</button>
+                <button className="text-rose-600 hover:underline" onClick={() => run(() => deleteSnapshot(s.id))}>{t("common.delete")}</button>
+              </li>
+            ))}
+          </ul>
+        )}
+        <div className="flex justify-end mt-4">
+          <button className="px-3 py-2 rounded-xl bg-slate-100 hover:bg-slate-200" onClick={onClose}>{t("common.close")}</button>
+        </div>
+      </div>
+    </div>
+  );
+}
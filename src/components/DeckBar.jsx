@@ -0,0 +1,38 @@
+import React from "react";
+import { useI18n } from "../lib/i18n.js";
+
+// ====== DeckBar ======
+// デッキの切り替え・作成・名前変更・複製・削除
+export default function DeckBar({ decks, activeDeckId, onSelect, onAdd, onRename, onDuplicate, onDelete }) {
+  const t = useI18n();
+  const active = decks.find(d => d.id === activeDeckId) || decks[0];
+
+  const askName = (message, initial) => {
+    const name = prompt(message, initial);
+    return name && name.trim() ? name.trim() : null;
+  };
+
+  return (
+    <div className="mb-3 flex flex-wrap items-center gap-2 text-sm">
+      <span className="text-slate-600">{t("decks.label")}</span>
+      <select className="px-2 py-1 rounded-lg border" value={active.id} onChange={e => onSelect(Number(e.target.value))}>
+        {decks.map(d => <option key={d.id} value={d.id}>{t("decks.option", { name: d.name, count: d.items.length })}</option>)}
+      </select>
+      <button className="px-2 py-1 rounded-lg bg-slate-100 hover:bg-slate-200" onClick={() => {
+        const name = askName(t("decks.promptNew"), t("decks.defaultName", { number: decks.length + 1 }));
+        if (name) onAdd(name);
+      }}>{t("decks.add")}</button>
+      <button className="px-2 py-1 rounded-lg bg-slate-100 hover:bg-slate-200" onClick={() => {
+        const name = askName(t("decks.promptRename"), active.name);
+        if (name) onRename(active.id, name);
+      }}>{t("decks.rename")}</button>
+      <button className="px-2 py-1 rounded-lg bg-slate-100 hover:bg-slate-200" onClick={() => {
+        const name = askName(t("decks.promptNew"), t("decks.copyName", { name: active.name }));
+        if (name) onDuplicate(active.id, name);
+      }}>{t("decks.duplicate")}</button>
+      <button className="px-2 py-1 rounded-lg text-rose-600 hover:bg-rose-50 disabled:opacity-40" disabled={decks.length < 2} title={decks.length < 2 ? t("decks.lastDeck") : undefined} onClick={() => {
+        if (confirm(t("decks.confirmDelete", { name: active.name, count: active.items.length }))) onDelete(active.id);
+      }}>{t("common.delete")}</button>
+    </div>
+  );
+}
@@ -0,0 +1,64 @@
+import React, { useState } from "react";
+import { diagnosticsText } from "../lib/diagnostics.js";
+import { useI18n } from "../lib/i18n.js";
+
+const KIND_CLASS = {
+  final: "text-slate-800",
+  interim: "text-slate-400",
+  error: "text-rose-600",
+  permission: "text-amber-700",
+  mic: "text-amber-700",
+  check: "text-blue-700",
+};
+
+// ====== DiagnosticsPanel ======
+// 認識の状態と記録（時刻・interim / final・yes/no の判定・エラー）。コピーして問い合わせに貼れる
+export default function DiagnosticsPanel({ entries, status, onClear, onMicCheck }) {
+  const t = useI18n();
+  const [copied, setCopied] = useState(false);
+  const rows = [
+    ["backend", status.backend],
+    ["permission", status.permission || t("diagnostics.unknown")],
+    ["mic", status.mic || t("diagnostics.noStream")],
+    ["online", status.online ? "online" : "offline"],
+    ["listening", status.listening ? "yes" : "no"],
+  ];
+  const copy = () => {
+    const header = [navigator.userAgent, ...rows.map(([k, v]) => `${k}: ${v}`), ""];
+    navigator.clipboard?.writeText(diagnosticsText(entries, header))
+      .then(() => { setCopied(true); setTimeout(() => setCopied(false), 2000); })
+      .catch(e => console.warn("copy failed", e));
+  };
+  return (
+    <div className="space-y-2">
+      <dl className="grid grid-cols-[auto_1fr] gap-x-3 gap-y-0.5 text-xs">
+        {rows.map(([k, v]) => (
+          <React.Fragment key={k}>
+            <dt className="text-slate-500">{t(`diagnostics.status.${k}`)}</dt>
+            <dd className="font-mono">{v}</dd>
+          </React.Fragment>
+        ))}
+      </dl>
+      <div className="flex flex-wrap gap-2">
+        <button className="px-2 py-1 rounded-lg bg-blue-600 text-white hover:bg-blue-700 text-xs" onClick={onMicCheck}>{t("micCheck.open")}</button>
+        <button className="px-2 py-1 rounded-lg bg-slate-100 hover:bg-slate-200 text-xs" onClick={copy} disabled={!entries.length}>{copied ? t("diagnostics.copied") : t("diagnostics.copy")}</button>
+        <button className="px-2 py-1 rounded-lg bg-slate-100 hover:bg-slate-200 text-xs" onClick={onClear} disabled={!entries.length}>{t("diagnostics.clear")}</button>
+      </div>
+      <div className="max-h-60 overflow-auto border rounded-lg bg-slate-50 p-2 font-mono text-xs">
+        {!entries.length && <div className="text-slate-400">{t("diagnostics.empty")}</div>}
+        {entries.map((e, i) => (
+          <div key={i} className={`flex gap-2 ${KIND_CLASS[e.kind] || "text-slate-600"}`}>
+            <span className="text-slate-400 shrink-0">{new Date(e.ts).toLocaleTimeString()}</span>
+            <span className="w-16 shrink-0">{t(`diagnostics.kinds.${e.kind}`)}</span>
+            <span className="flex-1 break-all">
+              {e.code && <span className="mr-1">[{e.code}]</span>}
+              {e.text != null && <span className="mr-1">“{e.text}”</span>}
+              {e.decision !== undefined && <span className="mr-1 font-semibold">→ {e.decision ? e.decision.toUpperCase() : t("diagnostics.noDecision")}</span>}
+              {e.detail && <span className="text-slate-500">{e.detail}</span>}
+            </span>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,78 @@
+import React, { useState } from "react";
+import { checkDictation } from "../lib/dictation.js";
+import { useI18n } from "../lib/i18n.js";
+
+const PART_CLASS = {
+  same: "text-emerald-700",
+  missing: "text-rose-600 bg-rose-50 underline decoration-wavy",
+  extra: "text-amber-600 line-through",
+};
+
+const SLOW_RATE = 0.7; // 「ゆっくり」の速さ（設定の速さに対する割合）
+
+// ====== DictationPanel ======
+// お手本の文を聞いて入力 → Enter で文字単位の違いを表示、もう一度 Enter で次の文へ
+// デッキ・テーマが変わったら key を変えて最初の文からやり直す
+export default function DictationPanel({ sentences, rate, onSpeak }) {
+  const t = useI18n();
+  const [index, setIndex] = useState(0);
+  const [typed, setTyped] = useState("");
+  const [result, setResult] = useState(null);
+  const sentence = sentences.length ? sentences[Math.min(index, sentences.length - 1)] : null;
+
+  function move(delta) {
+    const n = sentences.length;
+    const next = n ? (index + delta + n) % n : 0;
+    setIndex(next);
+    setTyped("");
+    setResult(null);
+    if (sentences[next]) onSpeak(sentences[next], rate);
+  }
+
+  function onKeyDown(e) {
+    if (e.key !== "Enter" || !sentence) return;
+    e.preventDefault();
+    if (result) move(1);
+    else setResult(checkDictation(sentence.text, typed));
+  }
+
+  return (
+    <div className="border rounded-xl p-4 mb-4">
+      <div className="text-slate-500 text-xs mb-1">
+        {t("dictation.label")}
+        {sentence && <span className="ml-2">{t("shadowing.position", { current: index + 1, total: sentences.length })}</span>}
+      </div>
+      <div className="flex flex-wrap items-center gap-2">
+        <button className="px-4 py-2 rounded-xl bg-blue-600 text-white hover:bg-blue-700" onClick={() => onSpeak(sentence, rate)} disabled={!sentence}>{t("dictation.play")}</button>
+        <button className="px-3 py-2 rounded-xl bg-slate-100 hover:bg-slate-200 text-sm" onClick={() => onSpeak(sentence, Math.round(rate * SLOW_RATE * 100) / 100)} disabled={!sentence}>{t("dictation.slow")}</button>
+        <button className="px-3 py-2 rounded-xl bg-slate-100 hover:bg-slate-200 text-sm" onClick={() => move(-1)} disabled={!sentence}>{t("shadowing.previous")}</button>
+        <button className="px-3 py-2 rounded-xl bg-slate-100 hover:bg-slate-200 text-sm" onClick={() => move(1)} disabled={!sentence}>{t("shadowing.next")}</button>
+      </div>
+      <input
+        className="mt-3 w-full px-3 py-2 border rounded-lg font-mono"
+        value={typed}
+        onChange={e => { setTyped(e.target.value); setResult(null); }}
+        onKeyDown={onKeyDown}
+        placeholder={sentence ? t("dictation.placeholder") : t("shadowing.empty")}
+        disabled={!sentence}
+        lang={sentence?.lang}
+        autoComplete="off"
+        spellCheck={false}
+      />
+      {result && (
+        <div className="mt-3 text-sm">
+          <div className="flex items-center gap-3">
+            <span className="text-base font-semibold text-slate-800">{t("dictation.score", { score: result.score })}</span>
+            <span className="text-xs text-slate-500">{result.errors ? t("dictation.errors", { count: result.errors }) : t("dictation.perfect")}</span>
+            <span className="ml-auto text-xs text-slate-400">{t("dictation.enterNext")}</span>
+          </div>
+          <div className="mt-1 font-mono text-base whitespace-pre-wrap">
+            {result.parts.map((p, i) => (
+              <span key={i} className={PART_CLASS[p.type]} title={p.type === "same" ? undefined : t(`dictation.parts.${p.type}`)}>{p.text}</span>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
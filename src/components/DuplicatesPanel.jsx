@@ -0,0 +1,38 @@
+import React from "react";
+import { topicOf } from "../lib/trainer.js";
+import { useI18n } from "../lib/i18n.js";
+
+// ====== DuplicatesPanel ======
+// 問題文が同じ・ほとんど同じ問題のまとまり。統合すると最初の問題に残りをまとめる（元に戻せる）
+export default function DuplicatesPanel({ groups, items, onMerge, onIgnore, onClose }) {
+  const t = useI18n();
+  const byId = new Map(items.map(it => [it.id, it]));
+  return (
+    <div className="mb-3 rounded-xl border border-amber-300 bg-amber-50 p-3 text-sm">
+      <div className="flex items-center gap-2 mb-2">
+        <span className="font-semibold flex-1">{groups.length ? t("duplicates.title", { count: groups.length }) : t("duplicates.none")}</span>
+        <button className="px-2 py-1 rounded-lg bg-white border hover:bg-slate-100" onClick={onClose}>{t("common.close")}</button>
+      </div>
+      <div className="space-y-2">
+        {groups.map(group => (
+          <div key={group.ids.join(",")} className="rounded-lg bg-white border p-2">
+            <div className="text-xs text-slate-500 mb-1">{t(group.exact ? "duplicates.exact" : "duplicates.near")}</div>
+            <ul className="space-y-0.5">
+              {group.ids.map((id, i) => (
+                <li key={id} className={i === 0 ? "font-semibold" : ""}>
+                  <span className="text-xs px-1.5 py-0.5 rounded bg-slate-100 mr-2">{t("editor.id", { id })}</span>
+                  <span className="text-xs text-slate-500 mr-2">{topicOf(byId.get(id))}</span>
+                  {byId.get(id)?.question}
+                </li>
+              ))}
+            </ul>
+            <div className="mt-2 flex gap-2">
+              <button className="px-2 py-1 rounded-lg bg-amber-600 text-white hover:bg-amber-700" onClick={() => onMerge(group.ids)}>{t("duplicates.merge", { id: group.ids[0] })}</button>
+              <button className="px-2 py-1 rounded-lg bg-slate-100 hover:bg-slate-200" onClick={() => onIgnore(group.ids)}>{t("duplicates.ignore")}</button>
+            </div>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
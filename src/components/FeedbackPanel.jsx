@@ -0,0 +1,84 @@
+import React from "react";
+import { feedbackText } from "../lib/grader.js";
+import { targetLabel } from "../lib/questionTypes.js";
+import { useI18n } from "../lib/i18n.js";
+
+const WORD_CLASS = {
+  ok: "text-emerald-700",
+  missed: "text-slate-400 line-through",
+  mispronounced: "text-rose-600 underline decoration-wavy",
+  unclear: "text-amber-600 underline decoration-dotted",
+};
+
+// ====== FeedbackPanel ======
+// 直前の問題の採点（短い答えの形・流暢さスコア・単語ごとのハイライト）
+export default function FeedbackPanel({ feedback, onCompare }) {
+  const t = useI18n();
+  const fluency = feedback.fluency;
+  return (
+    <div className="border rounded-xl p-4 mb-4 text-sm">
+      <div className="flex items-center gap-2 mb-1">
+        <div className="flex-1 text-slate-500 text-xs">{t("feedback.title", { question: feedback.question })}</div>
+        {feedback.latencyMs != null && <span className="text-xs text-slate-500">{t("feedback.latency", { value: (feedback.latencyMs / 1000).toFixed(1) })}</span>}
+        {feedback.clip && (
+          <button className="px-2 py-1 rounded-lg bg-slate-100 hover:bg-slate-200 text-xs" onClick={() => onCompare(feedback.clip.blob, feedback.item)}>
+            {t("feedback.compare")}
+          </button>
+        )}
+      </div>
+      {Object.keys(feedback.grades).map(pol => {
+        const g = feedback.grades[pol];
+        const ok = g?.result === 'correct';
+        const words = fluency?.words?.[pol];
+        return (
+          <div key={pol} className="flex gap-2 items-start mt-1">
+            <span className={`w-10 font-semibold ${ok ? 'text-emerald-600' : 'text-rose-600'}`}>{targetLabel(pol, t)}</span>
+            <span className="flex-1">
+              {g?.said && <span className="font-mono mr-2">“{g.said}”</span>}
+              <span className={ok ? 'text-emerald-700' : 'text-rose-700'}>{feedbackText(g, t)}</span>
+              {words?.length > 0 && (
+                <span className="block font-mono text-xs mt-0.5">
+                  {words.map((w, i) => (
+                    <span key={i} className={`mr-1 ${WORD_CLASS[w.status]}`} title={w.status === "ok" ? undefined : t(`feedback.words.${w.status}`)}>{w.word}</span>
+                  ))}
+                </span>
+              )}
+            </span>
+          </div>
+        );
+      })}
+      {feedback.opposite && (
+        <div className="flex gap-2 items-start mt-1">
+          <span className="w-10 font-semibold text-rose-600">{targetLabel(feedback.opposite.target, t)}</span>
+          <span className="flex-1">
+            <span className="font-mono mr-2">“{feedback.opposite.said}”</span>
+            <span className="text-rose-700">{t("feedback.opposite", { target: targetLabel(Object.keys(feedback.grades)[0], t) })}</span>
+          </span>
+        </div>
+      )}
+      {fluency && (
+        <div className="mt-2 pt-2 border-t flex flex-wrap items-center gap-3 text-xs text-slate-600">
+          <span className="text-base font-semibold text-slate-800">{t("feedback.score", { score: fluency.score })}</span>
+          <Meter label={t("feedback.match")} value={fluency.components.match} />
+          <Meter label={t("feedback.confidence")} value={fluency.components.confidence} />
+          <Meter label={t("feedback.rate")} value={fluency.components.rate} extra={fluency.wpm != null ? `${fluency.wpm} wpm` : null} />
+          <Meter label={t("feedback.hesitation")} value={fluency.components.hesitation} extra={fluency.hesitations ? t("feedback.hesitations", { count: fluency.hesitations }) : null} />
+        </div>
+      )}
+    </div>
+  );
+}
+
+function Meter({ label, value, extra }) {
+  return (
+    <span className="flex items-center gap-1">
+      {label}
+      {value == null ? <span className="text-slate-400">-</span> : (
+        <span className="inline-block w-12 h-1.5 bg-slate-200 rounded-full overflow-hidden">
+          <span className="block h-full bg-blue-500" style={{ width: `${Math.round(value * 100)}%` }} />
+        </span>
+      )}
+      {extra && <span className="text-slate-400">{extra}</span>}
+    </span>
+  );
+}
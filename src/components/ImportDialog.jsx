@@ -0,0 +1,142 @@
+import React, { useMemo, useState } from "react";
+import { FORMATS, FIELDS, detectFormat, parseDeckText, guessMapping } from "../lib/deckFormat.js";
+import { validateRows, mergeItems } from "../lib/deckMerge.js";
+import { useI18n } from "../lib/i18n.js";
+
+const PREVIEW_ROWS = 20;
+
+// ====== ImportDialog ======
+// 形式の判定 → 列の割り当て → 行ごとの検証結果をプレビューしてから取り込む
+export default function ImportDialog({ text, fileName, items, reservedIds, onApply, onClose }) {
+  const t = useI18n();
+  const [format, setFormat] = useState(() => detectFormat(text, fileName));
+  const [mode, setMode] = useState("append"); // 'replace' | 'append' | 'merge'
+  const [mergeKey, setMergeKey] = useState("id");
+  const [generate, setGenerate] = useState(true);
+
+  const parsed = useMemo(() => {
+    try { return { ...parseDeckText(text, format), error: null }; }
+    catch (e) { return { header: null, rows: [], error: e.code ? t(`import.errors.${e.code}`) : e.message || t("import.readFailed") }; }
+  }, [text, format, t]);
+  const columnCount = useMemo(
+    () => Math.max(parsed.header?.length || 0, ...parsed.rows.map(r => r.length)),
+    [parsed]
+  );
+  const [mappingOverride, setMappingOverride] = useState({});
+  const mapping = useMemo(
+    () => ({ ...guessMapping(parsed.header, columnCount), ...mappingOverride }),
+    [parsed, columnCount, mappingOverride]
+  );
+
+  const results = useMemo(() => validateRows(parsed.rows, mapping, { generate }), [parsed, mapping, generate]);
+  const valid = useMemo(() => results.filter(r => r.item).map(r => r.item), [results]);
+  const invalidCount = results.length - valid.length;
+  const preview = useMemo(() => mergeItems(items, valid, mode, mergeKey, reservedIds).stats, [items, valid, mode, mergeKey, reservedIds]);
+
+  const columnLabel = (i) => parsed.header?.[i] ? `${i + 1}: ${parsed.header[i]}` : t("import.column", { index: i + 1 });
+  const issueText = (m) => t(`import.issues.${m.code}`, m.params);
+  const cellText = (v) => (Array.isArray(v) ? v.join(", ") : v ?? t("import.auto"));
+
+  function apply() {
+    if (mode === "replace" && !confirm(t("import.confirmReplace", { count: items.length }))) return;
+    const { items: next, stats } = mergeItems(items, valid, mode, mergeKey, reservedIds);
+    onApply(next, stats);
+  }
+
+  return (
+    <div className="fixed inset-0 bg-black/40 flex items-center justify-center p-4 z-10">
+      <div className="bg-white rounded-2xl shadow p-5 w-full max-w-4xl max-h-[90vh] overflow-auto text-sm">
+        <h2 className="text-lg font-semibold mb-3">{t("import.title", { name: fileName || t("import.file") })}</h2>
+
+        <div className="flex flex-wrap gap-4 items-center mb-3">
+          <label className="flex items-center gap-2">{t("import.format")}
+            <select className="px-2 py-1 rounded-lg border" value={format} onChange={e => { setFormat(e.target.value); setMappingOverride({}); }}>
+              {FORMATS.map(f => <option key={f} value={f}>{f.toUpperCase()}</option>)}
+            </select>
+          </label>
+          <label className="flex items-center gap-2">
+            <input type="checkbox" checked={generate} onChange={e => setGenerate(e.target.checked)} />{t("import.generate")}
+          </label>
+        </div>
+
+        {parsed.error ? (
+          <div className="text-rose-600 mb-3">{parsed.error}</div>
+        ) : (
+          <>
+            <div className="grid grid-cols-3 md:grid-cols-6 gap-2 mb-3">
+              {FIELDS.map(f => (
+                <label key={f} className="flex flex-col gap-1">
+                  <span className="text-xs text-slate-500">{f}</span>
+                  <select className="px-2 py-1 rounded-lg border" value={mapping[f]} onChange={e => setMappingOverride(prev => ({ ...prev, [f]: Number(e.target.value) }))}>
+                    <option value={-1}>{t("import.none")}</option>
+                    {Array.from({ length: columnCount }, (_, i) => <option key={i} value={i}>{columnLabel(i)}</option>)}
+                  </select>
+                </label>
+              ))}
+            </div>
+
+            <div className="border rounded-xl overflow-auto mb-3">
+              <table className="w-full text-xs">
+                <thead className="bg-slate-50">
+                  <tr>
+                    <th className="p-1 text-left">{t("import.row")}</th>
+                    {FIELDS.map(f => <th key={f} className="p-1 text-left">{f}</th>)}
+                    <th className="p-1 text-left">{t("import.validation")}</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {results.slice(0, PREVIEW_ROWS).map((r, i) => (
+                    <tr key={r.row} className={r.errors.length ? "bg-rose-50" : r.warnings.length ? "bg-amber-50" : ""}>
+                      <td className="p-1 text-slate-400">{r.row}</td>
+                      {FIELDS.map(f => <td key={f} className="p-1">{r.item ? cellText(r.item[f]) : (mapping[f] >= 0 ? parsed.rows[i][mapping[f]] : "")}</td>)}
+                      <td className="p-1">
+                        {r.errors.map(m => <div key={m.code + (m.params?.field || "")} className="text-rose-600">{issueText(m)}</div>)}
+                        {r.warnings.map(m => <div key={m.code} className="text-amber-700">{issueText(m)}</div>)}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+              {results.length > PREVIEW_ROWS && <div className="p-1 text-xs text-slate-500">{t("import.moreRows", { count: results.length - PREVIEW_ROWS })}</div>}
+            </div>
+
+            {invalidCount > 0 && (
+              <details className="mb-3 text-rose-600">
+                <summary>{t("import.invalidRows", { count: invalidCount })}</summary>
+                <ul className="mt-1 text-xs">
+                  {results.filter(r => r.errors.length).map(r => <li key={r.row}>{t("import.rowError", { row: r.row, messages: r.errors.map(issueText).join(" / ") })}</li>)}
+                </ul>
+              </details>
+            )}
+          </>
+        )}
+
+        <div className="flex flex-wrap gap-4 items-center mb-3">
+          {["append", "merge", "replace"].map(m => (
+            <label key={m} className="flex items-center gap-1">
+              <input type="radio" name="import-mode" checked={mode === m} onChange={() => setMode(m)} />
+              {t(`import.modes.${m}`)}
+            </label>
+          ))}
+          {mode === "merge" && (
+            <label className="flex items-center gap-2">{t("import.mergeKey")}
+              <select className="px-2 py-1 rounded-lg border" value={mergeKey} onChange={e => setMergeKey(e.target.value)}>
+                {["id", "question"].map(k => <option key={k} value={k}>{t(`import.mergeKeys.${k}`)}</option>)}
+              </select>
+            </label>
+          )}
+        </div>
+        <div className="text-slate-600 mb-4">
+          {t("import.preview", { valid: valid.length, ...preview })}
+        </div>
+
+        <div className="flex justify-end gap-2">
+          <button className="px-3 py-2 rounded-xl bg-slate-100 hover:bg-slate-200" onClick={onClose}>{t("common.cancel")}</button>
+          <button className="px-3 py-2 rounded-xl bg-blue-600 text-white hover:bg-blue-700 disabled:opacity-50" disabled={!valid.length} onClick={apply}>
+            {t("import.apply")}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,35 @@
+import React from "react";
+import { DIFFICULTIES, EMPTY_FILTER, isFiltered } from "../lib/decks.js";
+import { useI18n } from "../lib/i18n.js";
+
+// ====== ItemFilters ======
+// スクリプト一覧の検索・絞り込み。filter = { text, tag, difficulty }
+export default function ItemFilters({ filter, tags, shown, total, onChange }) {
+  const t = useI18n();
+  const set = (patch) => onChange({ ...filter, ...patch });
+  return (
+    <div className="mb-3 flex flex-wrap items-center gap-2 text-sm">
+      <input
+        type="search"
+        className="flex-1 min-w-40 px-3 py-1 border rounded-lg"
+        placeholder={t("filters.search")}
+        aria-label={t("filters.search")}
+        value={filter.text}
+        onChange={e => set({ text: e.target.value })}
+      />
+      <select className="px-2 py-1 rounded-lg border" value={filter.tag} onChange={e => set({ tag: e.target.value })} aria-label={t("filters.tag")}>
+        <option value="">{t("filters.allTags")}</option>
+        {tags.map(tag => <option key={tag} value={tag}>#{tag}</option>)}
+      </select>
+      <select className="px-2 py-1 rounded-lg border" value={filter.difficulty} onChange={e => set({ difficulty: e.target.value })} aria-label={t("filters.difficulty")}>
+        <option value="">{t("filters.allDifficulties")}</option>
+        {DIFFICULTIES.map(d => <option key={d} value={d}>{t(`difficulty.${d}`)}</option>)}
+        <option value="none">{t("filters.noDifficulty")}</option>
+      </select>
+      <span className="text-xs text-slate-500">{t("filters.count", { shown, total })}</span>
+      {isFiltered(filter) && (
+        <button className="text-xs text-blue-600 hover:underline" onClick={() => onChange(EMPTY_FILTER)}>{t("filters.clear")}</button>
+      )}
+    </div>
+  );
+}
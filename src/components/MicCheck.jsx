@@ -0,0 +1,174 @@
+import React, { useEffect, useRef, useState } from "react";
+import { MIC_CHECK_STEPS, HEARD_LEVEL, mediaErrorCode, noiseVerdict } from "../lib/diagnostics.js";
+import { getLanguagePack, parseYesNo } from "../lib/languages.js";
+import { useI18n } from "../lib/i18n.js";
+
+const NOISE_MS = 2000; // 静かにしてもらう時間
+const PHRASE_MS = 6000; // テストの発話を待つ最大時間
+
+// ====== MicCheck ======
+// マイクの設定を順に確かめる: デバイス → 声が届くか → 周りの雑音 → 認識のテスト
+export default function MicCheck({ devices, selectedMicId, onSelectMic, onRefreshDevices, streamReady, onStartMic, audioLevel, threshold, onMeasureNoise, lang, createRecognizer, onLog, onClose }) {
+  const t = useI18n();
+  const [step, setStep] = useState(0);
+  const [micError, setMicError] = useState(null);
+  const [heard, setHeard] = useState(false);
+  const [noise, setNoise] = useState(null); // null | 'measuring' | ノイズフロアの値
+  const [phrase, setPhrase] = useState({ state: "idle", text: "", decision: null, error: null }); // state: idle | listening | done
+  const recRef = useRef(null);
+  const pack = getLanguagePack(lang);
+  const testWord = pack.yes[0];
+  const key = MIC_CHECK_STEPS[step];
+
+  // 話してもらっている間に一度でも十分な音量が来たら OK
+  useEffect(() => {
+    if (key === "level" && audioLevel > HEARD_LEVEL) setHeard(true);
+  }, [key, audioLevel]);
+
+  useEffect(() => () => { try { recRef.current?.abort(); } catch { /* not started */ } }, []);
+
+  function startMic() {
+    setMicError(null);
+    onStartMic()
+      .then(() => onLog("check", { detail: t("micCheck.log.micReady") }))
+      .catch(e => {
+        const code = mediaErrorCode(e);
+        setMicError(code);
+        onLog("mic", { code, detail: `${e?.name || ""} ${e?.message || ""}`.trim() });
+      });
+  }
+
+  function measureNoise() {
+    setNoise("measuring");
+    onMeasureNoise(NOISE_MS).then(floor => {
+      setNoise(floor);
+      onLog("check", { code: noiseVerdict(floor), detail: t("micCheck.log.noise", { value: floor.toFixed(3) }) });
+    }).catch(e => {
+      // 測れなかったら「測る」ボタンに戻す
+      setNoise(null);
+      onLog("error", { detail: `${e?.name || ""} ${e?.message || ""}`.trim() });
+    });
+  }
+
+  function testPhrase() {
+    try { recRef.current?.abort(); } catch { /* not started */ }
+    let text = "", finished = false, timer = null;
+    const finish = (error = null) => {
+      if (finished) return;
+      finished = true;
+      clearTimeout(timer);
+      const decision = parseYesNo(text, lang);
+      setPhrase({ state: "done", text, decision, error });
+      onLog("check", { text, decision, code: error?.code, detail: t("micCheck.log.phrase", { word: testWord }) });
+      const r = recRef.current;
+      recRef.current = null;
+      try { r?.stop(); } catch { /* not started */ }
+    };
+    setPhrase({ state: "listening", text: "", decision: null, error: null });
+    const rec = createRecognizer({
+      lang: pack.locale,
+      onResult: ({ transcript, isFinal }) => {
+        text = transcript;
+        setPhrase(prev => ({ ...prev, text }));
+        if (isFinal) finish();
+      },
+      onError: (err) => finish(err),
+      onEnd: () => finish(),
+    });
+    recRef.current = rec;
+    timer = setTimeout(() => finish(), PHRASE_MS);
+    try { rec?.start(); } catch (e) { finish({ code: "start-failed", message: String(e?.message || e) }); }
+  }
+
+  const passed = {
+    device: streamReady,
+    level: heard,
+    noise: typeof noise === "number" && noiseVerdict(noise) !== "noisy",
+    phrase: phrase.state === "done" && phrase.decision === "yes",
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black/40 flex items-center justify-center p-4 z-10" onClick={onClose}>
+      <div className="bg-white rounded-2xl shadow p-5 w-full max-w-lg text-sm" onClick={e => e.stopPropagation()}>
+        <h2 className="text-lg font-semibold mb-1">{t("micCheck.title")}</h2>
+        <ol className="flex gap-2 mb-4 text-xs">
+          {MIC_CHECK_STEPS.map((s, i) => (
+            <li key={s} className={`px-2 py-1 rounded ${i === step ? "bg-blue-600 text-white" : passed[s] ? "bg-emerald-100 text-emerald-700" : "bg-slate-100 text-slate-500"}`}>
+              {passed[s] && i !== step ? "✓ " : ""}{t(`micCheck.steps.${s}`)}
+            </li>
+          ))}
+        </ol>
+
+        {key === "device" && (
+          <div className="space-y-3">
+            <p>{t("micCheck.device.hint")}</p>
+            <div className="flex items-center gap-2">
+              <select className="flex-1 px-2 py-1 rounded-lg border" value={selectedMicId} onChange={e => onSelectMic(e.target.value)}>
+                {devices.map(d => <option key={d.deviceId} value={d.deviceId}>{d.label || t("mic.unnamed")}</option>)}
+              </select>
+              <button className="px-2 py-1 rounded-lg bg-slate-100 hover:bg-slate-200" onClick={onRefreshDevices}>{t("mic.reload")}</button>
+            </div>
+            <button className="px-3 py-2 rounded-xl bg-slate-100 hover:bg-slate-200" onClick={startMic}>{t("micCheck.device.start")}</button>
+            {streamReady && <div className="text-emerald-700">{t("micCheck.device.ready")}</div>}
+            {micError && <div className="text-rose-600">{t(`mic.errors.${micError}`)}</div>}
+          </div>
+        )}
+
+        {key === "level" && (
+          <div className="space-y-3">
+            <p>{t("micCheck.level.hint")}</p>
+            <div className="relative h-4 bg-slate-200 rounded-full overflow-hidden">
+              <div className="h-full bg-emerald-500 transition-all" style={{ width: `${Math.min(100, Math.round(audioLevel * 100))}%` }} />
+              <div className="absolute top-0 h-full w-0.5 bg-rose-500" style={{ left: `${Math.min(100, Math.round(threshold * 100))}%` }} />
+            </div>
+            <div className={heard ? "text-emerald-700" : "text-slate-500"}>{heard ? t("micCheck.level.heard") : t("micCheck.level.waiting")}</div>
+            {!heard && <div className="text-xs text-slate-500">{t("micCheck.level.trouble")}</div>}
+          </div>
+        )}
+
+        {key === "noise" && (
+          <div className="space-y-3">
+            <p>{t("micCheck.noise.hint", { seconds: NOISE_MS / 1000 })}</p>
+            <button className="px-3 py-2 rounded-xl bg-slate-100 hover:bg-slate-200" onClick={measureNoise} disabled={noise === "measuring" || !streamReady}>
+              {noise === "measuring" ? t("micCheck.noise.measuring") : t("micCheck.noise.measure")}
+            </button>
+            {typeof noise === "number" && (
+              <div className={noiseVerdict(noise) === "noisy" ? "text-rose-600" : "text-emerald-700"}>
+                {t(`micCheck.noise.${noiseVerdict(noise)}`)} <span className="font-mono text-xs text-slate-500">({noise.toFixed(3)})</span>
+              </div>
+            )}
+          </div>
+        )}
+
+        {key === "phrase" && (
+          <div className="space-y-3">
+            <p>{t("micCheck.phrase.hint", { word: testWord })}</p>
+            <button className="px-3 py-2 rounded-xl bg-blue-600 text-white hover:bg-blue-700" onClick={testPhrase} disabled={phrase.state === "listening"}>
+              {phrase.state === "listening" ? t("micCheck.phrase.listening") : t("micCheck.phrase.start")}
+            </button>
+            {phrase.text && <div className="font-mono">“{phrase.text}”</div>}
+            {phrase.state === "done" && (
+              <div className={passed.phrase ? "text-emerald-700" : "text-rose-600"}>
+                {phrase.error ? t("micCheck.phrase.error", { code: phrase.error.code })
+                  : passed.phrase ? t("micCheck.phrase.ok")
+                    : phrase.text ? t("micCheck.phrase.wrong", { word: testWord }) : t("micCheck.phrase.nothing")}
+              </div>
+            )}
+          </div>
+        )}
+
+        <div className="mt-5 flex items-center gap-2">
+          <button className="px-3 py-2 rounded-xl bg-slate-100 hover:bg-slate-200" onClick={() => setStep(s => s - 1)} disabled={step === 0}>{t("micCheck.back")}</button>
+          {step < MIC_CHECK_STEPS.length - 1 ? (
+            <button className="px-3 py-2 rounded-xl bg-slate-800 text-white hover:bg-slate-700" onClick={() => setStep(s => s + 1)}>
+              {passed[key] ? t("micCheck.next") : t("micCheck.skip")}
+            </button>
+          ) : (
+            <span className="text-xs text-slate-500">{t("micCheck.summary", { passed: MIC_CHECK_STEPS.filter(s => passed[s]).length, total: MIC_CHECK_STEPS.length })}</span>
+          )}
+          <button className="ml-auto px-3 py-2 rounded-xl bg-slate-100 hover:bg-slate-200" onClick={onClose}>{t("common.closeEsc")}</button>
+        </div>
+      </div>
+    </div>
+  );
+}
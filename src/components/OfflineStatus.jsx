@@ -0,0 +1,56 @@
+import React from "react";
+import { offlineSupport, offlineVoices } from "../lib/offline.js";
+import { useI18n } from "../lib/i18n.js";
+
+function Row({ ok, children }) {
+  return (
+    <li className="flex gap-2">
+      <span className={ok ? "text-emerald-600" : "text-rose-600"}>{ok ? "✓" : "✗"}</span>
+      <span>{children}</span>
+    </li>
+  );
+}
+
+// ====== OfflineStatus ======
+// オンライン / オフラインの表示と、この端末でオフラインでも使える機能の一覧。
+//   voices は練習中の言語の声、backend は選択中の音声認識 backend
+export default function OfflineStatus({ online, swStatus, voices, langLabel, backend, settings }) {
+  const t = useI18n();
+  const support = offlineSupport({ swStatus, voices, backend, settings });
+  const local = offlineVoices(voices);
+  const backendName = t(`recognition.backends.${backend.id}`);
+  const degraded = !online && !(support.voices && support.recognition); // オフラインで使えない機能がある
+  const badge = online ? "bg-emerald-50 text-emerald-700" : degraded ? "bg-amber-100 text-amber-800" : "bg-slate-100 text-slate-700";
+
+  return (
+    <details className="relative text-sm">
+      <summary className={`list-none cursor-pointer px-2 py-1 rounded-lg ${badge}`} title={t("offline.title")}>
+        {online ? "● " + t("offline.online") : "○ " + t("offline.offline")}
+      </summary>
+      <div className="absolute right-0 z-10 mt-1 w-80 bg-white border rounded-xl shadow p-3 space-y-2">
+        <div className="font-semibold">{t("offline.title")}</div>
+        <ul className="space-y-1">
+          <Row ok={support.app}>
+            {t(`offline.app.${swStatus}`)}
+            {swStatus === "updated" && (
+              <button className="ml-2 px-2 py-0.5 rounded bg-slate-100 hover:bg-slate-200 text-xs" onClick={() => location.reload()}>{t("offline.reload")}</button>
+            )}
+          </Row>
+          <Row ok={support.decks}>{t("offline.decks")}</Row>
+          <Row ok={support.voices}>
+            {support.voices
+              ? t("offline.voices", { lang: langLabel, count: local.length, total: voices.length })
+              : t("offline.noVoices", { lang: langLabel })}
+            {local.length > 0 && (
+              <span className="block text-xs text-slate-500">{local.map(v => v.name).join(", ")}</span>
+            )}
+          </Row>
+          <Row ok={support.recognition}>
+            {t(support.recognition ? "offline.recognitionOk" : "offline.recognitionNg", { backend: backendName })}
+          </Row>
+        </ul>
+        {!support.recognition && <p className="text-xs text-slate-500">{t("offline.recognitionHint")}</p>}
+      </div>
+    </details>
+  );
+}
@@ -0,0 +1,35 @@
+import React from "react";
+import { useI18n } from "../lib/i18n.js";
+
+// ====== ProfileBar ======
+// 学習者の切り替え・追加・名前変更・削除と、先生用レポートを開くボタン
+export default function ProfileBar({ profiles, activeProfileId, onSelect, onAdd, onRename, onDelete, onReport }) {
+  const t = useI18n();
+  const active = profiles.find(p => p.id === activeProfileId) || profiles[0];
+
+  const askName = (message, initial) => {
+    const name = prompt(message, initial);
+    return name && name.trim() ? name.trim() : null;
+  };
+
+  return (
+    <div className="mb-3 flex flex-wrap items-center gap-2 text-sm">
+      <span className="text-slate-600">{t("profiles.label")}</span>
+      <select className="px-2 py-1 rounded-lg border" value={active.id} onChange={e => onSelect(Number(e.target.value))}>
+        {profiles.map(p => <option key={p.id} value={p.id}>{p.name}</option>)}
+      </select>
+      <button className="px-2 py-1 rounded-lg bg-slate-100 hover:bg-slate-200" onClick={() => {
+        const name = askName(t("profiles.promptNew"), t("profiles.defaultName", { number: profiles.length + 1 }));
+        if (name) onAdd(name);
+      }}>{t("profiles.add")}</button>
+      <button className="px-2 py-1 rounded-lg bg-slate-100 hover:bg-slate-200" onClick={() => {
+        const name = askName(t("profiles.promptRename"), active.name);
+        if (name) onRename(active.id, name);
+      }}>{t("profiles.rename")}</button>
+      <button className="px-2 py-1 rounded-lg text-rose-600 hover:bg-rose-50 disabled:opacity-40" disabled={profiles.length < 2} title={profiles.length < 2 ? t("profiles.lastProfile") : undefined} onClick={() => {
+        if (confirm(t("profiles.confirmDelete", { name: active.name }))) onDelete(active.id);
+      }}>{t("common.delete")}</button>
+      <button className="ml-auto px-2 py-1 rounded-lg bg-slate-100 hover:bg-slate-200" onClick={onReport}>{t("profiles.report")}</button>
+    </div>
+  );
+}
@@ -0,0 +1,85 @@
+import React, { useEffect, useMemo, useState } from "react";
+import { listRecordings, deleteRecording } from "../lib/storage.js";
+import { clipExtension } from "../lib/recorder.js";
+import { useI18n } from "../lib/i18n.js";
+
+function downloadClip(r) {
+  const url = URL.createObjectURL(r.blob);
+  const a = document.createElement('a');
+  const stamp = new Date(r.ts).toISOString().replace(/[:.]/g, "-");
+  a.href = url; a.download = `yesno-${r.itemId}-${stamp}.${clipExtension(r.mimeType)}`; a.click();
+  URL.revokeObjectURL(url);
+}
+
+// ====== RecordingsView ======
+// 録音アーカイブ（表示中の学習者の分）。version が変わるたびに読み直す。
+export default function RecordingsView({ items, profileId, version, onCompare }) {
+  const t = useI18n();
+  const [recordings, setRecordings] = useState(null);
+  const [error, setError] = useState("");
+  const [filterId, setFilterId] = useState("all");
+  const [reloadKey, setReloadKey] = useState(0);
+
+  useEffect(() => {
+    let cancelled = false;
+    listRecordings(null, profileId)
+      .then(list => { if (!cancelled) setRecordings(list); })
+      .catch(e => { if (!cancelled) setError(String(e?.message || e)); });
+    return () => { cancelled = true; };
+  }, [profileId, version, reloadKey]);
+
+  const itemIds = useMemo(() => Array.from(new Set((recordings || []).map(r => r.itemId))), [recordings]);
+  const shown = (recordings || []).filter(r => filterId === "all" || String(r.itemId) === filterId);
+  const questionOf = (r) => items.find(it => it.id === r.itemId)?.question || r.question || `ID ${r.itemId}`;
+
+  async function remove(list) {
+    try {
+      await Promise.all(list.map(r => deleteRecording(r.id)));
+      setReloadKey(k => k + 1);
+    } catch (e) { setError(String(e?.message || e)); }
+  }
+
+  if (error) return <div className="text-sm text-rose-600">{error}</div>;
+  if (!recordings) return <div className="text-sm text-slate-500">{t("common.loading")}</div>;
+  if (!recordings.length) return <div className="text-sm text-slate-500">{t("recordings.empty")}</div>;
+
+  return (
+    <div className="space-y-3 text-sm">
+      <div className="flex flex-wrap items-center gap-2">
+        <select className="px-2 py-1 rounded-lg border" value={filterId} onChange={e => setFilterId(e.target.value)}>
+          <option value="all">{t("recordings.all", { count: recordings.length })}</option>
+          {itemIds.map(id => <option key={id} value={String(id)}>ID {id}: {questionOf({ itemId: id })}</option>)}
+        </select>
+        <button className="ml-auto px-3 py-1 rounded-lg bg-slate-100 hover:bg-slate-200" onClick={() => shown.forEach(downloadClip)}>{t("recordings.downloadShown")}</button>
+        <button className="px-3 py-1 rounded-lg text-rose-600 hover:underline" onClick={() => { if (confirm(t("recordings.confirmDeleteShown", { count: shown.length }))) remove(shown); }}>{t("recordings.deleteShown")}</button>
+      </div>
+      <ul className="space-y-2">
+        {shown.map(r => (
+          <li key={r.id} className="border rounded-xl p-3">
+            <div className="flex items-center gap-2 mb-2">
+              <span className="text-xs px-2 py-1 rounded bg-slate-100">ID: {r.itemId}</span>
+              <span className="flex-1 truncate">{questionOf(r)}</span>
+              <span className="text-xs text-slate-500">{t.formatDate(r.ts)} ・ {(r.durationMs / 1000).toFixed(1)}s</span>
+            </div>
+            <div className="flex flex-wrap items-center gap-2">
+              <ClipPlayer blob={r.blob} />
+              <button className="px-2 py-1 rounded-lg bg-slate-100 hover:bg-slate-200" onClick={() => onCompare?.(r)}>{t("recordings.compare")}</button>
+              <button className="px-2 py-1 rounded-lg bg-slate-100 hover:bg-slate-200" onClick={() => downloadClip(r)}>{t("common.download")}</button>
+              <button className="text-rose-600 hover:underline" onClick={() => { if (confirm(t("recordings.confirmDelete"))) remove([r]); }}>{t("common.delete")}</button>
+            </div>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
+
+function ClipPlayer({ blob }) {
+  const [url, setUrl] = useState(null);
+  useEffect(() => {
+    const u = URL.createObjectURL(blob);
+    setUrl(u);
+    return () => URL.revokeObjectURL(u);
+  }, [blob]);
+  return url ? <audio controls src={url} className="h-8" /> : null;
+}
@@ -0,0 +1,40 @@
+import React, { useState } from "react";
+import { useI18n } from "../lib/i18n.js";
+
+// ====== SelectionBar ======
+// スクリプト一覧で選んだ問題の一括操作（テーマの変更・移動、削除）
+export default function SelectionBar({ count, shown, topics, onSelectShown, onClear, onSetTopic, onDelete }) {
+  const t = useI18n();
+  const [topic, setTopic] = useState("");
+  const apply = () => {
+    const name = topic.trim();
+    if (!name) return;
+    onSetTopic(name);
+    setTopic("");
+  };
+  return (
+    <div className="mb-3 flex flex-wrap items-center gap-2 text-sm rounded-xl border bg-slate-50 px-3 py-2">
+      <span className="font-semibold">{t("selection.count", { count })}</span>
+      <button className="px-2 py-1 rounded-lg bg-white border hover:bg-slate-100" onClick={onSelectShown}>{t("selection.selectShown", { count: shown })}</button>
+      {count > 0 && (
+        <>
+          <button className="px-2 py-1 rounded-lg bg-white border hover:bg-slate-100" onClick={onClear}>{t("selection.clear")}</button>
+          <span className="ml-2 text-slate-600">{t("selection.topic")}</span>
+          <input
+            className="px-2 py-1 border rounded-lg w-44"
+            list="selection-topics"
+            value={topic}
+            placeholder={t("selection.topicHint")}
+            onChange={e => setTopic(e.target.value)}
+            onKeyDown={e => { if (e.key === "Enter") apply(); }}
+          />
+          <datalist id="selection-topics">
+            {topics.map(name => <option key={name} value={name} />)}
+          </datalist>
+          <button className="px-2 py-1 rounded-lg bg-white border hover:bg-slate-100" onClick={apply} disabled={!topic.trim()}>{t("selection.move")}</button>
+          <button className="ml-auto px-2 py-1 rounded-lg text-rose-600 hover:bg-rose-50" onClick={onDelete}>{t("selection.delete", { count })}</button>
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,50 @@
+import React, { useMemo } from "react";
+import { summarizeAttempts, isCorrect } from "../lib/history.js";
+import { targetLabel } from "../lib/questionTypes.js";
+import { useI18n } from "../lib/i18n.js";
+
+// ====== SessionSummary ======
+// セッション終了時の結果画面
+export default function SessionSummary({ attempts, items, onClose, onRetryMissed }) {
+  const t = useI18n();
+  const summary = useMemo(() => summarizeAttempts(attempts), [attempts]);
+  const missed = attempts.filter(a => !isCorrect(a));
+  const questionOf = (id) => items.find(it => it.id === id)?.question || `ID ${id}`;
+
+  return (
+    <div className="fixed inset-0 bg-black/40 flex items-center justify-center p-4 z-10">
+      <div className="bg-white rounded-2xl shadow p-5 w-full max-w-lg max-h-[90vh] overflow-auto">
+        <h2 className="text-lg font-semibold mb-1">{t("summary.title")}</h2>
+        <div className="text-sm text-slate-600 mb-4">
+          {t("summary.correct", { correct: summary.correct, total: summary.total, percent: Math.round(summary.accuracy * 100) })}
+          {summary.avgFirstAnswerMs != null && t("summary.avgFirstAnswer", { value: (summary.avgFirstAnswerMs / 1000).toFixed(1) })}
+          {summary.avgLatencyMs != null && t("summary.avgLatency", { value: (summary.avgLatencyMs / 1000).toFixed(1) })}
+          {summary.avgFluency != null && t("summary.avgScore", { score: summary.avgFluency })}
+        </div>
+        <ul className="space-y-1 text-sm mb-4">
+          {attempts.map((a, i) => (
+            <li key={i} className="flex gap-2 items-start">
+              <span className={isCorrect(a) ? "text-emerald-600" : "text-rose-600"}>{isCorrect(a) ? "○" : "×"}</span>
+              <span className="flex-1">
+                {questionOf(a.itemId)}
+                {a.transcript && <span className="block text-xs text-slate-500 font-mono">“{a.transcript}”</span>}
+              </span>
+              <span className="text-xs text-slate-500 whitespace-nowrap">
+                {Object.entries(a.detected).map(([k, ok]) => `${targetLabel(k, t)}${ok ? "✓" : "–"}`).join(" ")}
+                {typeof a.fluency?.score === "number" && <span className="ml-2 font-mono">{t("summary.points", { score: a.fluency.score, count: a.fluency.score })}</span>}
+              </span>
+            </li>
+          ))}
+        </ul>
+        <div className="flex justify-end gap-2">
+          {missed.length > 0 && onRetryMissed && (
+            <button className="px-3 py-2 rounded-xl bg-slate-100 hover:bg-slate-200" onClick={() => onRetryMissed(Array.from(new Set(missed.map(a => a.itemId))))}>
+              {t("summary.retryMissed", { count: new Set(missed.map(a => a.itemId)).size })}
+            </button>
+          )}
+          <button className="px-3 py-2 rounded-xl bg-blue-600 text-white hover:bg-blue-700" onClick={onClose}>{t("common.close")}</button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,62 @@
+import React from "react";
+import { useI18n } from "../lib/i18n.js";
+
+const WORD_CLASS = {
+  ok: "text-emerald-700",
+  missed: "text-slate-400 line-through",
+  mispronounced: "text-rose-600 underline decoration-wavy",
+  unclear: "text-amber-600 underline decoration-dotted",
+};
+
+// ====== ShadowingPanel ======
+// お手本の文・回数と速さの設定・各回の採点（語ごとのハイライト）
+export default function ShadowingPanel({ sentence, count, state, settings, onChange, onPlay, onRestart, onPrevious, onNext, onStop }) {
+  const t = useI18n();
+  const busy = state.phase === "playing" || state.phase === "listening";
+  return (
+    <div className="border rounded-xl p-4 mb-4">
+      <div className="text-slate-500 text-xs mb-1">
+        {t("shadowing.label")}
+        {count > 0 && <span className="ml-2">{t("shadowing.position", { current: state.index + 1, total: count })}</span>}
+      </div>
+      <div className="text-lg font-semibold font-mono">{sentence?.text || t("shadowing.empty")}</div>
+      <div className="mt-1 text-xs text-slate-500">
+        {t(`shadowing.phase.${state.phase}`, { current: state.repeat + 1, total: settings.repeats })}
+        {state.phase === "listening" && state.heard && <span className="ml-2 font-mono text-slate-700">“{state.heard}”</span>}
+      </div>
+
+      {state.results.length > 0 && (
+        <div className="mt-3 space-y-1 text-sm">
+          {state.results.map(r => (
+            <div key={r.repeat} className="flex gap-2 items-start">
+              <span className="w-16 text-xs text-slate-500">{t("shadowing.repeat", { current: r.repeat + 1, rate: r.rate.toFixed(2) })}</span>
+              <span className={`w-12 font-semibold ${r.score >= 80 ? "text-emerald-600" : r.score >= 50 ? "text-amber-600" : "text-rose-600"}`}>{r.score}</span>
+              <span className="flex-1">
+                {r.said ? <span className="font-mono mr-2">“{r.said}”</span> : <span className="text-slate-400 mr-2">{t("shadowing.silent")}</span>}
+                <span className="block font-mono text-xs mt-0.5">
+                  {r.words.map((w, i) => (
+                    <span key={i} className={`mr-1 ${WORD_CLASS[w.status]}`} title={w.status === "ok" ? undefined : t(`feedback.words.${w.status}`)}>{w.word}</span>
+                  ))}
+                </span>
+              </span>
+            </div>
+          ))}
+        </div>
+      )}
+
+      <div className="mt-3 flex flex-wrap items-center gap-2">
+        <button className="px-4 py-2 rounded-xl bg-blue-600 text-white hover:bg-blue-700" onClick={busy ? onStop : onPlay} disabled={!sentence}>
+          {busy ? t("shadowing.stop") : t("shadowing.play")}
+        </button>
+        <button className="px-3 py-2 rounded-xl bg-slate-100 hover:bg-slate-200 text-sm" onClick={onRestart} disabled={!sentence}>{t("shadowing.restart")}</button>
+        <button className="px-3 py-2 rounded-xl bg-slate-100 hover:bg-slate-200 text-sm" onClick={onPrevious} disabled={!sentence}>{t("shadowing.previous")}</button>
+        <button className="px-3 py-2 rounded-xl bg-slate-100 hover:bg-slate-200 text-sm" onClick={onNext} disabled={!sentence}>{t("shadowing.next")}</button>
+        <label className="flex items-center gap-2 text-sm">
+          {t("shadowing.repeats")}
+          <input type="number" className="w-16 px-2 py-1 border rounded-lg" min={1} max={5} value={settings.repeats} onChange={e => onChange({ repeats: Math.max(1, Math.min(5, Number(e.target.value) || 2)) })} />
+        </label>
+        <label className="flex items-center gap-2 text-sm"><input type="checkbox" checked={settings.slower} onChange={e => onChange({ slower: e.target.checked })} />{t("shadowing.slower")}</label>
+      </div>
+    </div>
+  );
+}
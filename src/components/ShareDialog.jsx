@@ -0,0 +1,83 @@
+import React, { useEffect, useMemo, useState } from "react";
+import QRCode from "qrcode";
+import { buildShareLink } from "../lib/deckShare.js";
+import { topicOf } from "../lib/trainer.js";
+import { useI18n } from "../lib/i18n.js";
+
+// ====== ShareDialog ======
+// デッキ全体かテーマ 1 つ分を共有リンクと QR コードにする（プロジェクターに映せるよう拡大表示あり）
+export default function ShareDialog({ deck, onClose }) {
+  const t = useI18n();
+  const topics = useMemo(() => Array.from(new Set(deck.items.map(topicOf))), [deck.items]);
+  const [topic, setTopic] = useState(""); // "" = デッキ全体
+  const items = useMemo(() => (topic ? deck.items.filter(it => topicOf(it) === topic) : deck.items), [deck.items, topic]);
+  const [link, setLink] = useState(null); // { url, qr } か { error }。qr は SVG 文字列、入りきらなければ null
+  const [copied, setCopied] = useState(false);
+  const [large, setLarge] = useState(false);
+
+  useEffect(() => {
+    let cancelled = false;
+    buildShareLink(topic ? `${deck.name} / ${topic}` : deck.name, items).then(async url => {
+      const qr = await QRCode.toString(url, { type: "svg", errorCorrectionLevel: "L", margin: 2 }).catch(() => null);
+      if (!cancelled) { setLink({ url, qr }); setCopied(false); }
+    }).catch(e => {
+      console.warn("share link failed", e);
+      if (!cancelled) setLink({ error: e.code || "encode" });
+    });
+    return () => { cancelled = true; };
+  }, [deck.name, items, topic]);
+
+  const qrSrc = link?.qr ? `data:image/svg+xml;charset=utf-8,${encodeURIComponent(link.qr)}` : null;
+
+  function copy() {
+    navigator.clipboard?.writeText(link.url).then(() => setCopied(true)).catch(() => setCopied(false));
+  }
+
+  return (
+    <div className="fixed inset-0 bg-black/40 flex items-center justify-center p-4 z-10">
+      <div className="bg-white rounded-2xl shadow p-5 w-full max-w-lg max-h-[90vh] overflow-auto text-sm space-y-3">
+        <h2 className="text-lg font-semibold">{t("share.title", { name: deck.name })}</h2>
+        <label className="flex items-center gap-2">{t("share.scope")}
+          <select className="px-2 py-1 rounded-lg border" value={topic} onChange={e => setTopic(e.target.value)}>
+            <option value="">{t("share.wholeDeck")}</option>
+            {topics.map(tp => <option key={tp} value={tp}>{tp}</option>)}
+          </select>
+          <span className="text-xs text-slate-500">{t("common.itemCount", { count: items.length })}</span>
+        </label>
+
+        {!link ? (
+          <div className="text-slate-500">{t("common.loading")}</div>
+        ) : link.error ? (
+          <div className="text-rose-600">{t(`share.errors.${link.error}`)}</div>
+        ) : (
+          <>
+            <div className="flex">
+              <input className="flex-1 min-w-0 px-2 py-1 border rounded-l-lg font-mono text-xs" readOnly value={link.url} onFocus={e => e.target.select()} aria-label={t("share.link")} />
+              <button className="px-3 py-1 rounded-r-lg bg-slate-100 hover:bg-slate-200" onClick={copy}>{copied ? t("share.copied") : t("share.copy")}</button>
+            </div>
+            {qrSrc ? (
+              <button className="block mx-auto" onClick={() => setLarge(true)} title={t("share.enlarge")}>
+                <img src={qrSrc} alt={t("share.qrAlt")} className="w-56 h-56" />
+              </button>
+            ) : (
+              <div className="text-amber-700">{t("share.tooLong")}</div>
+            )}
+            <p className="text-xs text-slate-500">{t("share.hint")}</p>
+          </>
+        )}
+
+        <div className="flex justify-end">
+          <button className="px-3 py-2 rounded-xl bg-slate-100 hover:bg-slate-200" onClick={onClose}>{t("common.close")}</button>
+        </div>
+      </div>
+
+      {large && qrSrc && (
+        <button className="fixed inset-0 z-20 bg-white flex flex-col items-center justify-center gap-4" onClick={() => setLarge(false)}>
+          <img src={qrSrc} alt={t("share.qrAlt")} className="h-[80vh] w-[80vh] max-w-full" />
+          <span className="text-2xl font-semibold">{topic ? `${deck.name} / ${topic}` : deck.name}</span>
+          <span className="text-slate-500">{t("share.tapToClose")}</span>
+        </button>
+      )}
+    </div>
+  );
+}
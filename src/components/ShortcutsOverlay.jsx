@@ -0,0 +1,31 @@
+import React from "react";
+import { KEY_BINDINGS, EDIT_BINDINGS, VOICE_COMMAND_WORDS } from "../lib/commands.js";
+import { useI18n } from "../lib/i18n.js";
+
+// ====== ShortcutsOverlay ======
+export default function ShortcutsOverlay({ onClose }) {
+  const t = useI18n();
+  return (
+    <div className="fixed inset-0 bg-black/40 flex items-center justify-center p-4 z-10" onClick={onClose}>
+      <div className="bg-white rounded-2xl shadow p-5 w-full max-w-md text-sm" onClick={e => e.stopPropagation()}>
+        <h2 className="text-lg font-semibold mb-3">{t("shortcuts.title")}</h2>
+        <table className="w-full mb-4">
+          <tbody>
+            {[...KEY_BINDINGS, ...EDIT_BINDINGS].map(b => (
+              <tr key={b.action} className="border-b last:border-0">
+                <td className="py-1 pr-3 whitespace-nowrap"><kbd className="px-2 py-0.5 rounded border bg-slate-50 font-mono text-xs">{b.label}</kbd></td>
+                <td className="py-1">{t(`shortcuts.actions.${b.action}`)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        <div className="text-slate-600 mb-4">
+          {t("shortcuts.voiceCommands")} {VOICE_COMMAND_WORDS.map(w => <span key={w} className="font-mono mx-1">“{w}”</span>)}
+        </div>
+        <div className="text-right">
+          <button className="px-3 py-2 rounded-xl bg-slate-100 hover:bg-slate-200" onClick={onClose}>{t("common.closeEsc")}</button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,93 @@
+import React, { useMemo } from "react";
+import { topicAccuracy, weakestItems, streaks, dailyActivity, summarizeAttempts } from "../lib/history.js";
+import { useI18n } from "../lib/i18n.js";
+
+function pct(v) { return `${Math.round(v * 100)}%`; }
+function sec(ms) { return ms == null ? "-" : `${(ms / 1000).toFixed(1)}s`; }
+
+// ====== StatsView ======
+export default function StatsView({ history, items, onClear }) {
+  const t = useI18n();
+  const overall = useMemo(() => summarizeAttempts(history), [history]);
+  const byTopic = useMemo(() => topicAccuracy(history), [history]);
+  const weakest = useMemo(() => weakestItems(history, items, 5), [history, items]);
+  const streak = useMemo(() => streaks(history), [history]);
+  const daily = useMemo(() => dailyActivity(history, 14), [history]);
+  const maxDaily = Math.max(1, ...daily.map(d => d.total));
+
+  if (!history.length) {
+    return <div className="text-sm text-slate-500">{t("stats.empty")}</div>;
+  }
+
+  return (
+    <div className="space-y-5">
+      <div className="grid grid-cols-2 md:grid-cols-3 gap-3">
+        <Stat label={t("stats.total")} value={overall.total} />
+        <Stat label={t("stats.accuracy")} value={pct(overall.accuracy)} />
+        <Stat label={t("stats.streak")} value={t("stats.days", { count: streak.current })} sub={t("stats.longest", { count: streak.longest })} />
+        <Stat label={t("stats.avgFirstAnswer")} value={sec(overall.avgFirstAnswerMs)} />
+        <Stat label={t("stats.avgLatency")} value={sec(overall.avgLatencyMs)} sub={t("stats.latencyHint")} />
+        <Stat label={t("stats.avgScore")} value={overall.avgFluency ?? "-"} sub={t("stats.scoreHint")} />
+      </div>
+
+      <section>
+        <h3 className="text-sm font-semibold mb-2">{t("stats.daily", { count: daily.length })}</h3>
+        <div className="flex items-end gap-1 h-28 border-b">
+          {daily.map(d => (
+            <div key={d.day} className="flex-1 flex flex-col justify-end h-full" title={`${d.day}: ${d.correct} / ${d.total}${d.avgFluency != null ? t("stats.dayScore", { score: d.avgFluency }) : ""}`}>
+              <div className="bg-slate-300" style={{ height: `${((d.total - d.correct) / maxDaily) * 100}%` }} />
+              <div className="bg-emerald-500" style={{ height: `${(d.correct / maxDaily) * 100}%` }} />
+            </div>
+          ))}
+        </div>
+        <div className="flex justify-between text-[10px] text-slate-400 mt-1">
+          <span>{daily[0].day.slice(5)}</span><span>{daily[daily.length - 1].day.slice(5)}</span>
+        </div>
+      </section>
+
+      <section>
+        <h3 className="text-sm font-semibold mb-2">{t("stats.byTopic")}</h3>
+        <div className="space-y-1">
+          {byTopic.map(t => (
+            <div key={t.topic} className="flex items-center gap-2 text-sm">
+              <span className="w-40 truncate">{t.topic}</span>
+              <div className="flex-1 h-2 bg-slate-200 rounded-full overflow-hidden">
+                <div className="h-full bg-emerald-500" style={{ width: pct(t.accuracy) }} />
+              </div>
+              <span className="w-24 text-right font-mono text-xs">{pct(t.accuracy)} ({t.total})</span>
+            </div>
+          ))}
+        </div>
+      </section>
+
+      <section>
+        <h3 className="text-sm font-semibold mb-2">{t("stats.weakest")}</h3>
+        {weakest.length ? (
+          <ul className="space-y-1 text-sm">
+            {weakest.map(w => (
+              <li key={w.item.id} className="flex gap-2">
+                <span className="text-xs px-2 py-0.5 rounded bg-slate-100">ID: {w.item.id}</span>
+                <span className="flex-1 truncate">{w.item.question}</span>
+                <span className="font-mono text-xs">{w.correct} / {w.total}</span>
+              </li>
+            ))}
+          </ul>
+        ) : <div className="text-sm text-slate-500">{t("stats.noWeakest")}</div>}
+      </section>
+
+      <div className="text-right">
+        <button className="text-rose-600 text-sm hover:underline" onClick={() => { if (confirm(t("stats.confirmClear"))) onClear?.(); }}>{t("stats.clear")}</button>
+      </div>
+    </div>
+  );
+}
+
+function Stat({ label, value, sub }) {
+  return (
+    <div className="border rounded-xl p-3">
+      <div className="text-xs text-slate-500">{label}</div>
+      <div className="text-lg font-semibold">{value}</div>
+      {sub && <div className="text-xs text-slate-400">{sub}</div>}
+    </div>
+  );
+}
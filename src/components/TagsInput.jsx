@@ -0,0 +1,24 @@
+import React, { useState } from "react";
+import { parseTags } from "../lib/decks.js";
+
+// ====== TagsInput ======
+// カンマ区切りで入力し、確定（Enter / フォーカスを外す）したときにタグの配列にする
+export default function TagsInput({ tags, onChange, ...props }) {
+  const text = (tags || []).join(", ");
+  const [draft, setDraft] = useState(null); // 編集中の文字列（編集していなければ null）
+  const commit = () => {
+    if (draft === null) return;
+    const next = parseTags(draft);
+    setDraft(null);
+    if (next.join(", ") !== text) onChange(next);
+  };
+  return (
+    <input
+      {...props}
+      value={draft ?? text}
+      onChange={e => setDraft(e.target.value)}
+      onBlur={commit}
+      onKeyDown={e => { if (e.key === "Enter") commit(); }}
+    />
+  );
+}
@@ -0,0 +1,148 @@
+import React, { useEffect, useMemo, useState } from "react";
+import { loadHistory } from "../lib/storage.js";
+import { REPORT_PERIODS, periodStart, buildReport, reportCsv } from "../lib/report.js";
+import { exportFileInfo } from "../lib/deckFormat.js";
+import { dayKey } from "../lib/history.js";
+import { useI18n } from "../lib/i18n.js";
+
+function pct(v) { return `${Math.round(v * 100)}%`; }
+
+// 正答率で色分け（印刷でも読めるよう薄い色）
+function accuracyClass(ratio) {
+  if (ratio >= 0.8) return "bg-emerald-50";
+  if (ratio >= 0.5) return "bg-amber-50";
+  return "bg-rose-50";
+}
+
+// ====== TeacherReport ======
+// 学習者を比べる表と学習者ごとのセッション記録。CSV 保存と印刷用の表示。
+//   表示中の学習者の記録は保存を待たずに history を使う
+export default function TeacherReport({ profiles, activeProfileId, activeHistory, onClose }) {
+  const t = useI18n();
+  const [stored, setStored] = useState(null); // { [profileId]: history }
+  const [error, setError] = useState("");
+  const [days, setDays] = useState(30);
+  const [now] = useState(() => Date.now());
+
+  useEffect(() => {
+    let cancelled = false;
+    Promise.all(profiles.map(p => loadHistory(p.id).then(h => [p.id, h])))
+      .then(entries => { if (!cancelled) setStored(Object.fromEntries(entries)); })
+      .catch(e => { if (!cancelled) setError(String(e?.message || e)); });
+    return () => { cancelled = true; };
+  }, [profiles]);
+
+  const report = useMemo(() => {
+    if (!stored) return null;
+    const learners = profiles.map(profile => ({ profile, history: profile.id === activeProfileId ? activeHistory : stored[profile.id] || [] }));
+    return buildReport(learners, { since: periodStart(days, now) });
+  }, [stored, profiles, activeProfileId, activeHistory, days, now]);
+
+  function exportCsv() {
+    const { name, type } = exportFileInfo("csv", `yesno-report-${dayKey(now)}`);
+    const url = URL.createObjectURL(new Blob([reportCsv(report, t)], { type }));
+    const a = document.createElement("a");
+    a.href = url; a.download = name; a.click();
+    URL.revokeObjectURL(url);
+  }
+
+  return (
+    <div className="fixed inset-0 z-20 bg-white overflow-auto p-6 text-sm print:static print:overflow-visible print:p-0">
+      <div className="max-w-6xl mx-auto space-y-5">
+        <div className="flex flex-wrap items-center gap-3">
+          <h2 className="flex-1 text-xl font-bold">{t("report.title")}</h2>
+          <label className="flex items-center gap-2 print:hidden">{t("report.period")}
+            <select className="px-2 py-1 rounded-lg border" value={days} onChange={e => setDays(Number(e.target.value))}>
+              {REPORT_PERIODS.map(d => <option key={d} value={d}>{t(`report.periods.${d}`)}</option>)}
+            </select>
+          </label>
+          <button className="px-3 py-2 rounded-xl bg-slate-100 hover:bg-slate-200 print:hidden" disabled={!report} onClick={exportCsv}>{t("report.exportCsv")}</button>
+          <button className="px-3 py-2 rounded-xl bg-slate-100 hover:bg-slate-200 print:hidden" disabled={!report} onClick={() => window.print()}>{t("report.print")}</button>
+          <button className="px-3 py-2 rounded-xl bg-slate-100 hover:bg-slate-200 print:hidden" onClick={onClose}>{t("common.close")}</button>
+        </div>
+        <div className="text-xs text-slate-500">{t("report.generated", { date: t.formatDate(now), period: t(`report.periods.${days}`) })}</div>
+
+        {error ? (
+          <div className="text-rose-600">{error}</div>
+        ) : !report ? (
+          <div className="text-slate-500">{t("common.loading")}</div>
+        ) : (
+          <>
+            <section>
+              <h3 className="font-semibold mb-2">{t("report.byTopic")}</h3>
+              <div className="overflow-auto print:overflow-visible">
+                <table className="w-full border-collapse text-xs">
+                  <thead>
+                    <tr className="bg-slate-50">
+                      <th className="border px-2 py-1 text-left">{t("report.learner")}</th>
+                      <th className="border px-2 py-1">{t("report.sessions")}</th>
+                      <th className="border px-2 py-1">{t("report.attempts")}</th>
+                      <th className="border px-2 py-1">{t("report.accuracy")}</th>
+                      <th className="border px-2 py-1">{t("report.avgFluency")}</th>
+                      <th className="border px-2 py-1">{t("report.lastPracticed")}</th>
+                      {report.topics.map(topic => <th key={topic} className="border px-2 py-1">{topic}</th>)}
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {report.rows.map(r => (
+                      <tr key={r.profile.id}>
+                        <td className="border px-2 py-1 font-medium">{r.profile.name}</td>
+                        <td className="border px-2 py-1 text-center">{r.sessions.length}</td>
+                        <td className="border px-2 py-1 text-center">{r.total}</td>
+                        <td className={`border px-2 py-1 text-center ${r.total ? accuracyClass(r.accuracy) : ""}`}>{r.total ? pct(r.accuracy) : "-"}</td>
+                        <td className="border px-2 py-1 text-center">{r.avgFluency ?? "-"}</td>
+                        <td className="border px-2 py-1 text-center">{r.lastTs ? dayKey(r.lastTs) : "-"}</td>
+                        {report.topics.map(topic => {
+                          const c = r.byTopic[topic];
+                          return (
+                            <td key={topic} className={`border px-2 py-1 text-center ${c ? accuracyClass(c.accuracy) : ""}`}>
+                              {c ? <>{pct(c.accuracy)} <span className="text-slate-500">({c.total})</span></> : "-"}
+                            </td>
+                          );
+                        })}
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            </section>
+
+            {report.rows.map(r => (
+              <section key={r.profile.id} className="break-inside-avoid">
+                <h3 className="font-semibold mb-2">{r.profile.name} — {t("report.sessionList")}</h3>
+                {!r.sessions.length ? (
+                  <div className="text-slate-500">{t("report.empty")}</div>
+                ) : (
+                  <table className="w-full border-collapse text-xs">
+                    <thead>
+                      <tr className="bg-slate-50">
+                        <th className="border px-2 py-1 text-left">{t("report.date")}</th>
+                        <th className="border px-2 py-1">{t("report.attempts")}</th>
+                        <th className="border px-2 py-1">{t("report.correct")}</th>
+                        <th className="border px-2 py-1">{t("report.accuracy")}</th>
+                        <th className="border px-2 py-1">{t("report.avgFluency")}</th>
+                        <th className="border px-2 py-1 text-left">{t("report.topics")}</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {r.sessions.map(s => (
+                        <tr key={s.key}>
+                          <td className="border px-2 py-1">{s.free ? `${dayKey(s.start)} ${t("report.freePractice")}` : t.formatDate(s.start)}</td>
+                          <td className="border px-2 py-1 text-center">{s.total}</td>
+                          <td className="border px-2 py-1 text-center">{s.correct}</td>
+                          <td className={`border px-2 py-1 text-center ${accuracyClass(s.accuracy)}`}>{pct(s.accuracy)}</td>
+                          <td className="border px-2 py-1 text-center">{s.avgFluency ?? "-"}</td>
+                          <td className="border px-2 py-1">{s.topics.join(", ")}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                )}
+              </section>
+            ))}
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
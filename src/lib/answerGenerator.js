@@ -0,0 +1,108 @@
+// ====== Sample answer generator ======
+// "Is Tokyo the capital of Japan?" → "Yes, it is." / "No, it isn't." のように、
+// Yes/No 疑問文・付加疑問文から短い答えをルールベースで作る。
+// 選択疑問文 "Tea or coffee?" からは選択肢を取り出す。
+
+import { tokenize, auxFamily, shortForm, readTag } from "./grader.js";
+import { itemLang, DEFAULT_LANG } from "./languages.js";
+import { isPolar, itemType } from "./questionTypes.js";
+
+const PRONOUN_SWAP = { you: "i", i: "you", we: "we", he: "he", she: "she", it: "it", they: "they" };
+const DETERMINERS = ["the", "a", "an", "my", "your", "his", "her", "our", "their", "its", "this", "that", "these", "those"];
+const MALE = ["he", "man", "boy", "brother", "father", "dad", "son", "uncle", "grandfather", "grandpa", "husband", "boyfriend", "mr"];
+const FEMALE = ["woman", "girl", "sister", "mother", "mom", "mum", "daughter", "aunt", "grandmother", "grandma", "wife", "girlfriend", "mrs", "ms", "miss"];
+const PLURAL_IRREGULAR = ["people", "children", "men", "women", "parents", "friends", "police"];
+// 教科書によく出る人の名前。地名・言語（Tokyo / English）は it のまま
+const PERSON_NAMES = [
+  "tom", "mary", "john", "mike", "bob", "jack", "ben", "sam", "alex", "david", "paul", "peter", "james", "chris", "nick",
+  "emma", "lucy", "kate", "lisa", "anna", "amy", "jane", "sarah", "emily", "meg", "beth", "nancy", "judy", "linda", "susan",
+  "ken", "taro", "kenta", "takeshi", "hiroshi", "daiki", "shota", "riku", "haruto", "sora",
+  "hanako", "yuki", "emi", "aya", "mika", "saki", "yui", "miki", "kumi", "naomi",
+];
+
+// 問題文の主語（aux 直後の語）から答えの代名詞を決める。
+// 人の名前（Mary / Tom）は he / she を決められないので null（採点はどちらも正解にする）
+function answerPronoun(tokens, capitalized = false) {
+  const first = tokens[0];
+  if (!first) return null;
+  // "you and Tom" / "your sister and you" → we / they
+  const and = tokens.indexOf("and");
+  if (and === 1 || (and === 2 && DETERMINERS.includes(first))) {
+    return tokens.slice(0, and + 2).some(w => w === "you" || w === "i") ? "we" : "they";
+  }
+  if (PRONOUN_SWAP[first]) return PRONOUN_SWAP[first];
+  if (first === "this" || first === "that") return "it";
+  if (first === "these" || first === "those") return "they";
+  if (capitalized && PERSON_NAMES.includes(first)) return null;
+  const noun = DETERMINERS.includes(first) ? tokens[1] : first;
+  if (!noun) return "it";
+  if (MALE.includes(noun)) return "he";
+  if (FEMALE.includes(noun)) return "she";
+  if (PLURAL_IRREGULAR.includes(noun) || (/s$/.test(noun) && !/ss$/.test(noun) && DETERMINERS.includes(first))) return "they";
+  return "it";
+}
+
+// Yes/No 疑問文（"…, isn't it?" の付加疑問文も）なら { yesSample, noSample }、そうでなければ null
+export function generateSamples(question) {
+  const text = String(question || "").trim();
+  if (!text) return null;
+  const tokens = tokenize(text);
+  const tag = readTag(tokens);
+  if (tag && /,/.test(text)) {
+    const subject = PRONOUN_SWAP[tag.subject];
+    return { yesSample: shortForm("yes", subject, tag.family), noSample: shortForm("no", subject, tag.family) };
+  }
+  const family = auxFamily(tokens[0]);
+  if (!family) return null;
+  const subjectWord = text.replace(/^[^A-Za-z]+/, "").split(/[\s,]+/)[1] || "";
+  const subject = answerPronoun(tokens.slice(1), /^[A-Z]/.test(subjectWord));
+  if (!subject) return null;
+  return {
+    yesSample: shortForm("yes", subject, family),
+    noSample: shortForm("no", subject, family),
+  };
+}
+
+// "Would you like tea or coffee?" → ["tea", "coffee"]。
+// " or " の後ろを 1 つ目の選択肢とし、前からは同じ語数を取る（"by bus or by train" → "by bus"）。
+export function generateChoices(question) {
+  const text = String(question || "").trim().replace(/[?？.!]+$/, "");
+  const m = text.match(/^(.*)\s+or\s+(.+)$/i);
+  if (!m) return null;
+  const second = m[2].trim();
+  const before = m[1].replace(/,\s*$/, "").trim().split(/\s+/);
+  const first = before.slice(-second.split(/\s+/).length).join(" ");
+  if (!first || !second) return null;
+  const strip = (s) => s.charAt(0).toLowerCase() + s.slice(1);
+  return [before.length === first.split(/\s+/).length ? strip(first) : first, second];
+}
+
+// 問題の種類に合わせて答えの欄を作る（wh 疑問文は作れないので null）
+export function generateAnswers(item) {
+  if (isPolar(item)) return generateSamples(item?.question);
+  if (itemType(item) === "choice") {
+    const choices = generateChoices(item?.question);
+    return choices ? { choices } : null;
+  }
+  return null;
+}
+
+// サンプルが空・プレースホルダの項目に一括で生成する。overwrite なら全件上書き。
+// 生成できた件数も返す。英語以外の項目はそのまま。
+export function fillSamples(items, { overwrite = false, defaultLang = DEFAULT_LANG } = {}) {
+  let count = 0;
+  const next = items.map(it => {
+    if (itemLang(it, defaultLang) !== DEFAULT_LANG || !isPolar(it)) return it;
+    const blank = (s) => !s || !String(s).trim() || /^(yes|no)\.?$/i.test(String(s).trim());
+    if (!overwrite && !blank(it.yesSample) && !blank(it.noSample)) return it;
+    const gen = generateSamples(it.question);
+    if (!gen) return it;
+    count++;
+    return {
+      ...it,
+      yesSample: overwrite || blank(it.yesSample) ? gen.yesSample : it.yesSample,
+      noSample: overwrite || blank(it.noSample) ? gen.noSample : it.noSample,
+    };
+  });
+  return { items: next, count };
+}
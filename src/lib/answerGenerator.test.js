@@ -0,0 +1,44 @@
+import { describe, it, expect } from "vitest";
+import { generateSamples, fillSamples } from "./answerGenerator.js";
+import { gradeAnswer } from "./grader.js";
+
+describe("generateSamples", () => {
+  it("answers with the pronoun for the subject", () => {
+    expect(generateSamples("Do you like coffee?")).toEqual({ yesSample: "Yes, I do.", noSample: "No, I don't." });
+    expect(generateSamples("Am I late?")).toEqual({ yesSample: "Yes, you are.", noSample: "No, you aren't." });
+    expect(generateSamples("Does your sister play tennis?")).toEqual({ yesSample: "Yes, she does.", noSample: "No, she doesn't." });
+    expect(generateSamples("Is Mr Smith a teacher?")).toEqual({ yesSample: "Yes, he is.", noSample: "No, he isn't." });
+    expect(generateSamples("Are your parents at home?")).toEqual({ yesSample: "Yes, they are.", noSample: "No, they aren't." });
+  });
+
+  it("uses it for places, languages and things", () => {
+    expect(generateSamples("Is Tokyo the capital of Japan?")).toEqual({ yesSample: "Yes, it is.", noSample: "No, it isn't." });
+    expect(generateSamples("Is English difficult?")).toEqual({ yesSample: "Yes, it is.", noSample: "No, it isn't." });
+  });
+
+  it("leaves questions about a named person without samples so he / she are graded correct", () => {
+    expect(generateSamples("Does Mary like tea?")).toBe(null);
+    expect(generateSamples("Is Tom a student?")).toBe(null);
+    expect(gradeAnswer("Yes, she does.", { question: "Does Mary like tea?" }).result).toBe("correct");
+    expect(gradeAnswer("Yes, he is.", { question: "Is Tom a student?" }).result).toBe("correct");
+  });
+
+  it("does not answer questions that are not yes/no questions", () => {
+    expect(generateSamples("Where do you live?")).toBe(null);
+    expect(generateSamples("")).toBe(null);
+  });
+});
+
+describe("fillSamples", () => {
+  it("fills only blank or placeholder samples unless told to overwrite", () => {
+    const items = [
+      { id: 1, question: "Can you swim?", yesSample: "", noSample: "No." },
+      { id: 2, question: "Is it cold today?", yesSample: "Yes, very.", noSample: "Not really." },
+    ];
+    const { items: filled, count } = fillSamples(items);
+    expect(count).toBe(1);
+    expect(filled[0]).toMatchObject({ yesSample: "Yes, I can.", noSample: "No, I can't." });
+    expect(filled[1]).toBe(items[1]);
+    expect(fillSamples(items, { overwrite: true }).items[1]).toMatchObject({ yesSample: "Yes, it is.", noSample: "No, it isn't." });
+  });
+});
@@ -0,0 +1,69 @@
+// ====== Keyboard shortcuts & voice commands ======
+
+// key は KeyboardEvent.key（小文字で比較）。説明文は i18n の shortcuts.<action>
+export const KEY_BINDINGS = [
+  { keys: [" "], label: "Space", action: "start" },
+  { keys: ["r"], label: "R", action: "repeat" },
+  { keys: ["a", "enter"], label: "A / Enter", action: "reveal" },
+  { keys: ["n", "arrowright"], label: "N / →", action: "skip" },
+  { keys: ["b", "arrowleft"], label: "B / ←", action: "previous" },
+  { keys: ["p"], label: "P", action: "pause" },
+  { keys: ["s"], label: "S", action: "session" },
+  { keys: ["t"], label: "T", action: "nextTopic" },
+  { keys: ["-"], label: "-", action: "slower" },
+  { keys: ["+", "="], label: "+", action: "faster" },
+  { keys: ["?"], label: "?", action: "help" },
+];
+
+// Space / Enter はフォーカスのあるボタン・リンクを押すキーなので、その上ではショートカットにしない
+const ACTIVATION_KEYS = [" ", "enter"];
+
+export function actionForKey(key, target = null) {
+  const k = String(key || "").toLowerCase();
+  if (ACTIVATION_KEYS.includes(k) && isControlTarget(target)) return null;
+  return KEY_BINDINGS.find(b => b.keys.includes(k))?.action || null;
+}
+
+// スクリプト一覧の元に戻す・やり直す（Ctrl / ⌘ と組み合わせる）
+export const EDIT_BINDINGS = [
+  { label: "Ctrl+Z", action: "undo" },
+  { label: "Ctrl+Shift+Z / Ctrl+Y", action: "redo" },
+];
+
+// 入力欄の中では文字の取り消し（ブラウザの標準）を優先する
+export function editActionForKey(e) {
+  if (!(e.ctrlKey || e.metaKey) || e.altKey || isTypingTarget(e.target)) return null;
+  const k = String(e.key || "").toLowerCase();
+  if (k === "z") return e.shiftKey ? "redo" : "undo";
+  return k === "y" ? "redo" : null;
+}
+
+// 入力欄にフォーカスがあるときはショートカットを無効にする
+export function isTypingTarget(el) {
+  if (!el) return false;
+  const tag = el.tagName;
+  return tag === "INPUT" || tag === "TEXTAREA" || tag === "SELECT" || el.isContentEditable;
+}
+
+// キーボードで押せる要素（ボタン・リンク・<details> の見出し）
+export function isControlTarget(el) {
+  if (!el) return false;
+  const tag = el.tagName;
+  return tag === "BUTTON" || tag === "A" || tag === "SUMMARY" || el.getAttribute?.("role") === "button";
+}
+
+// 発話全体がコマンドのときだけ反応する（"No" などの回答と混ざらないように）
+const VOICE_COMMANDS = [
+  { action: "repeat", patterns: ["repeat", "repeat please", "again", "say again", "say it again", "one more time", "pardon", "sorry"] },
+  { action: "skip", patterns: ["skip", "skip it", "next", "next question", "pass"] },
+  { action: "slower", patterns: ["slower", "slow down", "more slowly", "slowly"] },
+  { action: "faster", patterns: ["faster", "speed up"] },
+  { action: "pause", patterns: ["pause", "stop", "wait"] },
+];
+export const VOICE_COMMAND_WORDS = VOICE_COMMANDS.map(c => c.patterns[0]);
+
+export function parseVoiceCommand(transcript) {
+  const t = String(transcript || "").toLowerCase().replace(/[^a-z ]+/g, " ").replace(/\s+/g, " ").trim();
+  if (!t) return null;
+  return VOICE_COMMANDS.find(c => c.patterns.includes(t))?.action || null;
+}
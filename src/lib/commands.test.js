@@ -0,0 +1,23 @@
+import { describe, it, expect } from "vitest";
+import { actionForKey, isControlTarget } from "./commands.js";
+
+const el = (tagName, role = null) => ({ tagName, getAttribute: name => (name === "role" ? role : null) });
+
+describe("keyboard shortcuts", () => {
+  it("leave Space and Enter to focused buttons, links and summaries", () => {
+    for (const target of [el("BUTTON"), el("A"), el("SUMMARY"), el("DIV", "button")]) {
+      expect(isControlTarget(target)).toBe(true);
+      expect(actionForKey(" ", target)).toBe(null);
+      expect(actionForKey("Enter", target)).toBe(null);
+    }
+  });
+
+  it("keep the letter shortcuts on focused buttons", () => {
+    expect(actionForKey("n", el("BUTTON"))).toBe("skip");
+  });
+
+  it("use Space and Enter elsewhere", () => {
+    expect(actionForKey(" ", el("BODY"))).toBe("start");
+    expect(actionForKey("Enter", null)).toBe("reveal");
+  });
+});
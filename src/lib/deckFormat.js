@@ -0,0 +1,162 @@
+// ====== Deck file formats ======
+// JSON 配列 / CSV / TSV / Anki テキスト（タブ区切り + "#key:value" ヘッダ）を
+// { header: string[] | null, rows: string[][] } にそろえて扱う。
+
+import { answerText, isPolar, itemType, parseAnswerList } from "./questionTypes.js";
+
+export const FORMATS = ["json", "csv", "tsv", "anki"];
+export const FIELDS = ["id", "topic", "type", "question", "yesSample", "noSample", "choices", "answers", "lang", "tags", "difficulty"];
+
+const FORMAT_EXT = { json: "json", csv: "csv", tsv: "tsv", anki: "txt" };
+const FORMAT_MIME = { json: "application/json", csv: "text/csv", tsv: "text/tab-separated-values", anki: "text/plain" };
+
+export function detectFormat(text, fileName = "") {
+  const name = fileName.toLowerCase();
+  if (name.endsWith(".json")) return "json";
+  if (name.endsWith(".csv")) return "csv";
+  if (name.endsWith(".tsv")) return "tsv";
+  const head = String(text || "").trimStart();
+  if (head.startsWith("[") || head.startsWith("{")) return "json";
+  if (/^#(separator|html|columns|tags column|notetype|deck)/im.test(head)) return "anki";
+  if (name.endsWith(".txt")) return "anki";
+  const firstLine = head.split(/\r?\n/, 1)[0] || "";
+  return firstLine.includes("\t") ? "tsv" : "csv";
+}
+
+// RFC 4180 風: ダブルクオート内の区切り文字・改行・"" を扱う
+export function parseDelimited(text, delimiter) {
+  const rows = [];
+  let row = [], field = "", quoted = false;
+  const src = String(text || "");
+  for (let i = 0; i < src.length; i++) {
+    const c = src[i];
+    if (quoted) {
+      if (c === '"') {
+        if (src[i + 1] === '"') { field += '"'; i++; }
+        else quoted = false;
+      } else field += c;
+    } else if (c === '"' && field === "") {
+      quoted = true;
+    } else if (c === delimiter) {
+      row.push(field); field = "";
+    } else if (c === "\n" || c === "\r") {
+      if (c === "\r" && src[i + 1] === "\n") i++;
+      row.push(field); rows.push(row); row = []; field = "";
+    } else field += c;
+  }
+  if (field !== "" || row.length) { row.push(field); rows.push(row); }
+  return rows.filter(r => r.some(f => f.trim() !== ""));
+}
+
+function stripHtml(s) {
+  return String(s)
+    .replace(/<br\s*\/?>/gi, " ")
+    .replace(/<[^>]+>/g, "")
+    .replace(/&nbsp;/g, " ")
+    .replace(/&lt;/g, "<").replace(/&gt;/g, ">").replace(/&quot;/g, '"').replace(/&#39;/g, "'")
+    .replace(/&amp;/g, "&")
+    .trim();
+}
+
+function parseAnki(text) {
+  const lines = String(text || "").split(/\r?\n/);
+  const meta = {};
+  while (lines.length && lines[0].startsWith("#")) {
+    const m = lines.shift().match(/^#([^:]+):(.*)$/);
+    if (m) meta[m[1].trim().toLowerCase()] = m[2].trim();
+  }
+  const sep = { tab: "\t", comma: ",", semicolon: ";", pipe: "|", space: " " }[meta.separator] || "\t";
+  let rows = parseDelimited(lines.join("\n"), sep);
+  if (meta.html !== "false") rows = rows.map(r => r.map(stripHtml));
+  let header = meta.columns ? meta.columns.split(sep) : null;
+  const tagsCol = Number(meta["tags column"]);
+  if (tagsCol >= 1) {
+    header = header || rows[0]?.map((_, i) => `Field ${i + 1}`) || [];
+    header[tagsCol - 1] = "Topic"; // Anki のタグは topic として取り込む（エクスポートも topic をタグにする）
+    // タグにスペースは使えないので、エクスポート時に "_" にしたものを戻す
+    rows = rows.map(r => r.map((f, i) => (i === tagsCol - 1 ? f.replace(/_/g, " ") : f)));
+  }
+  return { header, rows };
+}
+
+// 先頭行をヘッダとみなすかどうか
+function looksLikeHeader(row) {
+  return row.some(f => /^(id|topic|question|front|back|yes|no|yes ?sample|no ?sample|tags?|deck|lang|difficulty|level|type|choices|answers)$/i.test(f.trim()));
+}
+
+export function parseDeckText(text, format) {
+  if (format === "json") {
+    const data = JSON.parse(text);
+    if (!Array.isArray(data)) throw Object.assign(new Error("not a JSON array"), { code: "notArray" });
+    const keys = [];
+    data.forEach(o => { if (o && typeof o === "object") Object.keys(o).forEach(k => { if (!keys.includes(k)) keys.push(k); }); });
+    // 配列（tags / choices / answers）は CSV と同じく ";" でつなぐ
+    const rows = data.map(o => keys.map(k => (o && o[k] != null ? (Array.isArray(o[k]) ? o[k].join(";") : String(o[k])) : "")));
+    return { header: keys, rows };
+  }
+  if (format === "anki") return parseAnki(text);
+  const rows = parseDelimited(text, format === "tsv" ? "\t" : ",");
+  if (rows.length && looksLikeHeader(rows[0])) return { header: rows[0].map(h => h.trim()), rows: rows.slice(1) };
+  return { header: null, rows };
+}
+
+// ヘッダ名から列の割り当てを推測する。戻り値は field -> 列番号（-1 = なし）
+export function guessMapping(header, columnCount) {
+  const mapping = Object.fromEntries(FIELDS.map(f => [f, -1]));
+  const patterns = {
+    id: /^id$/i,
+    topic: /^(topic|deck|category|theme)$/i,
+    question: /^(question|front|q|text)$/i,
+    yesSample: /^(yes ?sample|yes_sample|yes|back)$/i,
+    noSample: /^(no ?sample|no_sample|no)$/i,
+    lang: /^(lang|language)$/i,
+    tags: /^(tags?|labels?)$/i,
+    difficulty: /^(difficulty|level)$/i,
+    type: /^(type|kind)$/i,
+    choices: /^(choices|options)$/i,
+    answers: /^(answers|accepted|acceptable ?answers)$/i,
+  };
+  if (header) {
+    header.forEach((h, i) => {
+      const key = FIELDS.find(f => mapping[f] === -1 && patterns[f].test(String(h).trim()));
+      if (key) mapping[key] = i;
+    });
+    if (mapping.question !== -1) return mapping;
+  }
+  // ヘッダが無ければ question, yes, no, topic の順とみなす
+  ["question", "yesSample", "noSample", "topic"].forEach((f, i) => { if (i < columnCount) mapping[f] = i; });
+  return mapping;
+}
+
+export function csvField(v, delimiter = ",") {
+  const s = v == null ? "" : Array.isArray(v) ? v.join(";") : String(v);
+  return (s.includes(delimiter) || /["\r\n]/.test(s)) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+// Anki の裏面: yes/no は "yes / no"、選択疑問文は選択肢、疑問詞疑問文は答えの一覧を " / " でつなぐ
+function ankiBack(item) {
+  if (isPolar(item)) return answerText(item);
+  return parseAnswerList(itemType(item) === "choice" ? item.choices : item.answers).join(" / ");
+}
+
+export function serializeItems(items, format) {
+  if (format === "json") return JSON.stringify(items, null, 2);
+  if (format === "anki") {
+    // Anki: question / 答えを表裏に、問題の種類を Type 列に（取り込み時に戻す）、topic をタグ列に
+    const lines = ["#separator:tab", "#html:false", "#columns:Front\tBack\tType\tTags", "#tags column:4"];
+    items.forEach(it => {
+      const tag = String(it.topic || "Untitled").replace(/\s+/g, "_");
+      lines.push([it.question, ankiBack(it), itemType(it), tag].map(v => csvField(v, "\t")).join("\t"));
+    });
+    return lines.join("\n") + "\n";
+  }
+  const d = format === "tsv" ? "\t" : ",";
+  const lines = [FIELDS.join(d), ...items.map(it => FIELDS.map(f => csvField(it[f], d)).join(d))];
+  return lines.join("\n") + "\n";
+}
+
+// baseName はデッキ名など。ファイル名に使えない文字は "_" に
+export function exportFileInfo(format, baseName = "yesno-items") {
+  const name = String(baseName).trim().replace(/[\\/:*?"<>|\s]+/g, "_") || "yesno-items";
+  return { name: `${name}.${FORMAT_EXT[format]}`, type: FORMAT_MIME[format] };
+}
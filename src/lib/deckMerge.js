@@ -0,0 +1,197 @@
+// ====== Import validation & merge ======
+
+import { generateSamples, generateChoices } from "./answerGenerator.js";
+import { QUESTION_TYPES, DEFAULT_TYPE, isPolar, parseAnswerList, missingAnswerFields } from "./questionTypes.js";
+import { LANGUAGE_PACKS, DEFAULT_LANG } from "./languages.js";
+import { parseTags, parseDifficulty } from "./decks.js";
+import { tokenize, auxFamily, analyzeQuestion, PRONOUNS } from "./grader.js";
+
+export function normalizeQuestion(q) {
+  return String(q || "").toLowerCase().replace(/[^a-z0-9぀-ヿ一-鿿]+/g, " ").trim();
+}
+
+function cell(row, index) {
+  return index >= 0 && row[index] != null ? String(row[index]).trim() : "";
+}
+
+// 行ごとに item を組み立てて検証する。
+//   戻り値: [{ row: 行番号(1始まり), item | null, errors: [], warnings: [] }]
+//   errors / warnings は { code, params } の配列
+export function validateRows(rows, mapping, { generate = false } = {}) {
+  const seenIds = new Set();
+  const seenQuestions = new Set();
+  return rows.map((row, i) => {
+    const errors = [], warnings = [];
+    const rawId = cell(row, mapping.id);
+    let id = null;
+    if (rawId) {
+      id = Number(rawId);
+      if (!Number.isInteger(id) || id <= 0) { errors.push({ code: "invalidId", params: { id: rawId } }); id = null; }
+      else if (seenIds.has(id)) { warnings.push({ code: "duplicateId", params: { id } }); id = null; }
+      else seenIds.add(id);
+    }
+    const question = cell(row, mapping.question);
+    if (!question) errors.push({ code: "missingField", params: { field: "question" } });
+    let lang = cell(row, mapping.lang).toLowerCase() || undefined;
+    if (lang && !LANGUAGE_PACKS[lang]) { warnings.push({ code: "unsupportedLang", params: { lang } }); lang = undefined; }
+    const rawType = cell(row, mapping.type).toLowerCase();
+    const type = QUESTION_TYPES.includes(rawType) ? rawType : DEFAULT_TYPE;
+    if (rawType && type !== rawType) warnings.push({ code: "unsupportedType", params: { type: rawType } });
+    const canGenerate = question && generate && (!lang || lang === DEFAULT_LANG);
+    let answerFields;
+    if (isPolar({ type })) {
+      let yesSample = cell(row, mapping.yesSample);
+      let noSample = cell(row, mapping.noSample);
+      // Anki の裏面 "Yes, I do. / No, I don't." を分割
+      if (mapping.noSample < 0 && yesSample.includes(" / ")) {
+        [yesSample, noSample] = yesSample.split(" / ", 2).map(s => s.trim());
+      }
+      if ((!yesSample || !noSample) && canGenerate) {
+        const gen = generateSamples(question);
+        if (gen) {
+          if (!yesSample) yesSample = gen.yesSample;
+          if (!noSample) noSample = gen.noSample;
+          warnings.push({ code: "generated" });
+        }
+      }
+      answerFields = { yesSample, noSample };
+    } else {
+      let choices = parseAnswerList(cell(row, mapping.choices));
+      let answers = parseAnswerList(cell(row, mapping.answers));
+      // Anki の裏面 "tea / coffee" は選択肢（choice）・答えの一覧（wh）
+      if (mapping.choices < 0 && mapping.answers < 0) {
+        const back = cell(row, mapping.yesSample).split(" / ").map(s => s.trim()).filter(Boolean);
+        if (type === "choice") choices = back;
+        else answers = back;
+      }
+      if (type === "choice" && choices.length < 2 && canGenerate) {
+        const gen = generateChoices(question);
+        if (gen) { choices = gen; warnings.push({ code: "generated" }); }
+      }
+      answerFields = type === "choice" ? { choices, ...(answers.length ? { answers } : {}) } : { answers };
+    }
+    missingAnswerFields({ type, ...answerFields }).forEach(field => errors.push({ code: "missingField", params: { field } }));
+    const tags = parseTags(cell(row, mapping.tags));
+    const rawDifficulty = cell(row, mapping.difficulty);
+    const difficulty = parseDifficulty(rawDifficulty);
+    if (rawDifficulty && !difficulty) warnings.push({ code: "invalidDifficulty", params: { value: rawDifficulty } });
+    const key = normalizeQuestion(question);
+    if (question && seenQuestions.has(key)) warnings.push({ code: "duplicateQuestion" });
+    if (question) seenQuestions.add(key);
+
+    const item = errors.length ? null : {
+      id, topic: cell(row, mapping.topic) || "Untitled", ...(type !== DEFAULT_TYPE ? { type } : {}), question, ...answerFields,
+      ...(lang ? { lang } : {}), ...(tags.length ? { tags } : {}), ...(difficulty ? { difficulty } : {}),
+    };
+    return { row: i + 1, item, errors, warnings };
+  });
+}
+
+// mode: 'replace' | 'append' | 'merge'、key: 'id' | 'question'（merge のみ）
+//   ID の衝突・欠落は既存の最大 ID の続きから振り直す。
+//   reservedIds は他のデッキで使っている ID（これとも衝突させない）。
+export function mergeItems(existing, incoming, mode, key = "id", reservedIds = new Set()) {
+  const stats = { added: 0, updated: 0, duplicates: 0, renumbered: 0 };
+  const base = mode === "replace" ? [] : existing.map(it => ({ ...it }));
+  const usedIds = new Set([...reservedIds, ...base.map(it => it.id)]);
+  let nextId = Math.max(0, ...[...usedIds].map(id => id || 0), ...incoming.map(it => it.id || 0)) + 1;
+  const byQuestion = new Map(base.map((it, i) => [normalizeQuestion(it.question), i]));
+  const byId = new Map(base.map((it, i) => [it.id, i]));
+
+  incoming.forEach(src => {
+    const q = normalizeQuestion(src.question);
+    if (mode === "merge") {
+      const idx = key === "id" ? (src.id != null ? byId.get(src.id) : undefined) : byQuestion.get(q);
+      if (idx !== undefined) {
+        base[idx] = { ...base[idx], ...src, id: base[idx].id };
+        stats.updated++;
+        return;
+      }
+    }
+    if (mode !== "replace" && byQuestion.has(q)) { stats.duplicates++; return; }
+    let id = src.id;
+    if (id == null || usedIds.has(id)) {
+      if (id != null) stats.renumbered++;
+      id = nextId++;
+    }
+    usedIds.add(id);
+    const item = { ...src, id };
+    byQuestion.set(q, base.length);
+    byId.set(id, base.length);
+    base.push(item);
+    stats.added++;
+  });
+  return { items: base, stats };
+}
+
+// ====== Duplicate detection ======
+// スクリプト一覧の中で問題文が同じ・ほとんど同じ問題を探し、1 つにまとめる。
+
+const NEAR_DUPLICATE = 0.85; // normalizeQuestion した文字列の類似度（1 - 編集距離 / 長さ）がこれ以上
+
+function similarity(a, b) {
+  if (a === b) return 1;
+  const long = Math.max(a.length, b.length);
+  if (!long || Math.abs(a.length - b.length) / long > 1 - NEAR_DUPLICATE) return 0;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i];
+    for (let j = 1; j <= b.length; j++) {
+      row[j] = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    prev = row;
+  }
+  return 1 - prev[b.length] / long;
+}
+
+// 助動詞の系統と答えの主語が同じ（Do / Did, Is / Was, he / she は答えが違う別の練習）
+function sameDrill(a, b) {
+  const x = analyzeQuestion({ question: a });
+  const y = analyzeQuestion({ question: b });
+  return x.family === y.family && x.subjects.join() === y.subjects.join();
+}
+
+// 1 語だけの違いで、その語が助動詞・代名詞どうしではない（"coffe" / "coffee", "Dose" / "Does"）
+function typoOnly(a, b) {
+  const x = tokenize(a), y = tokenize(b);
+  if (x.length !== y.length) return false;
+  const diff = x.map((w, i) => [w, y[i]]).filter(([v, w]) => v !== w);
+  const grammar = (w) => !!auxFamily(w) || PRONOUNS.includes(w);
+  return diff.length === 1 && !diff[0].every(grammar);
+}
+
+// 重複のまとまり [{ ids, exact }]。ids は一覧の順、exact は問題文がすべて同じ（大文字小文字・記号の違いだけ）
+export function findDuplicates(items) {
+  const keys = items.map(it => normalizeQuestion(it.question));
+  const used = new Set();
+  const groups = [];
+  items.forEach((it, i) => {
+    if (used.has(i) || !keys[i]) return;
+    const members = [i];
+    for (let j = i + 1; j < items.length; j++) {
+      if (used.has(j) || !keys[j] || similarity(keys[i], keys[j]) < NEAR_DUPLICATE) continue;
+      if (keys[i] === keys[j] || sameDrill(it.question, items[j].question) || typoOnly(it.question, items[j].question)) members.push(j);
+    }
+    if (members.length < 2) return;
+    members.forEach(k => used.add(k));
+    groups.push({ ids: members.map(k => items[k].id), exact: members.every(k => keys[k] === keys[i]) });
+  });
+  return groups;
+}
+
+function isBlank(v) {
+  return v == null || v === "" || (Array.isArray(v) && !v.length);
+}
+
+// ids の最初の問題に残りをまとめる（空の欄は他から補い、タグは合わせる）。残す問題の位置はそのまま
+export function mergeDuplicates(items, ids) {
+  const group = ids.map(id => items.find(it => it.id === id)).filter(Boolean);
+  if (group.length < 2) return items;
+  const [keep, ...rest] = group;
+  const merged = { ...keep };
+  rest.forEach(it => Object.keys(it).forEach(k => { if (isBlank(merged[k]) && !isBlank(it[k])) merged[k] = it[k]; }));
+  const tags = parseTags(group.flatMap(it => it.tags || []));
+  if (tags.length) merged.tags = tags;
+  const drop = new Set(rest.map(it => it.id));
+  return items.filter(it => !drop.has(it.id)).map(it => (it.id === keep.id ? merged : it));
+}
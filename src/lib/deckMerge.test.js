@@ -0,0 +1,89 @@
+import { describe, it, expect } from "vitest";
+import { validateRows, mergeItems, findDuplicates, mergeDuplicates } from "./deckMerge.js";
+import { parseDeckText, guessMapping, serializeItems } from "./deckFormat.js";
+
+const ITEMS = [
+  { id: 1, topic: "Daily Life", question: "Do you like coffee?", yesSample: "Yes, I do.", noSample: "No, I don't.", tags: ["food", "present"], difficulty: 1 },
+  { id: 2, topic: "Abilities", question: "Can you swim?", yesSample: "Yes, I can.", noSample: "No, I can't." },
+];
+
+function roundTrip(format) {
+  const { header, rows } = parseDeckText(serializeItems(ITEMS, format), format);
+  return validateRows(rows, guessMapping(header, header.length));
+}
+
+describe("validateRows", () => {
+  it.each(["csv", "tsv", "json"])("keeps tags and difficulty through %s", (format) => {
+    const results = roundTrip(format);
+    expect(results.map(r => r.item)).toEqual(ITEMS);
+  });
+
+  it("keeps the question type through Anki", () => {
+    const typed = [
+      { id: 1, topic: "Daily Life", question: "Do you like coffee?", yesSample: "Yes, I do.", noSample: "No, I don't." },
+      { id: 2, topic: "Daily Life", type: "choice", question: "Tea or coffee?", choices: ["tea", "coffee"] },
+      { id: 3, topic: "Daily Life", type: "wh", question: "Where do you live?", answers: ["I live in Tokyo.", "In Tokyo."] },
+    ];
+    const { header, rows } = parseDeckText(serializeItems(typed, "anki"), "anki");
+    const results = validateRows(rows, guessMapping(header, header.length));
+    expect(results.map(r => r.item)).toEqual(typed.map(it => ({ ...it, id: null })));
+  });
+
+  it("reads a CSV tags column as tags, not as the topic", () => {
+    const { header, rows } = parseDeckText("question,yes,no,tags\nIs it?,\"Yes, it is.\",\"No, it isn't.\",x;y\n", "csv");
+    const [result] = validateRows(rows, guessMapping(header, header.length));
+    expect(result.item).toMatchObject({ topic: "Untitled", tags: ["x", "y"] });
+  });
+
+  it("warns about an unknown difficulty and leaves it unset", () => {
+    const mapping = guessMapping(["question", "yes", "no", "difficulty"], 4);
+    const [result] = validateRows([["Is it?", "Yes, it is.", "No, it isn't.", "5"]], mapping);
+    expect(result.item.difficulty).toBe(undefined);
+    expect(result.warnings).toContainEqual({ code: "invalidDifficulty", params: { value: "5" } });
+  });
+});
+
+describe("mergeItems", () => {
+  it("does not reuse IDs taken by other decks", () => {
+    const incoming = [{ id: 5, topic: "Plans", question: "Will you go out?", yesSample: "Yes, I will.", noSample: "No, I won't." }];
+    const { items, stats } = mergeItems(ITEMS, incoming, "append", "id", new Set([5, 6]));
+    expect(items[2].id).toBe(7);
+    expect(stats).toMatchObject({ added: 1, renumbered: 1 });
+  });
+});
+
+describe("duplicates", () => {
+  const ITEMS = [
+    { id: 1, topic: "Daily Life", question: "Do you like coffee?", yesSample: "Yes, I do.", noSample: "", tags: ["food"] },
+    { id: 2, topic: "Abilities", question: "Can you swim?", yesSample: "Yes, I can.", noSample: "No, I can't." },
+    { id: 3, topic: "Food", question: "do you like coffee", yesSample: "Yes, I do.", noSample: "No, I don't.", tags: ["drinks", "food"], difficulty: 1 },
+    { id: 4, topic: "Abilities", question: "Can you swim ?", yesSample: "Yes.", noSample: "No." },
+    { id: 5, topic: "Daily Life", question: "Do you like coffe?", yesSample: "Yes, I do.", noSample: "No, I don't." },
+    { id: 6, topic: "Daily Life", question: "Do you like tea?", yesSample: "Yes, I do.", noSample: "No, I don't." },
+  ];
+
+  it("groups identical and nearly identical questions", () => {
+    expect(findDuplicates(ITEMS)).toEqual([
+      { ids: [1, 3, 5], exact: false },
+      { ids: [2, 4], exact: true },
+    ]);
+    expect(findDuplicates([ITEMS[0], ITEMS[5]])).toEqual([]);
+  });
+
+  it("keeps tense, auxiliary and subject minimal pairs apart", () => {
+    const pair = (a, b) => findDuplicates([{ id: 1, question: a }, { id: 2, question: b }]);
+    expect(pair("Do you like coffee?", "Did you like coffee?")).toEqual([]);
+    expect(pair("Is it cold today?", "Was it cold today?")).toEqual([]);
+    expect(pair("Does he like tea?", "Does she like tea?")).toEqual([]);
+    expect(pair("Dose he like tea?", "Does he like tea?")).toEqual([{ ids: [1, 2], exact: false }]);
+  });
+
+  it("merges into the first item, filling blanks and joining tags", () => {
+    const merged = mergeDuplicates(ITEMS, [1, 3, 5]);
+    expect(merged.map(it => it.id)).toEqual([1, 2, 4, 6]);
+    expect(merged[0]).toEqual({
+      id: 1, topic: "Daily Life", question: "Do you like coffee?", yesSample: "Yes, I do.", noSample: "No, I don't.", tags: ["food", "drinks"], difficulty: 1,
+    });
+    expect(mergeDuplicates(ITEMS, [1, 99])).toBe(ITEMS);
+  });
+});
@@ -0,0 +1,77 @@
+// ====== Deck sharing by link ======
+// デッキ（またはテーマ 1 つ分）を圧縮して URL の # 以降に入れる。サーバーには何も送らない。
+//   https://…/#deck=z<base64url>   z = deflate-raw 圧縮した JSON、j = 圧縮なし（CompressionStream の無いブラウザ）
+// 中身は { v: 1, name, items }。ID も残す（先生が直して配り直したとき「ID で統合」できるように）。
+
+export const SHARE_KEY = "deck";
+const SHARE_VERSION = 1;
+
+// 壊れたリンク・新しすぎる版は e.code = "format" | "version"、リンクを作れなければ "encode" のエラー
+function linkError(code) {
+  return Object.assign(new Error(`invalid share link (${code})`), { code });
+}
+
+function toBase64Url(bytes) {
+  let bin = "";
+  for (let i = 0; i < bytes.length; i += 0x8000) bin += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  return btoa(bin).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+
+function fromBase64Url(text) {
+  const bin = atob(text.replace(/-/g, "+").replace(/_/g, "/"));
+  return Uint8Array.from(bin, c => c.charCodeAt(0));
+}
+
+async function transform(bytes, stream) {
+  return new Uint8Array(await new Response(new Blob([bytes]).stream().pipeThrough(stream)).arrayBuffer());
+}
+
+// 空の欄は落として短くする
+function compactItem(item) {
+  return Object.fromEntries(Object.entries(item).filter(([, v]) => v != null && v !== "" && !(Array.isArray(v) && !v.length)));
+}
+
+export async function encodeShare(name, items) {
+  const json = JSON.stringify({ v: SHARE_VERSION, name, items: items.map(compactItem) });
+  const bytes = new TextEncoder().encode(json);
+  if (typeof CompressionStream === "undefined") return "j" + toBase64Url(bytes);
+  return "z" + toBase64Url(await transform(bytes, new CompressionStream("deflate-raw")));
+}
+
+// 戻り値: { name, items }
+export async function decodeShare(data) {
+  let payload;
+  try {
+    const bytes = fromBase64Url(String(data).slice(1));
+    const kind = String(data)[0];
+    if (kind !== "z" && kind !== "j") throw new Error("unknown encoding");
+    const raw = kind === "z" ? await transform(bytes, new DecompressionStream("deflate-raw")) : bytes;
+    payload = JSON.parse(new TextDecoder().decode(raw));
+  } catch {
+    throw linkError("format");
+  }
+  if (!payload || !Array.isArray(payload.items)) throw linkError("format");
+  if (payload.v > SHARE_VERSION) throw linkError("version");
+  return { name: String(payload.name || ""), items: payload.items };
+}
+
+export function shareUrl(data, loc = location) {
+  return `${loc.origin}${loc.pathname}#${SHARE_KEY}=${data}`;
+}
+
+// 共有ダイアログに出す URL。encode は差し替え可（テスト用）
+export async function buildShareLink(name, items, { encode = encodeShare, loc = location } = {}) {
+  let data;
+  try {
+    data = await encode(name, items);
+  } catch (e) {
+    throw Object.assign(linkError("encode"), { cause: e });
+  }
+  return shareUrl(data, loc);
+}
+
+// "#deck=…" の中身（無ければ null）
+export function shareDataFromHash(hash = location.hash) {
+  const params = new URLSearchParams(String(hash).replace(/^#/, ""));
+  return params.get(SHARE_KEY) || null;
+}
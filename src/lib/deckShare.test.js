@@ -0,0 +1,48 @@
+import { describe, it, expect } from "vitest";
+import { encodeShare, decodeShare, shareUrl, shareDataFromHash, buildShareLink } from "./deckShare.js";
+
+const ITEMS = [
+  { id: 1, topic: "Daily Life", question: "Do you like coffee?", yesSample: "Yes, I do.", noSample: "No, I don't.", tags: ["food"], difficulty: 1 },
+  { id: 2, type: "choice", question: "Tea or coffee?", choices: ["tea", "coffee"], answers: [], yesSample: "" },
+];
+
+describe("share links", () => {
+  it("round-trips a deck through the URL fragment", async () => {
+    const data = await encodeShare("Class 2-B", ITEMS);
+    const url = shareUrl(data, { origin: "https://example.com", pathname: "/trainer/" });
+    expect(url).toBe(`https://example.com/trainer/#deck=${data}`);
+    expect(data).toMatch(/^[zj][A-Za-z0-9_-]+$/);
+
+    const shared = await decodeShare(shareDataFromHash(new URL(url).hash));
+    expect(shared.name).toBe("Class 2-B");
+    expect(shared.items[0]).toEqual(ITEMS[0]);
+    expect(shared.items[1]).toEqual({ id: 2, type: "choice", question: "Tea or coffee?", choices: ["tea", "coffee"] }); // 空の欄は落とす
+  });
+
+  it("compresses repetitive decks", async () => {
+    const many = Array.from({ length: 50 }, (_, i) => ({ ...ITEMS[0], id: i + 1 }));
+    const data = await encodeShare("Big", many);
+    expect(data.length).toBeLessThan(JSON.stringify(many).length / 4);
+  });
+
+  it("rejects broken or newer links", async () => {
+    const data = await encodeShare("Cut", ITEMS);
+    await expect(decodeShare(data.slice(0, 20))).rejects.toMatchObject({ code: "format" });
+    await expect(decodeShare("x123")).rejects.toMatchObject({ code: "format" });
+    const future = "j" + btoa(JSON.stringify({ v: 99, name: "", items: [] })).replace(/=+$/, "");
+    await expect(decodeShare(future)).rejects.toMatchObject({ code: "version" });
+  });
+
+  it("builds the dialog link, or fails with code encode when encoding rejects", async () => {
+    const loc = { origin: "https://example.com", pathname: "/" };
+    expect(await buildShareLink("Class 2-B", ITEMS, { encode: async () => "jAbc", loc })).toBe("https://example.com/#deck=jAbc");
+    const cause = new Error("no memory");
+    const encode = () => Promise.reject(cause);
+    await expect(buildShareLink("Class 2-B", ITEMS, { encode, loc })).rejects.toMatchObject({ code: "encode", cause });
+  });
+
+  it("finds the deck in the fragment only", () => {
+    expect(shareDataFromHash("")).toBe(null);
+    expect(shareDataFromHash("#other=1&deck=zAbc")).toBe("zAbc");
+  });
+});
@@ -0,0 +1,107 @@
+// ====== Decks ======
+// デッキ = { id, name, items }。
+// 問題の ID はデッキをまたいで一意にする（復習スケジュール・学習記録・録音を itemId で引くため）。
+// 問題には topic のほかに tags: string[] と difficulty: 1 | 2 | 3 を付けられる（どちらも省略可）。
+
+export const DEFAULT_DECK_NAME = "Default";
+export const DIFFICULTIES = [1, 2, 3];
+export const EMPTY_FILTER = { text: "", tag: "", difficulty: "" };
+
+export function decksFromItems(items, name = DEFAULT_DECK_NAME) {
+  return [{ id: 1, name, items }];
+}
+
+// 保存データの検証。壊れていれば null
+export function validDecks(value) {
+  if (!Array.isArray(value) || !value.length) return null;
+  const ok = value.every(d => d && Number.isInteger(d.id) && typeof d.name === "string" && Array.isArray(d.items));
+  return ok ? value : null;
+}
+
+export function allItems(decks) {
+  return decks.flatMap(d => d.items);
+}
+
+export function maxItemId(decks) {
+  return allItems(decks).reduce((m, it) => Math.max(m, it.id || 0), 0);
+}
+
+// deckId 以外のデッキで使っている問題 ID（インポート時の振り直し用）
+export function itemIdsOutside(decks, deckId) {
+  return new Set(decks.filter(d => d.id !== deckId).flatMap(d => d.items.map(it => it.id)));
+}
+
+function nextDeckId(decks) {
+  return decks.reduce((m, d) => Math.max(m, d.id), 0) + 1;
+}
+
+export function addDeck(decks, name) {
+  const deck = { id: nextDeckId(decks), name, items: [] };
+  return { decks: [...decks, deck], deck };
+}
+
+// 問題は ID を振り直して複製する（学習記録は元のデッキに残る）
+export function duplicateDeck(decks, deckId, name) {
+  const src = decks.find(d => d.id === deckId);
+  if (!src) return { decks, deck: null };
+  let nextId = maxItemId(decks) + 1;
+  const deck = { id: nextDeckId(decks), name, items: src.items.map(it => ({ ...it, id: nextId++ })) };
+  return { decks: [...decks, deck], deck };
+}
+
+export function renameDeck(decks, deckId, name) {
+  return decks.map(d => (d.id === deckId ? { ...d, name } : d));
+}
+
+// 最後の 1 つは消さない
+export function removeDeck(decks, deckId) {
+  return decks.length > 1 ? decks.filter(d => d.id !== deckId) : decks;
+}
+
+export function updateDeckItems(decks, deckId, update) {
+  return decks.map(d => (d.id === deckId ? { ...d, items: typeof update === "function" ? update(d.items) : update } : d));
+}
+
+// 一括操作（スクリプト一覧で選んだ問題）
+export function updateItems(items, ids, patch) {
+  const set = new Set(ids);
+  return items.map(it => (set.has(it.id) ? { ...it, ...patch } : it));
+}
+
+export function removeItems(items, ids) {
+  const set = new Set(ids);
+  return items.filter(it => !set.has(it.id));
+}
+
+// "a, b; c" や配列を重複のないタグの配列に
+export function parseTags(value) {
+  const list = Array.isArray(value) ? value : String(value ?? "").split(/[,;、]/);
+  return Array.from(new Set(list.map(s => String(s).trim()).filter(Boolean)));
+}
+
+export function parseDifficulty(value) {
+  const n = Number(value);
+  return DIFFICULTIES.includes(n) ? n : undefined;
+}
+
+export function collectTags(items) {
+  return Array.from(new Set(items.flatMap(it => it.tags || []))).sort((a, b) => a.localeCompare(b));
+}
+
+// filter: { text, tag, difficulty }。text は問題文・答え・テーマ・タグの部分一致、数字だけなら ID も
+export function filterItems(items, filter = EMPTY_FILTER) {
+  const text = String(filter.text || "").trim().toLowerCase();
+  const difficulty = filter.difficulty === "none" ? "none" : parseDifficulty(filter.difficulty);
+  return items.filter(it => {
+    if (filter.tag && !(it.tags || []).includes(filter.tag)) return false;
+    if (difficulty === "none" ? it.difficulty != null : difficulty && it.difficulty !== difficulty) return false;
+    if (!text) return true;
+    if (/^\d+$/.test(text) && it.id === Number(text)) return true;
+    return [it.question, it.yesSample, it.noSample, it.topic, ...(it.tags || []), ...[].concat(it.choices || [], it.answers || [])]
+      .some(v => String(v || "").toLowerCase().includes(text));
+  });
+}
+
+export function isFiltered(filter) {
+  return Boolean(filter.text.trim() || filter.tag || filter.difficulty);
+}
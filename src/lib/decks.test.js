@@ -0,0 +1,101 @@
+import { describe, it, expect } from "vitest";
+import {
+  decksFromItems, validDecks, maxItemId, itemIdsOutside, addDeck, duplicateDeck, renameDeck, removeDeck,
+  updateDeckItems, updateItems, removeItems, parseTags, parseDifficulty, collectTags, filterItems, EMPTY_FILTER,
+} from "./decks.js";
+
+const ITEMS = [
+  { id: 1, topic: "Daily Life", question: "Do you like coffee?", yesSample: "Yes, I do.", noSample: "No, I don't.", tags: ["food", "present"], difficulty: 1 },
+  { id: 2, topic: "Study", question: "Did you study English yesterday?", yesSample: "Yes, I did.", noSample: "No, I didn't.", tags: ["past"], difficulty: 2 },
+  { id: 3, topic: "Abilities", question: "Can you swim?", yesSample: "Yes, I can.", noSample: "No, I can't." },
+];
+
+describe("deck operations", () => {
+  it("wraps a plain item list into a single deck", () => {
+    const decks = decksFromItems(ITEMS);
+    expect(decks).toEqual([{ id: 1, name: "Default", items: ITEMS }]);
+    expect(validDecks(decks)).toBe(decks);
+  });
+
+  it("rejects broken deck data", () => {
+    expect(validDecks([])).toBe(null);
+    expect(validDecks(ITEMS)).toBe(null);
+    expect(validDecks([{ id: 1, name: "A", items: null }])).toBe(null);
+  });
+
+  it("adds, renames and removes decks but keeps the last one", () => {
+    let { decks, deck } = addDeck(decksFromItems(ITEMS), "Travel");
+    expect(deck).toEqual({ id: 2, name: "Travel", items: [] });
+    decks = renameDeck(decks, 2, "Trips");
+    expect(decks[1].name).toBe("Trips");
+    decks = removeDeck(decks, 1);
+    expect(decks.map(d => d.id)).toEqual([2]);
+    expect(removeDeck(decks, 2)).toBe(decks);
+  });
+
+  it("duplicates a deck with fresh item IDs", () => {
+    const { decks, deck } = duplicateDeck(decksFromItems(ITEMS), 1, "Copy");
+    expect(deck.items.map(it => it.id)).toEqual([4, 5, 6]);
+    expect(deck.items[0]).toMatchObject({ question: "Do you like coffee?", tags: ["food", "present"] });
+    expect(maxItemId(decks)).toBe(6);
+    expect([...itemIdsOutside(decks, 2)]).toEqual([1, 2, 3]);
+  });
+
+  it("updates only the given deck's items", () => {
+    const { decks } = addDeck(decksFromItems(ITEMS), "Empty");
+    const next = updateDeckItems(decks, 2, prev => [...prev, { id: 9, question: "Is it?" }]);
+    expect(next[0]).toBe(decks[0]);
+    expect(next[1].items).toHaveLength(1);
+  });
+
+  it("changes or removes several items at once", () => {
+    const moved = updateItems(ITEMS, [1, 3], { topic: "Review" });
+    expect(moved.map(it => it.topic)).toEqual(["Review", "Study", "Review"]);
+    expect(moved[1]).toBe(ITEMS[1]);
+    expect(removeItems(ITEMS, [2, 99]).map(it => it.id)).toEqual([1, 3]);
+  });
+});
+
+describe("tags and difficulty", () => {
+  it("parses comma separated tags without duplicates", () => {
+    expect(parseTags("past, travel;past ,、food")).toEqual(["past", "travel", "food"]);
+    expect(parseTags(["a", " a ", ""])).toEqual(["a"]);
+    expect(parseTags(undefined)).toEqual([]);
+  });
+
+  it("accepts difficulty levels 1-3 only", () => {
+    expect(parseDifficulty("2")).toBe(2);
+    expect(parseDifficulty("4")).toBe(undefined);
+    expect(parseDifficulty("")).toBe(undefined);
+  });
+
+  it("collects the tags used in a deck", () => {
+    expect(collectTags(ITEMS)).toEqual(["food", "past", "present"]);
+  });
+});
+
+describe("filterItems", () => {
+  const ids = (filter) => filterItems(ITEMS, { ...EMPTY_FILTER, ...filter }).map(it => it.id);
+
+  it("returns everything without a filter", () => {
+    expect(ids({})).toEqual([1, 2, 3]);
+  });
+
+  it("searches question, answers, topic and tags case-insensitively", () => {
+    expect(ids({ text: "COFFEE" })).toEqual([1]);
+    expect(ids({ text: "can't" })).toEqual([3]);
+    expect(ids({ text: "study" })).toEqual([2]);
+    expect(ids({ text: "past" })).toEqual([2]);
+  });
+
+  it("matches an ID when the search is a number", () => {
+    expect(ids({ text: "3" })).toEqual([3]);
+  });
+
+  it("filters by tag and difficulty", () => {
+    expect(ids({ tag: "food" })).toEqual([1]);
+    expect(ids({ difficulty: "2" })).toEqual([2]);
+    expect(ids({ difficulty: "none" })).toEqual([3]);
+    expect(ids({ tag: "past", text: "coffee" })).toEqual([]);
+  });
+});
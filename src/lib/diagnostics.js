@@ -0,0 +1,86 @@
+// ====== Recognition diagnostics ======
+// 「聞き取ってくれない」の調査用。認識結果（interim / final）と yes/no の判定、認識エラー、
+// マイクの権限・取得の結果を時刻付きで残す。保存はしない（テキストでコピーして問い合わせに貼る）。
+//
+//   const diagnostics = createDiagnostics();
+//   diagnostics.log("final", { text, decision });
+//   useSyncExternalStore(diagnostics.subscribe, diagnostics.getState);
+//
+// entry: { ts, kind, text, decision, code, detail }
+//   kind: 'listen' | 'interim' | 'final' | 'end' | 'error' | 'permission' | 'mic' | 'check'
+
+import { realClock } from "./trainer.js";
+
+export const MAX_ENTRIES = 300;
+
+export function createDiagnostics({ clock = realClock, limit = MAX_ENTRIES } = {}) {
+  let entries = [];
+  const listeners = new Set();
+
+  function set(next) {
+    entries = next.length > limit ? next.slice(next.length - limit) : next;
+    listeners.forEach(fn => fn());
+  }
+
+  return {
+    getState: () => entries,
+    subscribe(fn) { listeners.add(fn); return () => listeners.delete(fn); },
+    log(kind, data = {}) {
+      const entry = { ts: clock.now(), kind, ...data };
+      // interim は続けて何度も届くので直前の interim を置き換える
+      const last = entries[entries.length - 1];
+      set(kind === "interim" && last?.kind === "interim" ? [...entries.slice(0, -1), entry] : [...entries, entry]);
+    },
+    clear() { set([]); },
+  };
+}
+
+// 問い合わせに貼るためのテキスト（1 行 1 件、時刻はローカルの HH:MM:SS.mmm）
+export function diagnosticsText(entries, header = []) {
+  const time = (ts) => {
+    const d = new Date(ts);
+    const pad = (n, w = 2) => String(n).padStart(w, "0");
+    return `${pad(d.getHours())}:${pad(d.getMinutes())}:${pad(d.getSeconds())}.${pad(d.getMilliseconds(), 3)}`;
+  };
+  const lines = entries.map(e => [
+    time(e.ts),
+    e.kind,
+    e.code ? `[${e.code}]` : "",
+    e.text != null ? `"${e.text}"` : "",
+    e.decision !== undefined ? `→ ${e.decision || "-"}` : "",
+    e.detail || "",
+  ].filter(Boolean).join(" "));
+  return [...header, ...lines].join("\n");
+}
+
+// getUserMedia の失敗（DOMException.name）を画面の文言のコードに（mic.errors.<code>）
+const MEDIA_ERRORS = {
+  NotAllowedError: "denied",
+  PermissionDeniedError: "denied",
+  SecurityError: "insecure",
+  NotFoundError: "notFound",
+  DevicesNotFoundError: "notFound",
+  NotReadableError: "busy",
+  TrackStartError: "busy",
+  AbortError: "busy",
+  OverconstrainedError: "constraint",
+  ConstraintNotSatisfiedError: "constraint",
+  TypeError: "unsupported",
+};
+
+export function mediaErrorCode(err) {
+  return MEDIA_ERRORS[err?.name] || "unknown";
+}
+
+// ====== Mic check ======
+// マイクチェックの各段階の判定。値は attachStream と同じ RMS（0..1）
+export const MIC_CHECK_STEPS = ["device", "level", "noise", "phrase"];
+export const HEARD_LEVEL = 0.05; // 話したときにこれを超えれば声が届いている
+const QUIET_FLOOR = 0.01;
+const NOISY_FLOOR = 0.03;
+
+// 静かにしている間のノイズフロア: 'quiet' | 'ok' | 'noisy'
+export function noiseVerdict(noiseFloor) {
+  if (noiseFloor < QUIET_FLOOR) return "quiet";
+  return noiseFloor < NOISY_FLOOR ? "ok" : "noisy";
+}
@@ -0,0 +1,62 @@
+import { describe, it, expect } from "vitest";
+import { createDiagnostics, diagnosticsText, mediaErrorCode, noiseVerdict } from "./diagnostics.js";
+import { createFakeClock } from "./testFakes.js";
+
+describe("diagnostics log", () => {
+  it("keeps timestamped entries and collapses consecutive interim results", () => {
+    const clock = createFakeClock(0);
+    const diagnostics = createDiagnostics({ clock });
+    let changes = 0;
+    diagnostics.subscribe(() => { changes++; });
+    diagnostics.log("listen", { detail: "en-US" });
+    clock.advance(100);
+    diagnostics.log("interim", { text: "ye", decision: null });
+    clock.advance(100);
+    diagnostics.log("interim", { text: "yes I", decision: "yes" });
+    diagnostics.log("final", { text: "Yes, I do.", decision: "yes" });
+    expect(diagnostics.getState()).toEqual([
+      { ts: 0, kind: "listen", detail: "en-US" },
+      { ts: 200, kind: "interim", text: "yes I", decision: "yes" },
+      { ts: 200, kind: "final", text: "Yes, I do.", decision: "yes" },
+    ]);
+    expect(changes).toBe(4);
+    diagnostics.clear();
+    expect(diagnostics.getState()).toEqual([]);
+  });
+
+  it("drops the oldest entries over the limit", () => {
+    const diagnostics = createDiagnostics({ clock: createFakeClock(), limit: 3 });
+    ["a", "b", "c", "d"].forEach(text => diagnostics.log("final", { text }));
+    expect(diagnostics.getState().map(e => e.text)).toEqual(["b", "c", "d"]);
+  });
+
+  it("formats entries as text for support requests", () => {
+    const ts = new Date(2026, 0, 2, 9, 5, 7, 42).getTime();
+    const text = diagnosticsText([
+      { ts, kind: "final", text: "No", decision: "no" },
+      { ts, kind: "final", text: "maybe", decision: null },
+      { ts, kind: "error", code: "no-speech", detail: "No speech was detected" },
+    ], ["backend: webspeech"]);
+    expect(text).toBe([
+      "backend: webspeech",
+      '09:05:07.042 final "No" → no',
+      '09:05:07.042 final "maybe" → -',
+      "09:05:07.042 error [no-speech] No speech was detected",
+    ].join("\n"));
+  });
+});
+
+describe("mic check", () => {
+  it("maps getUserMedia failures to messages", () => {
+    expect(mediaErrorCode({ name: "NotAllowedError" })).toBe("denied");
+    expect(mediaErrorCode({ name: "NotFoundError" })).toBe("notFound");
+    expect(mediaErrorCode({ name: "NotReadableError" })).toBe("busy");
+    expect(mediaErrorCode(new Error("?"))).toBe("unknown");
+  });
+
+  it("judges the noise floor", () => {
+    expect(noiseVerdict(0.004)).toBe("quiet");
+    expect(noiseVerdict(0.02)).toBe("ok");
+    expect(noiseVerdict(0.06)).toBe("noisy");
+  });
+});
@@ -0,0 +1,53 @@
+// ====== Dictation ======
+// 読み上げたお手本の文を入力してもらい、文字単位の違いを示す。
+// 大文字・小文字、句読点、空白の違いは間違いに数えない（表示はお手本に合わせる）。短縮形の ' は数える。
+
+// 比べるときの文字（大文字小文字・引用符の形をそろえる）
+function fold(c) {
+  return c.toLowerCase().replace(/[’‘`]/g, "'");
+}
+
+// 句読点・空白（抜けても余分でも間違いにしない）。短縮形のアポストロフィ（don't）は数える
+function ignorable(c) {
+  return !/[\p{L}\p{N}'’‘`]/u.test(c);
+}
+
+// 文字の最長共通部分列から差分を作る。parts: [{ type: 'same' | 'missing' | 'extra', text }]
+//   missing … お手本にあって入力に無い、extra … 入力にあってお手本に無い
+//   score は 0..100（お手本の文字数に対する間違いの割合から）
+export function checkDictation(expected, typed) {
+  const a = Array.from(String(expected || "")), b = Array.from(String(typed || "").trim());
+  const n = a.length, m = b.length;
+  const lcs = Array.from({ length: n + 1 }, () => new Array(m + 1).fill(0));
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      lcs[i][j] = fold(a[i]) === fold(b[j]) ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+  const ops = [];
+  let i = 0, j = 0;
+  while (i < n || j < m) {
+    if (i < n && j < m && fold(a[i]) === fold(b[j])) { ops.push({ type: "same", text: a[i] }); i++; j++; }
+    else if (j < m && (i === n || lcs[i][j + 1] >= lcs[i + 1][j])) {
+      // 余分な句読点・空白は表示しない
+      if (!ignorable(b[j])) ops.push({ type: "extra", text: b[j] });
+      j++;
+    } else {
+      ops.push({ type: ignorable(a[i]) ? "same" : "missing", text: a[i] });
+      i++;
+    }
+  }
+  const errors = ops.filter(op => op.type !== "same").length;
+  const letters = a.filter(c => !ignorable(c)).length;
+  const parts = [];
+  ops.forEach(op => {
+    const last = parts[parts.length - 1];
+    if (last?.type === op.type) last.text += op.text;
+    else parts.push({ ...op });
+  });
+  return {
+    parts,
+    errors,
+    score: letters ? Math.max(0, Math.round(100 * (1 - errors / letters))) : 0,
+  };
+}
@@ -0,0 +1,23 @@
+import { describe, it, expect } from "vitest";
+import { checkDictation } from "./dictation.js";
+
+describe("checkDictation", () => {
+  it("ignores case, punctuation and spacing", () => {
+    expect(checkDictation("Yes, I do.", "yes i do")).toEqual({ parts: [{ type: "same", text: "Yes, I do." }], errors: 0, score: 100 });
+    expect(checkDictation("No, I don't.", "no I don’t").errors).toBe(0);
+  });
+
+  it("marks missing and extra characters", () => {
+    const { parts, errors } = checkDictation("No, I don't.", "No, I dont");
+    expect(parts).toEqual([{ type: "same", text: "No, I don" }, { type: "missing", text: "'" }, { type: "same", text: "t." }]);
+    expect(errors).toBe(1);
+
+    const wrong = checkDictation("Yes, I can.", "Yes, I cen");
+    expect(wrong.parts.filter(p => p.type !== "same")).toEqual([{ type: "extra", text: "e" }, { type: "missing", text: "a" }]);
+    expect(wrong.score).toBe(71); // 7 文字中 2 つ
+  });
+
+  it("scores an empty answer as zero", () => {
+    expect(checkDictation("Yes, it is.", "").score).toBe(0);
+  });
+});
@@ -0,0 +1,122 @@
+// ====== Fluency / pronunciation scoring ======
+// 1 回の出題ごとに、ASR の信頼度・サンプル回答との一致・話す速さ・言いよどみ
+// （interim 結果の間隔）から 0..100 のスコアを出す。
+
+const WEIGHTS = { match: 0.4, confidence: 0.25, rate: 0.15, hesitation: 0.2 };
+const HESITATION_GAP_MS = 600; // interim の間隔がこれ以上空いたら言いよどみとみなす
+const MAX_HESITATION_MS = 3000;
+const IDEAL_WPM = [100, 180];
+const MIN_WPM = 40;
+const FIRST_WORD_MS = 300;
+
+function norm(word) {
+  return String(word).toLowerCase().replace(/[’‘]/g, "'").replace(/[^\p{L}\p{N}']/gu, "");
+}
+// 分かち書きしない言語は 1 文字 = 1 語として扱う
+function split(text, spaceless) {
+  const s = String(text || "");
+  return spaceless ? Array.from(s.replace(/\s+/g, "")) : s.split(/\s+/);
+}
+function words(text, spaceless) {
+  return split(text, spaceless).map(norm).filter(Boolean);
+}
+
+// サンプルの各語を 'ok' | 'missed' | 'mispronounced' | 'unclear' に分類する（単語単位の編集距離）。
+//   mispronounced … 別の語に置き換わって認識された
+//   unclear       … 第一候補には無いが、他の候補（alternatives）には含まれる
+export function alignWords(expected, spoken, alternatives = [], spaceless = false) {
+  const display = split(expected, spaceless).filter(w => w && (!spaceless || norm(w)));
+  const exp = display.map(norm);
+  const got = words(spoken, spaceless);
+  const n = exp.length, m = got.length;
+  const d = Array.from({ length: n + 1 }, (_, i) => Array.from({ length: m + 1 }, (_, j) => (i === 0 ? j : j === 0 ? i : 0)));
+  for (let i = 1; i <= n; i++) {
+    for (let j = 1; j <= m; j++) {
+      const cost = exp[i - 1] === got[j - 1] ? 0 : 1;
+      d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost);
+    }
+  }
+  // 後ろからたどって状態を決める
+  const status = new Array(n).fill("missed");
+  let i = n, j = m;
+  while (i > 0 && j > 0) {
+    const cost = exp[i - 1] === got[j - 1] ? 0 : 1;
+    if (d[i][j] === d[i - 1][j - 1] + cost) { status[i - 1] = cost ? "mispronounced" : "ok"; i--; j--; }
+    else if (d[i][j] === d[i - 1][j] + 1) { status[i - 1] = "missed"; i--; }
+    else j--;
+  }
+  const altWords = new Set(alternatives.flatMap(a => words(a.transcript, spaceless)));
+  const result = display.map((word, k) => ({
+    word,
+    status: status[k] !== "ok" && exp[k] && altWords.has(exp[k]) ? "unclear" : status[k],
+  }));
+  return { words: result, distance: n ? d[n][m] : m, expectedLength: n };
+}
+
+// 発話 1 つ分のメタ情報から速さと言いよどみを求める
+//   utterance: { transcript, resultTimes: [ts...], confidence }
+function timing(utterance, spaceless) {
+  const times = utterance.resultTimes || [];
+  // 日本語などは 3 文字 ≒ 1 語で換算
+  const wordCount = spaceless ? Math.round(words(utterance.transcript, true).length / 3) : words(utterance.transcript).length;
+  let hesitationMs = 0, hesitations = 0;
+  for (let k = 1; k < times.length; k++) {
+    const gap = times[k] - times[k - 1];
+    if (gap >= HESITATION_GAP_MS) { hesitations++; hesitationMs += gap; }
+  }
+  // interim が 1 回しか来ない backend では速さは測れない
+  // 最初の interim は 1 語目を言い終えてから届くので、その分を足す
+  const durationMs = times.length > 1 ? times[times.length - 1] - times[0] + FIRST_WORD_MS : null;
+  const wpm = durationMs && wordCount > 1 ? (wordCount / (durationMs / 60000)) : null;
+  return { wpm, hesitations, hesitationMs };
+}
+
+function rateScore(wpm) {
+  if (wpm == null) return null;
+  if (wpm >= IDEAL_WPM[0] && wpm <= IDEAL_WPM[1]) return 1;
+  if (wpm < IDEAL_WPM[0]) return Math.max(0, (wpm - MIN_WPM) / (IDEAL_WPM[0] - MIN_WPM));
+  return Math.max(0, 1 - (wpm - IDEAL_WPM[1]) / IDEAL_WPM[1]);
+}
+
+// grades: { yes, no }（grader の結果に utterance を付けたもの。キーは問題の種類の target）
+// samples: { yes: yesSample, no: noSample }（grades と同じキー）
+// spaceless: 分かち書きしない言語（日本語など）
+export function scoreAttempt(grades, samples, spaceless = false) {
+  const polarities = Object.keys(samples);
+  const perPolarity = {};
+  const matchScores = [], confidences = [], rates = [];
+  let hesitations = 0, hesitationMs = 0;
+
+  polarities.forEach(pol => {
+    const g = grades?.[pol];
+    const u = g?.utterance;
+    const align = alignWords(samples[pol], g?.said || "", u?.alternatives || [], spaceless);
+    perPolarity[pol] = align.words;
+    matchScores.push(g ? Math.max(0, 1 - align.distance / Math.max(1, align.expectedLength)) : 0);
+    if (!u) return;
+    if (typeof u.confidence === "number" && u.confidence > 0) confidences.push(u.confidence);
+    const t = timing(u, spaceless);
+    if (t.wpm != null) rates.push(t.wpm);
+    hesitations += t.hesitations; hesitationMs += t.hesitationMs;
+  });
+
+  const avg = (xs) => (xs.length ? xs.reduce((s, x) => s + x, 0) / xs.length : null);
+  const wpm = avg(rates);
+  const heard = polarities.some(pol => grades?.[pol]);
+  const components = {
+    match: avg(matchScores),
+    confidence: avg(confidences),
+    rate: rateScore(wpm),
+    hesitation: heard ? 1 - Math.min(1, hesitationMs / MAX_HESITATION_MS) : null,
+  };
+  // 測れなかった項目は除いて重みを付け直す
+  let sum = 0, weight = 0;
+  Object.entries(components).forEach(([k, v]) => { if (v != null) { sum += v * WEIGHTS[k]; weight += WEIGHTS[k]; } });
+  return {
+    score: weight ? Math.round((sum / weight) * 100) : 0,
+    components,
+    wpm: wpm != null ? Math.round(wpm) : null,
+    hesitations,
+    words: perPolarity,
+  };
+}
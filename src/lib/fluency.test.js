@@ -0,0 +1,85 @@
+import { describe, it, expect } from "vitest";
+import { scoreAttempt, alignWords } from "./fluency.js";
+
+const SAMPLES = { yes: "Yes, I do." }; // 3 語
+
+// interim が届いた時刻（0 から）
+function grade(resultTimes, { said = "Yes, I do.", confidence = 0.9 } = {}) {
+  return { yes: { said, result: "correct", utterance: { transcript: said, resultTimes, confidence } } };
+}
+
+// 0 から end まで 100ms ごとに interim が届く（言いよどみなし）
+function steady(end) {
+  return Array.from({ length: end / 100 + 1 }, (_, i) => i * 100);
+}
+
+describe("pauses", () => {
+  it("counts a gap between interim results as a pause from 600ms", () => {
+    expect(scoreAttempt(grade([0, 599]), SAMPLES)).toMatchObject({ hesitations: 0, components: { hesitation: 1 } });
+    const paused = scoreAttempt(grade([0, 600]), SAMPLES);
+    expect(paused.hesitations).toBe(1);
+    expect(paused.components.hesitation).toBeCloseTo(0.8); // 600 / 3000
+  });
+
+  it("adds up the pauses and bottoms out at 3 seconds", () => {
+    const two = scoreAttempt(grade([0, 1000, 1100, 2100]), SAMPLES);
+    expect(two.hesitations).toBe(2);
+    expect(two.components.hesitation).toBeCloseTo(1 - 2000 / 3000);
+    expect(scoreAttempt(grade([0, 3000]), SAMPLES).components.hesitation).toBe(0);
+    expect(scoreAttempt(grade([0, 5000]), SAMPLES).components.hesitation).toBe(0);
+  });
+
+  it("adds up pauses over both answers", () => {
+    const grades = { yes: grade([0, 1000]).yes, no: grade([0, 1000], { said: "No, I don't." }).yes };
+    const result = scoreAttempt(grades, { yes: "Yes, I do.", no: "No, I don't." });
+    expect(result.hesitations).toBe(2);
+    expect(result.components.hesitation).toBeCloseTo(1 - 2000 / 3000);
+  });
+});
+
+describe("speaking rate", () => {
+  // 3 語 / (最後の interim - 最初の interim + 1 語目の 300ms)
+  it.each([
+    [700, 180, 1],
+    [1500, 100, 1],
+    [2700, 60, 1 / 3],
+    [4200, 40, 0],
+    [6000, 29, 0],
+    [200, 360, 0],
+  ])("last interim at %ims → %i wpm, rate %f", (end, wpm, rate) => {
+    const result = scoreAttempt(grade(steady(end)), SAMPLES);
+    expect(result.wpm).toBe(wpm);
+    expect(result.components.rate).toBeCloseTo(rate);
+  });
+
+  it("includes the first word the recognizer reports late", () => {
+    // 最初の interim は 1 語目の後に届くので、interim 間隔 700ms でも 1000ms 話したとみなす
+    expect(scoreAttempt(grade(steady(700)), SAMPLES).wpm).toBe(180);
+  });
+
+  it("leaves the rate out when it cannot be measured", () => {
+    const once = scoreAttempt(grade([0]), SAMPLES);
+    expect(once.wpm).toBe(null);
+    expect(once.components.rate).toBe(null);
+    expect(scoreAttempt(grade(steady(700), { said: "Yes" }), SAMPLES).components.rate).toBe(null); // 1 語では測れない
+  });
+});
+
+describe("score", () => {
+  it("reweights the parts that could be measured", () => {
+    // match 1 / confidence 0.5 / rate なし / hesitation 1 → (0.4 + 0.125 + 0.2) / 0.85
+    const result = scoreAttempt(grade([0], { confidence: 0.5 }), SAMPLES);
+    expect(result.score).toBe(Math.round((0.725 / 0.85) * 100));
+  });
+
+  it("scores 0 when nothing was heard", () => {
+    expect(scoreAttempt({}, SAMPLES)).toMatchObject({ score: 0, components: { match: 0, confidence: null, rate: null, hesitation: null } });
+  });
+
+  it("marks missed and misheard words", () => {
+    const { words } = alignWords("Yes, I do.", "yes I to");
+    expect(words.map(w => w.status)).toEqual(["ok", "ok", "mispronounced"]);
+    expect(alignWords("Yes, I do.", "yes do").words[1].status).toBe("missed");
+    expect(alignWords("Yes, I do.", "yes I to", [{ transcript: "yes I do" }]).words[2].status).toBe("unclear");
+  });
+});
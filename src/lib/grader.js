@@ -0,0 +1,225 @@
+// ====== Short-answer grader ======
+// "Yes, I do." / "No, it isn't." のような短い答え方を、問題文とサンプル回答から
+// 期待される主語・助動詞と照らし合わせて採点する。
+//   result: 'correct' | 'wrong_aux' | 'wrong_subject' | 'polarity_only' | null（回答ではない）
+//   選択疑問文・疑問詞疑問文の採点は questionTypes.js（'both_choices' | 'wrong_answer' | 'yes_no_to_open'）
+// 英語以外は文法を見ず、言語パックの yes/no 判定とサンプル回答との一致だけで採点する。
+
+import { parseYesNo, getLanguagePack, DEFAULT_LANG } from "./languages.js";
+
+const YES_WORDS = ["yes", "yeah", "yep", "yup", "sure"];
+const NO_WORDS = ["no", "nope", "nah"];
+export const PRONOUNS = ["i", "you", "we", "they", "he", "she", "it"];
+
+// 助動詞 → 系統。一致チェックは系統ごとに主語から正しい形を決める。
+const AUX_FAMILY = {
+  am: "be", is: "be", are: "be",
+  was: "be_past", were: "be_past",
+  do: "do", does: "do",
+  did: "did",
+  have: "have", has: "have",
+  can: "can", could: "could", will: "will", would: "would",
+  should: "should", may: "may", might: "might", must: "must", shall: "shall",
+};
+
+const NEG_CONTRACTIONS = {
+  "isn't": "is", "aren't": "are", "wasn't": "was", "weren't": "were",
+  "don't": "do", "doesn't": "does", "didn't": "did",
+  "haven't": "have", "hasn't": "has",
+  "can't": "can", "cannot": "can", "couldn't": "could",
+  "won't": "will", "wouldn't": "would", "shouldn't": "should",
+  "mustn't": "must", "mightn't": "might", "shan't": "shall",
+};
+
+// 代名詞 + be/will/have の短縮形（"I'm" など）を展開
+const PRONOUN_CONTRACTIONS = {
+  "i'm": ["i", "am"], "you're": ["you", "are"], "we're": ["we", "are"], "they're": ["they", "are"],
+  "he's": ["he", "is"], "she's": ["she", "is"], "it's": ["it", "is"],
+  "i've": ["i", "have"], "you've": ["you", "have"], "we've": ["we", "have"], "they've": ["they", "have"],
+  "i'll": ["i", "will"], "you'll": ["you", "will"], "we'll": ["we", "will"], "they'll": ["they", "will"],
+  "he'll": ["he", "will"], "she'll": ["she", "will"], "it'll": ["it", "will"],
+};
+
+export function tokenize(text) {
+  const words = String(text || "")
+    .toLowerCase()
+    .replace(/[’‘`]/g, "'")
+    .replace(/[^a-z0-9' ]+/g, " ")
+    .split(/\s+/)
+    .filter(Boolean);
+  return words.flatMap(w => PRONOUN_CONTRACTIONS[w] || [w]);
+}
+
+// tokens[i] から助動詞（否定を含む）を読む。{ aux, neg, length } か null。
+function readAux(tokens, i) {
+  const w = tokens[i];
+  if (!w) return null;
+  if (NEG_CONTRACTIONS[w]) return { aux: NEG_CONTRACTIONS[w], neg: true, length: 1 };
+  if (!AUX_FAMILY[w]) return null;
+  if (tokens[i + 1] === "not") return { aux: w, neg: true, length: 2 };
+  return { aux: w, neg: false, length: 1 };
+}
+
+// 短い答えを構造化する: { polarityWord, subject, aux, neg, rest }
+export function parseShortAnswer(text) {
+  const tokens = tokenize(text);
+  let i = 0;
+  let polarityWord = null;
+  if (YES_WORDS.includes(tokens[0])) { polarityWord = "yes"; i = 1; }
+  else if (NO_WORDS.includes(tokens[0])) { polarityWord = "no"; i = 1; }
+  else if (tokens[0] === "of" && tokens[1] === "course") { polarityWord = "yes"; i = 2; }
+
+  let subject = null, aux = null, neg = false;
+  if (PRONOUNS.includes(tokens[i])) {
+    const a = readAux(tokens, i + 1);
+    if (a) {
+      subject = tokens[i]; aux = a.aux; neg = a.neg;
+      i += 1 + a.length;
+    }
+  }
+  return { polarityWord, subject, aux, neg, rest: tokens.slice(i) };
+}
+
+// 問題文の主語 → 答えるときの主語（候補）
+function answerSubjects(questionSubject) {
+  switch (questionSubject) {
+    case "you": return ["i", "we"];
+    case "i": return ["you"];
+    case "we": return ["you", "we"];
+    case "he": case "she": case "it": case "they": return [questionSubject];
+    case "this": case "that": return ["it"];
+    case "these": case "those": return ["they"];
+    default: return ["it", "he", "she", "they"];
+  }
+}
+
+// 主語に合う助動詞の形
+export function conjugate(family, subject) {
+  const third = subject === "he" || subject === "she" || subject === "it";
+  switch (family) {
+    case "be": return subject === "i" ? "am" : third ? "is" : "are";
+    case "be_past": return (subject === "i" || third) ? "was" : "were";
+    case "do": return third ? "does" : "do";
+    case "have": return third ? "has" : "have";
+    default: return family; // did / 法助動詞は形が変わらない
+  }
+}
+
+// 付加疑問 "…, aren't you?" を末尾から読む。{ family, subject } か null
+export function readTag(tokens) {
+  const subject = tokens[tokens.length - 1];
+  const family = auxFamily(tokens[tokens.length - 2]);
+  if (tokens.length < 3 || !family || !PRONOUNS.includes(subject)) return null;
+  return { family, subject };
+}
+
+// 問題と（あれば）サンプル回答から期待値を求める。付加疑問文はタグの助動詞と主語を使う。
+export function analyzeQuestion(item) {
+  const q = tokenize(item?.question);
+  const tag = item?.type === "tag" ? readTag(q) : null;
+  let family = tag ? tag.family : auxFamily(q[0]);
+  const questionSubject = tag ? tag.subject : q[1];
+  let subjects = q.length > 1 ? answerSubjects(questionSubject) : [];
+  for (const sample of [item?.yesSample, item?.noSample]) {
+    const s = parseShortAnswer(sample);
+    if (s.subject && s.aux) {
+      family = AUX_FAMILY[s.aux];
+      // 名詞主語ならサンプルの代名詞だけを正解にする。代名詞主語なら言い換え（I/we）も許す。
+      subjects = PRONOUNS.includes(questionSubject)
+        ? [s.subject, ...subjects.filter(x => x !== s.subject)]
+        : [s.subject];
+      break;
+    }
+  }
+  return { family, subjects, questionWords: new Set(q) };
+}
+
+// "Yes, I do." / "No, I don't." の形を作る
+export function shortForm(polarity, subject, family) {
+  const aux = conjugate(family, subject);
+  const subj = subject === "i" ? "I" : subject;
+  if (polarity === "yes") return `Yes, ${subj} ${aux}.`;
+  const neg = { am: "'m not", will: " won't", can: " can't", shall: " shan't", may: " may not", might: " might not" }[aux];
+  return `No, ${subj}${neg || ` ${aux}n't`}.`;
+}
+
+export function auxFamily(word) {
+  return AUX_FAMILY[word] || (NEG_CONTRACTIONS[word] && AUX_FAMILY[NEG_CONTRACTIONS[word]]) || null;
+}
+
+const RANK = { correct: 3, wrong_subject: 2, wrong_aux: 2, polarity_only: 1, both_choices: 1 };
+export function betterGrade(a, b) {
+  if (!a) return b;
+  if (!b) return a;
+  return (RANK[b.result] || 0) > (RANK[a.result] || 0) ? b : a;
+}
+
+function compact(text, spaceless) {
+  const t = String(text || "").toLowerCase().replace(/[\p{P}\p{S}]+/gu, " ").replace(/\s+/g, " ").trim();
+  return spaceless ? t.replace(/\s+/g, "") : t;
+}
+
+function gradeOtherLanguage(transcript, item, lang) {
+  const polarity = parseYesNo(transcript, lang);
+  const said = transcript || "";
+  if (!polarity) return { polarity: null, result: null, said };
+  const expected = (polarity === "yes" ? item?.yesSample : item?.noSample) || "";
+  const { spaceless } = getLanguagePack(lang);
+  const matches = expected && compact(said, spaceless).includes(compact(expected, spaceless));
+  return { polarity, said, expected, result: matches ? "correct" : "polarity_only" };
+}
+
+// transcript を item に対して採点する
+export function gradeAnswer(transcript, item, lang = DEFAULT_LANG) {
+  if (lang !== DEFAULT_LANG) return gradeOtherLanguage(transcript, item, lang);
+  const parsed = parseShortAnswer(transcript);
+  const expect = analyzeQuestion(item);
+  const hasShort = !!(parsed.subject && parsed.aux);
+
+  let polarity = parsed.polarityWord;
+  if (!polarity && hasShort) {
+    // "I don't know" のように問題と無関係な語が続く場合は回答とみなさない
+    const unrelated = parsed.rest.length > 0 && !parsed.rest.some(w => expect.questionWords.has(w));
+    if (unrelated) return { polarity: null, result: null, said: transcript || "" };
+    polarity = parsed.neg ? "no" : "yes";
+  }
+  if (!polarity && !hasShort) {
+    // "Absolutely yes" / "Not really" など、先頭以外の yes/no 語も拾う
+    const tokens = tokenize(transcript);
+    if (tokens.some(w => YES_WORDS.includes(w))) polarity = "yes";
+    else if (tokens.some(w => NO_WORDS.includes(w) || w === "not")) polarity = "no";
+  }
+  if (!polarity) return { polarity: null, result: null, said: transcript || "" };
+
+  const subject = expect.subjects[0] || "it";
+  const base = { polarity, said: transcript || "" };
+  const sample = polarity === "yes" ? item?.yesSample : item?.noSample;
+  const expected = sample || (expect.family ? shortForm(polarity, subject, expect.family) : "");
+
+  if (!hasShort) return { ...base, result: "polarity_only", expected };
+  if (expect.subjects.length && !expect.subjects.includes(parsed.subject)) {
+    return { ...base, result: "wrong_subject", expected, got: parsed.subject, want: subject };
+  }
+  const wantAux = expect.family ? conjugate(expect.family, parsed.subject) : parsed.aux;
+  if (parsed.aux !== wantAux || parsed.neg !== (polarity === "no")) {
+    return { ...base, result: "wrong_aux", expected, got: parsed.aux, want: wantAux };
+  }
+  return { ...base, result: "correct", expected };
+}
+
+// reveal で表示するフィードバック文（t は i18n の翻訳関数）
+export function feedbackText(grade, t) {
+  if (!grade) return t("feedback.grade.none");
+  const params = { got: grade.got, want: grade.want, expected: grade.expected };
+  switch (grade.result) {
+    case "correct":
+    case "wrong_subject":
+    case "wrong_aux":
+    case "polarity_only":
+    case "both_choices":
+    case "wrong_answer":
+    case "yes_no_to_open":
+      return t(`feedback.grade.${grade.result}`, params);
+    default: return t("feedback.grade.unrecognized");
+  }
+}
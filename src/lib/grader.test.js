@@ -0,0 +1,57 @@
+import { describe, it, expect } from "vitest";
+import { gradeAnswer, parseShortAnswer, shortForm, feedbackText } from "./grader.js";
+
+const DID = { id: 1, question: "Did you study English yesterday?", yesSample: "Yes, I did.", noSample: "No, I didn't." };
+const IS = { id: 2, question: "Is Tokyo the capital of Japan?", yesSample: "Yes, it is.", noSample: "No, it isn't." };
+const DOES = { id: 3, question: "Does he play soccer?" };
+
+describe("gradeAnswer", () => {
+  it("accepts the expected short answer", () => {
+    expect(gradeAnswer("Yes, I did.", DID)).toMatchObject({ polarity: "yes", result: "correct" });
+    expect(gradeAnswer("No I didn't", DID)).toMatchObject({ polarity: "no", result: "correct" });
+    expect(gradeAnswer("We did", DID)).toMatchObject({ polarity: "yes", result: "correct" });
+  });
+
+  it("catches an auxiliary that does not match the question", () => {
+    expect(gradeAnswer("Yes, I can.", DID)).toMatchObject({ result: "wrong_aux", got: "can", want: "did", expected: "Yes, I did." });
+    expect(gradeAnswer("Yes, he do.", DOES)).toMatchObject({ result: "wrong_aux", got: "do", want: "does" });
+  });
+
+  it("catches a wrong subject pronoun", () => {
+    expect(gradeAnswer("Yes, he is.", IS)).toMatchObject({ result: "wrong_subject", got: "he", want: "it" });
+    expect(gradeAnswer("No, you didn't.", DID)).toMatchObject({ result: "wrong_subject", got: "you", want: "i" });
+  });
+
+  it("does not count unrelated sentences as an answer", () => {
+    expect(gradeAnswer("I don't know", DID)).toMatchObject({ polarity: null, result: null });
+    expect(gradeAnswer("", DID)).toMatchObject({ polarity: null, result: null });
+  });
+
+  it("gives partial credit for a bare yes or no", () => {
+    expect(gradeAnswer("Yes.", DID)).toMatchObject({ polarity: "yes", result: "polarity_only", expected: "Yes, I did." });
+    expect(gradeAnswer("Not really", IS)).toMatchObject({ polarity: "no", result: "polarity_only" });
+  });
+
+  it("builds the expected answer from the question when there are no samples", () => {
+    expect(gradeAnswer("Yes.", DOES).expected).toBe("Yes, he does.");
+  });
+});
+
+describe("short answers", () => {
+  it("reads the polarity word, subject and auxiliary", () => {
+    expect(parseShortAnswer("No, it isn't.")).toMatchObject({ polarityWord: "no", subject: "it", aux: "is", neg: true });
+    expect(parseShortAnswer("Yes, I'm")).toMatchObject({ polarityWord: "yes", subject: "i", aux: "am", neg: false });
+  });
+
+  it("forms short answers for each subject", () => {
+    expect(shortForm("yes", "i", "be")).toBe("Yes, I am.");
+    expect(shortForm("no", "she", "do")).toBe("No, she doesn't.");
+    expect(shortForm("no", "they", "be_past")).toBe("No, they weren't.");
+  });
+
+  it("explains each result through the catalog", () => {
+    const t = (key, params) => `${key} ${JSON.stringify(params || {})}`;
+    expect(feedbackText(gradeAnswer("Yes, I can.", DID), t)).toMatch(/^feedback\.grade\.wrong_aux /);
+    expect(feedbackText(null, t)).toMatch(/^feedback\.grade\.none/);
+  });
+});
@@ -0,0 +1,107 @@
+// ====== Attempt history ======
+// 1 回の出題 = 1 attempt
+//   { itemId, type, topic, ts, sessionId, detected: { yes, no }, grades: { yes, no }, transcript, firstAnswerMs, latencyMs, fluency: { score, ... } }
+//   detected / grades のキーは問題の種類の target（選択疑問文・疑問詞疑問文は { answer }）
+//   答えを指定した問題（trainer の targetMode）は target: 'yes' | 'no' で、キーはその 1 つだけ。
+//   逆の答えを言ったら opposite にその発話（不正解）
+
+const MAX_ATTEMPTS = 5000; // 保存サイズの上限
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export function appendAttempt(history, attempt) {
+  const next = [...history, attempt];
+  return next.length > MAX_ATTEMPTS ? next.slice(next.length - MAX_ATTEMPTS) : next;
+}
+
+// grades があれば（grader 導入後の記録）すべての target を正しい形で答えたかで判定する
+export function isCorrect(attempt) {
+  if (attempt?.grades) return Object.values(attempt.grades).every(g => g === "correct");
+  return !!(attempt?.detected?.yes && attempt?.detected?.no);
+}
+
+// ローカル日付の YYYY-MM-DD
+export function dayKey(ts) {
+  const d = new Date(ts);
+  const mm = String(d.getMonth() + 1).padStart(2, "0");
+  const dd = String(d.getDate()).padStart(2, "0");
+  return `${d.getFullYear()}-${mm}-${dd}`;
+}
+
+function summarize(list) {
+  const total = list.length;
+  const correct = list.filter(isCorrect).length;
+  const times = list.map(a => a.firstAnswerMs).filter(ms => typeof ms === "number");
+  const avgFirstAnswerMs = times.length ? Math.round(times.reduce((s, ms) => s + ms, 0) / times.length) : null;
+  const latencies = list.map(a => a.latencyMs).filter(ms => typeof ms === "number");
+  const avgLatencyMs = latencies.length ? Math.round(latencies.reduce((s, ms) => s + ms, 0) / latencies.length) : null;
+  const scores = list.map(a => a.fluency?.score).filter(v => typeof v === "number");
+  const avgFluency = scores.length ? Math.round(scores.reduce((s, v) => s + v, 0) / scores.length) : null;
+  return { total, correct, accuracy: total ? correct / total : 0, avgFirstAnswerMs, avgLatencyMs, avgFluency };
+}
+
+export function summarizeAttempts(list) {
+  return summarize(list);
+}
+
+export function topicAccuracy(history) {
+  const byTopic = new Map();
+  history.forEach(a => {
+    const t = a.topic || "Untitled";
+    if (!byTopic.has(t)) byTopic.set(t, []);
+    byTopic.get(t).push(a);
+  });
+  return Array.from(byTopic, ([topic, list]) => ({ topic, ...summarize(list) }))
+    .sort((a, b) => a.accuracy - b.accuracy);
+}
+
+// 正答率の低い順。items に存在しない ID は除外する。
+export function weakestItems(history, items, limit = 5) {
+  const byId = new Map();
+  history.forEach(a => {
+    if (!byId.has(a.itemId)) byId.set(a.itemId, []);
+    byId.get(a.itemId).push(a);
+  });
+  return items
+    .filter(it => byId.has(it.id))
+    .map(it => ({ item: it, ...summarize(byId.get(it.id)) }))
+    .filter(r => r.correct < r.total)
+    .sort((a, b) => a.accuracy - b.accuracy || b.total - a.total)
+    .slice(0, limit);
+}
+
+// 連続練習日数。今日まだ練習していなくても昨日まで続いていれば current に数える。
+export function streaks(history, now = Date.now()) {
+  const days = new Set(history.map(a => dayKey(a.ts)));
+  let current = 0;
+  let cursor = now;
+  if (!days.has(dayKey(cursor))) cursor -= DAY_MS;
+  while (days.has(dayKey(cursor))) { current++; cursor -= DAY_MS; }
+
+  let longest = 0, run = 0, prev = null;
+  Array.from(days).sort().forEach(k => {
+    const t = new Date(`${k}T00:00:00`).getTime();
+    run = (prev !== null && Math.round((t - prev) / DAY_MS) === 1) ? run + 1 : 1;
+    longest = Math.max(longest, run);
+    prev = t;
+  });
+  return { current, longest };
+}
+
+// 直近 days 日の日別件数（古い順）
+export function dailyActivity(history, days = 14, now = Date.now()) {
+  const counts = new Map();
+  history.forEach(a => {
+    const k = dayKey(a.ts);
+    const c = counts.get(k) || { total: 0, correct: 0, scoreSum: 0, scored: 0 };
+    c.total++; if (isCorrect(a)) c.correct++;
+    if (typeof a.fluency?.score === "number") { c.scoreSum += a.fluency.score; c.scored++; }
+    counts.set(k, c);
+  });
+  const out = [];
+  for (let i = days - 1; i >= 0; i--) {
+    const k = dayKey(now - i * DAY_MS);
+    const c = counts.get(k) || { total: 0, correct: 0, scoreSum: 0, scored: 0 };
+    out.push({ day: k, total: c.total, correct: c.correct, avgFluency: c.scored ? Math.round(c.scoreSum / c.scored) : null });
+  }
+  return out;
+}
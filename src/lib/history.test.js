@@ -0,0 +1,104 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from "vitest";
+import { IDBFactory } from "fake-indexeddb";
+import { appendAttempt, isCorrect, summarizeAttempts, topicAccuracy, weakestItems, streaks, dailyActivity, dayKey } from "./history.js";
+import { profileKey } from "./profiles.js";
+
+const ITEMS = [
+  { id: 1, topic: "Daily Life", question: "Do you like coffee?" },
+  { id: 2, topic: "Abilities", question: "Can you swim?" },
+  { id: 3, topic: "Abilities", question: "Can you cook?" },
+];
+
+// ローカル時刻（dayKey はローカル日付）
+const at = (day, hour = 12) => new Date(2026, 9, day, hour).getTime();
+
+function attempt(itemId, ok, extra = {}) {
+  const topic = ITEMS.find(it => it.id === itemId)?.topic;
+  return { itemId, topic, ts: at(10), grades: { yes: ok ? "correct" : "wrong_aux", no: "correct" }, ...extra };
+}
+
+describe("attempts", () => {
+  it("needs every target right, and both answers heard in old records", () => {
+    expect(isCorrect(attempt(1, true))).toBe(true);
+    expect(isCorrect(attempt(1, false))).toBe(false);
+    expect(isCorrect({ detected: { yes: true, no: true } })).toBe(true);
+    expect(isCorrect({ detected: { yes: true, no: false } })).toBe(false);
+  });
+
+  it("keeps the newest 5000 attempts", () => {
+    const full = Array.from({ length: 5000 }, (_, i) => ({ itemId: 1, ts: i }));
+    const next = appendAttempt(full, { itemId: 2, ts: 5000 });
+    expect(next).toHaveLength(5000);
+    expect(next[0].ts).toBe(1);
+    expect(next[4999].itemId).toBe(2);
+  });
+});
+
+describe("stats over sessions", () => {
+  const history = [
+    attempt(1, true, { sessionId: 1, ts: at(10), firstAnswerMs: 1000, latencyMs: 400, fluency: { score: 80 } }),
+    attempt(2, false, { sessionId: 1, ts: at(10), firstAnswerMs: 3000, latencyMs: null, fluency: { score: 40 } }),
+    attempt(2, true, { sessionId: 2, ts: at(11), firstAnswerMs: 2000, latencyMs: 600 }),
+    attempt(3, false, { sessionId: 2, ts: at(11) }),
+    attempt(9, false, { sessionId: null, ts: at(12), topic: "Abilities" }), // 削除された問題
+  ];
+
+  it("summarizes a session, skipping values that were not measured", () => {
+    expect(summarizeAttempts(history.filter(a => a.sessionId === 1))).toEqual({
+      total: 2, correct: 1, accuracy: 0.5, avgFirstAnswerMs: 2000, avgLatencyMs: 400, avgFluency: 60,
+    });
+    expect(summarizeAttempts([])).toEqual({ total: 0, correct: 0, accuracy: 0, avgFirstAnswerMs: null, avgLatencyMs: null, avgFluency: null });
+  });
+
+  it("adds up every session per topic, weakest first", () => {
+    expect(topicAccuracy(history).map(({ topic, total, correct }) => ({ topic, total, correct }))).toEqual([
+      { topic: "Abilities", total: 4, correct: 1 },
+      { topic: "Daily Life", total: 1, correct: 1 },
+    ]);
+  });
+
+  it("lists the weakest items that still exist", () => {
+    const weak = weakestItems(history, ITEMS);
+    expect(weak.map(r => [r.item.id, r.correct, r.total])).toEqual([[3, 0, 1], [2, 1, 2]]);
+    expect(weakestItems(history, ITEMS, 1)).toHaveLength(1);
+  });
+
+  it("counts streaks of practice days", () => {
+    expect(streaks(history, at(12, 20))).toEqual({ current: 3, longest: 3 });
+    expect(streaks(history, at(13, 8))).toEqual({ current: 3, longest: 3 }); // 今日はまだでも昨日まで続いている
+    expect(streaks(history, at(14))).toEqual({ current: 0, longest: 3 });
+    expect(streaks([...history, attempt(1, true, { ts: at(1) })], at(12)).longest).toBe(3);
+  });
+
+  it("counts attempts per day, oldest first", () => {
+    const days = dailyActivity(history, 4, at(12));
+    expect(days.map(d => d.day)).toEqual([9, 10, 11, 12].map(d => dayKey(at(d))));
+    expect(days.map(d => [d.total, d.correct])).toEqual([[0, 0], [2, 1], [2, 1], [1, 0]]);
+    expect(days[1].avgFluency).toBe(60);
+    expect(days[2].avgFluency).toBe(null);
+  });
+});
+
+describe("per-learner history", () => {
+  beforeEach(() => {
+    vi.resetModules();
+    vi.stubGlobal("indexedDB", new IDBFactory());
+    vi.stubGlobal("localStorage", { getItem: () => null });
+  });
+  afterEach(() => vi.unstubAllGlobals());
+
+  it("keeps each learner's attempts under their own key", async () => {
+    const { setValue, loadHistory, deleteProfileData } = await import("./storage.js");
+    const mine = [attempt(1, true)];
+    const theirs = [attempt(2, false), attempt(3, true)];
+    await setValue(profileKey("history", 1), mine);
+    await setValue(profileKey("history", 2), theirs);
+    expect(await loadHistory(1)).toEqual(mine);
+    expect(await loadHistory(2)).toEqual(theirs);
+    expect(await loadHistory(3)).toEqual([]);
+
+    await deleteProfileData(2);
+    expect(await loadHistory(2)).toEqual([]);
+    expect(await loadHistory(1)).toEqual(mine);
+  });
+});
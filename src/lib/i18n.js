@@ -0,0 +1,57 @@
+// ====== UI localization ======
+// 表示文言はすべて src/locales/<locale>.js のカタログから引く。
+//   t("session.progress", { current: 3, total: 10 }) → "進行: 3 / 10"
+//   値が { one, other } などのオブジェクトなら params.count で複数形を選ぶ（Intl.PluralRules）。
+
+import { createContext, useContext } from "react";
+import ja from "../locales/ja.js";
+import en from "../locales/en.js";
+
+export const UI_LOCALES = [
+  { id: "ja", label: "日本語", intl: "ja-JP", messages: ja },
+  { id: "en", label: "English", intl: "en-US", messages: en },
+];
+export const DEFAULT_UI_LOCALE = "ja";
+
+const byId = Object.fromEntries(UI_LOCALES.map(l => [l.id, l]));
+
+// ブラウザの言語設定から初期値を選ぶ（対応外なら既定）
+export function detectUiLocale(languages = globalThis.navigator?.languages || []) {
+  for (const tag of languages) {
+    const id = String(tag).toLowerCase().split("-")[0];
+    if (byId[id]) return id;
+  }
+  return DEFAULT_UI_LOCALE;
+}
+
+function lookup(messages, key) {
+  return key.split(".").reduce((node, part) => (node == null ? undefined : node[part]), messages);
+}
+
+function interpolate(text, params) {
+  return String(text).replace(/\{(\w+)\}/g, (m, name) => (params[name] == null ? m : String(params[name])));
+}
+
+// 翻訳関数を作る。見つからないキーは既定カタログ → キーそのものの順に落ちる。
+//   t.locale（"ja" など）と t.intl（Intl/Date 用のタグ）を持つ。
+export function createTranslator(locale) {
+  const entry = byId[locale] || byId[DEFAULT_UI_LOCALE];
+  const fallback = byId[DEFAULT_UI_LOCALE].messages;
+  const plural = new Intl.PluralRules(entry.intl);
+  const t = (key, params = {}) => {
+    let msg = lookup(entry.messages, key) ?? lookup(fallback, key);
+    if (msg == null) return key;
+    if (typeof msg === "object") msg = msg[plural.select(Number(params.count) || 0)] ?? msg.other;
+    return interpolate(msg, params);
+  };
+  t.locale = entry.id;
+  t.intl = entry.intl;
+  t.formatDate = (ts) => new Date(ts).toLocaleString(entry.intl);
+  return t;
+}
+
+export const I18nContext = createContext(createTranslator(DEFAULT_UI_LOCALE));
+
+export function useI18n() {
+  return useContext(I18nContext);
+}
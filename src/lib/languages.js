@@ -0,0 +1,96 @@
+// ====== Language packs ======
+// 言語ごとに 肯定/否定の語・読み上げ音声の絞り込み・認識ロケールを持つ。
+// 短い答えの文法チェック（grader）と自動生成は英語のみ。
+
+export const DEFAULT_LANG = "en";
+
+export const LANGUAGE_PACKS = {
+  en: {
+    id: "en",
+    label: "English",
+    locale: "en-US",
+    answerLabel: "Answer",
+    voiceFilter: v => /^en[-_]/i.test(v.lang) || /English/i.test(v.name),
+    yes: ["yes", "yeah", "yep", "yup", "sure", "of course", "i do", "i did", "i am", "i will", "i can", "it is"],
+    no: ["no", "nope", "nah", "not", "i don't", "i did not", "i didn't", "i am not", "i won't", "i will not", "i can't", "cannot", "it isn't", "it is not"],
+    // 答えではない言葉（"I don't know" は「いいえ」ではない。判定の前に取り除く）
+    ignore: ["i don't know", "i do not know", "i'm not sure", "i am not sure", "not sure", "i have no idea", "no idea"],
+  },
+  ja: {
+    id: "ja",
+    label: "日本語",
+    locale: "ja-JP",
+    answerLabel: "答え",
+    voiceFilter: v => /^ja[-_]/i.test(v.lang) || /Japanese|日本/i.test(v.name),
+    // 分かち書きしないので部分一致で判定する（否定を先に見る）
+    noFirst: true,
+    spaceless: true,
+    yes: ["はい", "ええ", "うん", "そうです", "そうだよ", "もちろん"],
+    no: ["いいえ", "いえ", "ううん", "いや", "違います", "ちがいます", "ではありません", "じゃない", "ません"],
+    // 否定の「ません」を含むが答えではない言葉（判定の前に取り除く）
+    ignore: ["すみません", "すいません", "済みません"],
+  },
+  fr: {
+    id: "fr",
+    label: "Français",
+    locale: "fr-FR",
+    answerLabel: "Réponse",
+    voiceFilter: v => /^fr[-_]/i.test(v.lang) || /French|Français/i.test(v.name),
+    yes: ["oui", "si", "ouais", "bien sûr", "d'accord", "exactement"],
+    no: ["non", "pas du tout", "jamais", "ne pas"],
+  },
+  es: {
+    id: "es",
+    label: "Español",
+    locale: "es-ES",
+    answerLabel: "Respuesta",
+    voiceFilter: v => /^es[-_]/i.test(v.lang) || /Spanish|Español/i.test(v.name),
+    yes: ["sí", "si", "claro", "por supuesto", "vale", "exacto"],
+    no: ["no", "nunca", "para nada"],
+  },
+  de: {
+    id: "de",
+    label: "Deutsch",
+    locale: "de-DE",
+    answerLabel: "Antwort",
+    voiceFilter: v => /^de[-_]/i.test(v.lang) || /German|Deutsch/i.test(v.name),
+    yes: ["ja", "doch", "genau", "jawohl", "natürlich", "klar"],
+    no: ["nein", "nicht", "kein", "keine", "niemals"],
+  },
+};
+
+export const LANGUAGES = Object.values(LANGUAGE_PACKS);
+
+export function getLanguagePack(lang) {
+  return LANGUAGE_PACKS[lang] || LANGUAGE_PACKS[DEFAULT_LANG];
+}
+
+// 項目の言語（未指定なら既定の言語）
+export function itemLang(item, fallback = DEFAULT_LANG) {
+  return (item?.lang && LANGUAGE_PACKS[item.lang]) ? item.lang : fallback;
+}
+
+export function pickVoices(voices, lang) {
+  return voices.filter(getLanguagePack(lang).voiceFilter);
+}
+
+// Map ASR transcript to yes/no
+//   語単位で照合し、最初に現れた語句を採る。同じ位置なら長い方（"i will not" > "i will"）。
+export function parseYesNo(transcript, lang = DEFAULT_LANG) {
+  if (!transcript) return null;
+  const pack = getLanguagePack(lang);
+  const order = pack.noFirst ? ["no", "yes"] : ["yes", "no"];
+  if (pack.spaceless) {
+    const t = (pack.ignore || []).reduce((text, w) => text.split(w).join(" "), transcript.toLowerCase()).trim();
+    return order.find(pol => pack[pol].some(w => t.includes(w))) || null;
+  }
+  const words = transcript.toLowerCase().replace(/’/g, "'").replace(/[^\p{L}\p{N}' ]+/gu, " ").replace(/\s+/g, " ").trim();
+  const t = (pack.ignore || []).reduce((text, w) => text.split(` ${w} `).join(" "), ` ${words} `);
+  let best = null;
+  order.forEach(pol => pack[pol].forEach(w => {
+    const at = t.indexOf(` ${w} `);
+    if (at < 0) return;
+    if (!best || at < best.at || (at === best.at && w.length > best.length)) best = { pol, at, length: w.length };
+  }));
+  return best ? best.pol : null;
+}
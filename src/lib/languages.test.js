@@ -0,0 +1,46 @@
+import { describe, it, expect } from "vitest";
+import { parseYesNo } from "./languages.js";
+
+describe("parseYesNo", () => {
+  it.each([
+    ["Yes", "yes"],
+    ["No", "no"],
+    ["Yeah, I think so", "yes"],
+    ["Nope, I don't", "no"],
+    ["I don't know", null],
+    ["I’m not sure", null],
+    ["No, I don't know", "no"],
+    ["Absolutely yes", "yes"],
+    ["Not really", "no"],
+    ["Maybe", null],
+    ["Yes, I can.", "yes"],
+    ["I will not.", "no"],
+    ["It is.", "yes"],
+    ["It isn't.", "no"],
+    ["Sure.", "yes"],
+    ["No, thanks.", "no"],
+    ["I don’t", "no"],
+    ["", null],
+  ])("%j → %s", (input, expected) => {
+    expect(parseYesNo(input)).toBe(expected);
+  });
+
+  it("does not match words inside other words", () => {
+    expect(parseYesNo("Nobody knows")).toBe(null);
+    expect(parseYesNo("Yesterday")).toBe(null);
+  });
+
+  it("uses the language pack of the item", () => {
+    expect(parseYesNo("はい、好きです", "ja")).toBe("yes");
+    expect(parseYesNo("いいえ、好きではありません", "ja")).toBe("no");
+    expect(parseYesNo("Oui, j'aime ça", "fr")).toBe("yes");
+    expect(parseYesNo("Non, merci", "fr")).toBe("no");
+  });
+
+  it("does not read an apology as a Japanese no", () => {
+    expect(parseYesNo("すみません、はい", "ja")).toBe("yes");
+    expect(parseYesNo("はい、すみません", "ja")).toBe("yes");
+    expect(parseYesNo("すみません", "ja")).toBe(null);
+    expect(parseYesNo("すみません、行きません", "ja")).toBe("no");
+  });
+});
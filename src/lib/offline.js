@@ -0,0 +1,82 @@
+// ====== Offline support ======
+// service worker の登録状態・オンライン状態と、オフラインで使える機能の判定。
+// 問題・学習記録・録音は IndexedDB にあるので、アプリ本体がキャッシュされていればそのまま使える。
+// 読み上げは端末内の声（voice.localService）だけ、音声認識は backend.worksOffline(settings) のものだけ。
+
+import { useSyncExternalStore } from "react";
+
+// --- オンライン状態 ---
+function subscribeOnline(onChange) {
+  window.addEventListener("online", onChange);
+  window.addEventListener("offline", onChange);
+  return () => {
+    window.removeEventListener("online", onChange);
+    window.removeEventListener("offline", onChange);
+  };
+}
+
+export function useOnline() {
+  return useSyncExternalStore(subscribeOnline, () => navigator.onLine !== false, () => true);
+}
+
+// --- Service worker ---
+// status: "disabled"（開発サーバー）| "unsupported" | "installing" | "ready" | "updated" | "error"
+//   updated … 新しい版に入れ替わった（再読み込みで反映）
+let swStatus = "disabled";
+const swListeners = new Set();
+
+function setSwStatus(status) {
+  swStatus = status;
+  swListeners.forEach(fn => fn());
+}
+
+export function registerServiceWorker(url) {
+  if (!("serviceWorker" in navigator)) {
+    setSwStatus("unsupported");
+    return Promise.resolve(null);
+  }
+  const sw = navigator.serviceWorker;
+  const hadController = !!sw.controller; // 初回のインストールでは「更新」と言わない
+  sw.addEventListener("controllerchange", () => { if (hadController) setSwStatus("updated"); });
+  setSwStatus("installing");
+  return sw.register(url)
+    .then(reg => sw.ready.then(() => {
+      if (swStatus === "installing") setSwStatus("ready");
+      return reg;
+    }))
+    .catch(e => {
+      console.warn("service worker registration failed", e);
+      setSwStatus("error");
+      return null;
+    });
+}
+
+function subscribeSw(onChange) {
+  swListeners.add(onChange);
+  return () => swListeners.delete(onChange);
+}
+
+export function useServiceWorkerStatus() {
+  return useSyncExternalStore(subscribeSw, () => swStatus, () => swStatus);
+}
+
+// --- 機能ごとの判定 ---
+export function offlineVoices(voices) {
+  return voices.filter(v => v.localService);
+}
+
+// オフラインではネットワークの声は鳴らないので、端末内の声があればそちらに替える
+export function usableVoice(voice, voices, online) {
+  if (online || !voice || voice.localService) return voice;
+  return offlineVoices(voices)[0] || voice;
+}
+
+// { app, decks, voices, recognition } それぞれオフラインで使えるか
+export function offlineSupport({ swStatus: status, voices, backend, settings }) {
+  return {
+    app: status === "ready" || status === "updated",
+    decks: true,
+    voices: offlineVoices(voices).length > 0,
+    recognition: Boolean(backend?.worksOffline?.(settings)),
+  };
+}
@@ -0,0 +1,40 @@
+import { describe, it, expect } from "vitest";
+import { offlineSupport, usableVoice } from "./offline.js";
+import { getBackend } from "./recognition/index.js";
+import { isLoopbackUrl } from "./recognition/httpEndpoint.js";
+
+const CLOUD = { name: "Google US English", localService: false };
+const LOCAL = { name: "Samantha", localService: true };
+
+describe("voices", () => {
+  it("switches to an on-device voice only while offline", () => {
+    expect(usableVoice(CLOUD, [CLOUD, LOCAL], true)).toBe(CLOUD);
+    expect(usableVoice(CLOUD, [CLOUD, LOCAL], false)).toBe(LOCAL);
+    expect(usableVoice(CLOUD, [CLOUD], false)).toBe(CLOUD);
+  });
+});
+
+describe("recognition backends", () => {
+  it("work offline only without a remote service", () => {
+    expect(getBackend("webspeech").worksOffline()).toBe(false);
+    expect(getBackend("mock").worksOffline()).toBe(true);
+    expect(getBackend("http").worksOffline({ httpEndpoint: "http://127.0.0.1:8080/inference" })).toBe(true);
+    expect(getBackend("http").worksOffline({ httpEndpoint: "https://asr.example.com/inference" })).toBe(false);
+  });
+
+  it("recognizes loopback endpoints", () => {
+    expect(isLoopbackUrl("http://localhost:8080/inference")).toBe(true);
+    expect(isLoopbackUrl("http://[::1]:8080/")).toBe(true);
+    expect(isLoopbackUrl("http://192.168.1.5:8080/")).toBe(false);
+    expect(isLoopbackUrl("not a url")).toBe(false);
+  });
+});
+
+describe("offlineSupport", () => {
+  it("reports each feature for the current device", () => {
+    const support = offlineSupport({ swStatus: "ready", voices: [CLOUD], backend: getBackend("webspeech"), settings: {} });
+    expect(support).toEqual({ app: true, decks: true, voices: false, recognition: false });
+    expect(offlineSupport({ swStatus: "disabled", voices: [LOCAL], backend: getBackend("mock") }))
+      .toMatchObject({ app: false, voices: true, recognition: true });
+  });
+});
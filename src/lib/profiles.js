@@ -0,0 +1,61 @@
+// ====== Learner profiles ======
+// 学習者 = { id, name }。1 台のタブレットを何人かで使う想定で、端末内だけに保存する。
+// 問題（デッキ）は全員で共有し、次のものは学習者ごとに kv の別キーへ保存する:
+//   schedule:<id> … 復習スケジュール
+//   history:<id>  … 解答の記録（セッションは attempt.sessionId でまとまる）
+//   profileSettings:<id> … PROFILE_SETTINGS の設定（声・速度・ピッチ・練習時間・答えの指定）
+
+import { TARGET_MODES } from "./trainer.js";
+
+export const DEFAULT_PROFILE_NAME = "Learner 1";
+
+export const DEFAULT_PROFILE_SETTINGS = {
+  voiceNames: {}, // 言語ごとに選んだ声 { en: name, ... }
+  rate: 1,
+  pitch: 1,
+  practiceSec: 8,
+  targetMode: "both", // trainer の TARGET_MODES
+  speakTarget: true,
+};
+
+export function defaultProfiles() {
+  return [{ id: 1, name: DEFAULT_PROFILE_NAME }];
+}
+
+export function profileKey(kind, profileId) {
+  return `${kind}:${profileId}`;
+}
+
+// 保存データの検証。壊れていれば null
+export function validProfiles(value) {
+  if (!Array.isArray(value) || !value.length) return null;
+  return value.every(p => p && Number.isInteger(p.id) && typeof p.name === "string") ? value : null;
+}
+
+// 保存値から知らないキー・範囲外の値を落として既定値で埋める
+export function profileSettings(saved) {
+  const s = saved && typeof saved === "object" ? saved : {};
+  const num = (v, min, max, fallback) => (typeof v === "number" && v >= min && v <= max ? v : fallback);
+  return {
+    voiceNames: s.voiceNames && typeof s.voiceNames === "object" ? s.voiceNames : {},
+    rate: num(s.rate, 0.6, 1.6, DEFAULT_PROFILE_SETTINGS.rate),
+    pitch: num(s.pitch, 0.8, 1.4, DEFAULT_PROFILE_SETTINGS.pitch),
+    practiceSec: num(s.practiceSec, 3, 20, DEFAULT_PROFILE_SETTINGS.practiceSec),
+    targetMode: TARGET_MODES.includes(s.targetMode) ? s.targetMode : DEFAULT_PROFILE_SETTINGS.targetMode,
+    speakTarget: typeof s.speakTarget === "boolean" ? s.speakTarget : DEFAULT_PROFILE_SETTINGS.speakTarget,
+  };
+}
+
+export function addProfile(profiles, name) {
+  const profile = { id: profiles.reduce((m, p) => Math.max(m, p.id), 0) + 1, name };
+  return { profiles: [...profiles, profile], profile };
+}
+
+export function renameProfile(profiles, profileId, name) {
+  return profiles.map(p => (p.id === profileId ? { ...p, name } : p));
+}
+
+// 最後の 1 人は消さない
+export function removeProfile(profiles, profileId) {
+  return profiles.length > 1 ? profiles.filter(p => p.id !== profileId) : profiles;
+}
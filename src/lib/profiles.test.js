@@ -0,0 +1,23 @@
+import { describe, it, expect } from "vitest";
+import { defaultProfiles, addProfile, removeProfile, profileSettings, validProfiles, DEFAULT_PROFILE_SETTINGS } from "./profiles.js";
+
+describe("profiles", () => {
+  it("adds learners with new IDs and keeps the last one", () => {
+    const { profiles, profile } = addProfile(defaultProfiles(), "Ben");
+    expect(profile).toEqual({ id: 2, name: "Ben" });
+    expect(removeProfile(profiles, 1)).toEqual([profile]);
+    expect(removeProfile([profile], 2)).toEqual([profile]);
+  });
+
+  it("rejects broken profile lists", () => {
+    expect(validProfiles([{ id: "1", name: "A" }])).toBe(null);
+    expect(validProfiles([])).toBe(null);
+  });
+
+  it("fills missing or out-of-range settings with defaults", () => {
+    expect(profileSettings(undefined)).toEqual(DEFAULT_PROFILE_SETTINGS);
+    expect(profileSettings({ rate: 1.2, pitch: 9, practiceSec: 12, voiceNames: { en: "Samantha" }, targetMode: "mixed", speakTarget: "no", extra: 1 }))
+      .toEqual({ voiceNames: { en: "Samantha" }, rate: 1.2, pitch: 1, practiceSec: 12, targetMode: "mixed", speakTarget: true });
+    expect(profileSettings({ targetMode: "maybe" }).targetMode).toBe("both");
+  });
+});
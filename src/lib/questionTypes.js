@@ -0,0 +1,155 @@
+// ====== Question types ======
+// item.type ごとの期待される答え・採点・完了条件。type が無ければ yesno。
+//   yesno  … "Do you like coffee?"。yesSample と noSample の両方を言えたら完了
+//   tag    … 付加疑問文 "You're a student, aren't you?"。答え方は yesno と同じ
+//   choice … 選択疑問文 "Tea or coffee?"。choices のどれか 1 つを選んで答える（answers はお手本、省略可）
+//   wh     … 疑問詞疑問文 "Where do you live?"。answers のどれかとほぼ一致すれば正解
+//            （"I lives in Tokyo." は可、"I live in Osaka." は不可。問題文に無い語＝答えの中身は言い間違えられない）
+// 答える対象（target）は yesno / tag なら "yes" と "no"、それ以外は "answer" の 1 つ。
+
+import { gradeAnswer } from "./grader.js";
+import { alignWords } from "./fluency.js";
+import { parseYesNo, getLanguagePack, DEFAULT_LANG } from "./languages.js";
+
+export const QUESTION_TYPES = ["yesno", "choice", "tag", "wh"];
+export const DEFAULT_TYPE = "yesno";
+
+const POLAR_TARGETS = ["yes", "no"];
+const OPEN_TARGETS = ["answer"];
+const WH_TOLERANCE = 0.25; // 語単位の編集距離 / 答えの語数 がこれ以下なら正解（問題文に無い語は全部必要）
+
+export function itemType(item) {
+  return QUESTION_TYPES.includes(item?.type) ? item.type : DEFAULT_TYPE;
+}
+
+// Yes/No で答える種類か
+export function isPolar(item) {
+  const type = itemType(item);
+  return type === "yesno" || type === "tag";
+}
+
+export function targetKeys(item) {
+  return isPolar(item) ? POLAR_TARGETS : OPEN_TARGETS;
+}
+
+// まだ言えていない target（練習開始時はすべて true）
+export function neededFor(item) {
+  return Object.fromEntries(targetKeys(item).map(k => [k, true]));
+}
+
+// "a; b" や改行区切り・配列を空でない文字列の配列に（答えの中のカンマは区切りにしない）
+export function parseAnswerList(value) {
+  const list = Array.isArray(value) ? value : String(value ?? "").split(/[;\n]/);
+  return list.map(s => String(s).trim()).filter(Boolean);
+}
+
+// 正解として受け付ける答え（choice でお手本が無ければ選択肢そのもの）
+export function acceptableAnswers(item) {
+  const answers = parseAnswerList(item?.answers);
+  if (itemType(item) === "choice" && !answers.length) return parseAnswerList(item?.choices);
+  return answers;
+}
+
+// target ごとのお手本。grades があれば実際に近かった答えを使う（流暢さスコアの照合用）
+export function expectedAnswers(item, grades = {}) {
+  if (isPolar(item)) return { yes: item?.yesSample || "", no: item?.noSample || "" };
+  return { answer: grades.answer?.expected || acceptableAnswers(item)[0] || "" };
+}
+
+// 答え合わせで読み上げ・表示する答え
+export function answerText(item) {
+  if (isPolar(item)) return `${item?.yesSample || ""} / ${item?.noSample || ""}`;
+  const answers = acceptableAnswers(item);
+  return itemType(item) === "choice" ? answers.join(" / ") : answers[0] || "";
+}
+
+// フィードバック・結果画面での target の表示名（t は i18n の翻訳関数）
+export function targetLabel(key, t) {
+  if (key === "yes") return "Yes";
+  if (key === "no") return "No";
+  return t("questionTypes.targets.answer");
+}
+
+// 保存・取り込み時に足りない欄（field 名の配列）
+export function missingAnswerFields(item) {
+  switch (itemType(item)) {
+    case "choice": return parseAnswerList(item?.choices).length < 2 ? ["choices"] : [];
+    case "wh": return parseAnswerList(item?.answers).length ? [] : ["answers"];
+    default: return ["yesSample", "noSample"].filter(f => !String(item?.[f] || "").trim());
+  }
+}
+
+function compact(text, spaceless) {
+  const t = String(text || "").toLowerCase().replace(/[’‘]/g, "'").replace(/[^\p{L}\p{N}']+/gu, " ").trim();
+  return spaceless ? t.replace(/\s+/g, "") : t;
+}
+
+// 語の区切りを守って phrase を含むか（分かち書きしない言語は部分一致）
+function mentions(text, phrase, spaceless) {
+  const p = compact(phrase, spaceless);
+  if (!p) return false;
+  const t = compact(text, spaceless);
+  return spaceless ? t.includes(p) : ` ${t} `.includes(` ${p} `);
+}
+
+// "Yes." / "No, I don't." だけの答え（選択疑問文・疑問詞疑問文には当てはまらない）
+function isBareYesNo(said, lang, spaceless) {
+  if (!parseYesNo(said, lang)) return false;
+  const t = compact(said, spaceless);
+  return spaceless ? t.length <= 6 : t.split(" ").length <= 3;
+}
+
+function gradeChoice(said, item, lang, spaceless) {
+  const choices = parseAnswerList(item?.choices);
+  const answers = parseAnswerList(item?.answers);
+  const picked = choices.filter(c => mentions(said, c, spaceless));
+  if (picked.length === 1) {
+    const expected = answers.find(a => mentions(a, picked[0], spaceless)) || picked[0];
+    return { target: "answer", result: "correct", said, expected, choice: picked[0] };
+  }
+  const expected = acceptableAnswers(item)[0] || "";
+  if (picked.length > 1) return { target: "answer", result: "both_choices", said, expected };
+  if (isBareYesNo(said, lang, spaceless)) return { target: "answer", result: "yes_no_to_open", said, expected };
+  return { target: null, result: null, said };
+}
+
+function gradeWh(said, item, lang, spaceless) {
+  const answers = acceptableAnswers(item);
+  if (!answers.length) return { target: null, result: null, said };
+  const questionWords = new Set(alignWords(item?.question, "", [], spaceless).words.map(w => compact(w.word, spaceless)));
+  let best = null;
+  for (const answer of answers) {
+    if (mentions(said, answer, spaceless)) return { target: "answer", result: "correct", said, expected: answer };
+    const { words, distance, expectedLength } = alignWords(answer, said, [], spaceless);
+    const ratio = distance / Math.max(1, expectedLength);
+    const contentSaid = words.every(w => w.status === "ok" || questionWords.has(compact(w.word, spaceless)));
+    if (!best || (contentSaid && !best.contentSaid) || (contentSaid === best.contentSaid && ratio < best.ratio)) {
+      best = { answer, ratio, contentSaid };
+    }
+  }
+  if (best.contentSaid && best.ratio <= WH_TOLERANCE) return { target: "answer", result: "correct", said, expected: best.answer };
+  if (isBareYesNo(said, lang, spaceless)) return { target: "answer", result: "yes_no_to_open", said, expected: answers[0] };
+  return { target: "answer", result: "wrong_answer", said, expected: best.answer };
+}
+
+// transcript を item の種類に合わせて採点する。
+//   戻り値: { target, result, said, expected, ... }。回答とみなせなければ target は null
+export function gradeResponse(transcript, item, lang = DEFAULT_LANG) {
+  const said = transcript || "";
+  const { spaceless } = getLanguagePack(lang);
+  switch (itemType(item)) {
+    case "choice": return gradeChoice(said, item, lang, spaceless);
+    case "wh": return gradeWh(said, item, lang, spaceless);
+    default: {
+      const grade = gradeAnswer(transcript, item, lang);
+      return { ...grade, target: grade.polarity || null };
+    }
+  }
+}
+
+// この採点結果で target を言えたことにするか。
+// yes/no は形が違っても極性が言えれば完了、それ以外は正解したときだけ（言い直しを待つ）。
+export function completesTarget(item, grade) {
+  if (!grade?.target) return false;
+  return isPolar(item) || grade.result === "correct";
+}
@@ -0,0 +1,83 @@
+import { describe, it, expect } from "vitest";
+import { gradeResponse, completesTarget, neededFor, answerText, missingAnswerFields, parseAnswerList } from "./questionTypes.js";
+import { generateSamples, generateChoices } from "./answerGenerator.js";
+import { gradeFromNeeded } from "./scheduler.js";
+
+const CHOICE = { id: 1, type: "choice", question: "Would you like tea or coffee?", choices: ["tea", "coffee"], answers: ["I'd like tea.", "I'd like coffee."] };
+const TAG = { id: 2, type: "tag", question: "You're a student, aren't you?", yesSample: "Yes, I am.", noSample: "No, I'm not." };
+const WH = { id: 3, type: "wh", question: "Where do you live?", answers: ["I live in Tokyo.", "In Tokyo."] };
+
+describe("choice questions", () => {
+  it("accepts an answer that picks one choice", () => {
+    expect(gradeResponse("Coffee, please.", CHOICE)).toMatchObject({ target: "answer", result: "correct", expected: "I'd like coffee." });
+  });
+
+  it("rejects naming both choices or answering yes/no", () => {
+    expect(gradeResponse("Tea or coffee", CHOICE).result).toBe("both_choices");
+    expect(gradeResponse("Yes, I would.", CHOICE).result).toBe("yes_no_to_open");
+    expect(completesTarget(CHOICE, gradeResponse("Yes.", CHOICE))).toBe(false);
+  });
+
+  it("ignores speech that is not an answer", () => {
+    expect(gradeResponse("hmm let me think", CHOICE).target).toBe(null);
+  });
+
+  it("reads back the model answers", () => {
+    expect(answerText(CHOICE)).toBe("I'd like tea. / I'd like coffee.");
+    expect(answerText({ ...CHOICE, answers: [] })).toBe("tea / coffee");
+  });
+});
+
+describe("tag questions", () => {
+  it("grades short answers against the tag", () => {
+    expect(gradeResponse("Yes, I am.", TAG)).toMatchObject({ target: "yes", result: "correct" });
+    expect(gradeResponse("No, I'm not.", TAG)).toMatchObject({ target: "no", result: "correct" });
+    expect(gradeResponse("Yes, I do.", TAG)).toMatchObject({ target: "yes", result: "wrong_aux" });
+  });
+
+  it("needs both polarities like yes/no questions", () => {
+    expect(neededFor(TAG)).toEqual({ yes: true, no: true });
+  });
+});
+
+describe("wh- questions", () => {
+  it("accepts answers close to one of the accepted answers", () => {
+    expect(gradeResponse("I live in Tokyo with my family", WH).result).toBe("correct");
+    expect(gradeResponse("In Tokyo", WH).result).toBe("correct");
+    expect(gradeResponse("I lives in Tokyo", WH).result).toBe("correct");
+  });
+
+  it("waits for a better answer after a wrong one", () => {
+    const wrong = gradeResponse("I live in Osaka.", WH);
+    expect(wrong).toMatchObject({ target: "answer", result: "wrong_answer", expected: "I live in Tokyo." });
+    expect(completesTarget(WH, wrong)).toBe(false);
+    expect(gradeResponse("Yes.", WH).result).toBe("yes_no_to_open");
+  });
+
+  it("has a single answer target", () => {
+    expect(neededFor(WH)).toEqual({ answer: true });
+    expect(gradeFromNeeded({ answer: false }, { answer: { result: "correct" } })).toBe("good");
+    expect(gradeFromNeeded({ answer: true }, { answer: { result: "wrong_answer" } })).toBe("again");
+  });
+});
+
+describe("answer fields", () => {
+  it("reports what each type is missing", () => {
+    expect(missingAnswerFields({ question: "Is it?" })).toEqual(["yesSample", "noSample"]);
+    expect(missingAnswerFields({ type: "choice", choices: ["tea"] })).toEqual(["choices"]);
+    expect(missingAnswerFields({ type: "wh", answers: ["", " "] })).toEqual(["answers"]);
+    expect(missingAnswerFields(WH)).toEqual([]);
+  });
+
+  it("splits answer lists on semicolons and lines but not commas", () => {
+    expect(parseAnswerList("Yes, I do.; Sure\n\nOf course")).toEqual(["Yes, I do.", "Sure", "Of course"]);
+  });
+
+  it("generates samples for tag questions and choices for either/or questions", () => {
+    expect(generateSamples("It's cold today, isn't it?")).toEqual({ yesSample: "Yes, it is.", noSample: "No, it isn't." });
+    expect(generateSamples(TAG.question)).toEqual({ yesSample: "Yes, I am.", noSample: "No, I'm not." });
+    expect(generateChoices("Tea or coffee?")).toEqual(["tea", "coffee"]);
+    expect(generateChoices("Are you going by bus or by train?")).toEqual(["by bus", "by train"]);
+    expect(generateChoices("Do you like it?")).toBe(null);
+  });
+});
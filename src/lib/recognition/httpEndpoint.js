@@ -0,0 +1,119 @@
+// ====== Local HTTP transcription backend ======
+// 録音した発話区間を POST し、ローカルの文字起こしサーバ（whisper.cpp server など）で認識する。
+// 応答は JSON の { text } / { transcript } か、プレーンテキスト。
+// 発話区間は入力レベルで簡易に区切る（無音が SILENCE_MS 続いたら送信）。
+
+const SILENCE_MS = 800;
+const SPEECH_RMS = 0.04;
+const MAX_SEGMENT_MS = 10000;
+
+export const DEFAULT_HTTP_ENDPOINT = "http://localhost:8080/inference";
+
+// この端末のサーバー（localhost など）ならオフラインでも届く
+export function isLoopbackUrl(url) {
+  try {
+    const host = new URL(url).hostname.replace(/^\[|\]$/g, "");
+    return host === "localhost" || host.endsWith(".localhost") || host === "::1" || /^127\./.test(host);
+  } catch {
+    return false;
+  }
+}
+
+async function transcribe(endpoint, blob, lang) {
+  const form = new FormData();
+  form.append("file", blob, "speech.webm");
+  form.append("language", String(lang || "en").split("-")[0]);
+  form.append("response_format", "json");
+  const res = await fetch(endpoint, { method: "POST", body: form });
+  if (!res.ok) throw new Error(`HTTP ${res.status}`);
+  const type = res.headers.get("content-type") || "";
+  if (type.includes("json")) {
+    const data = await res.json();
+    return String(data.text ?? data.transcript ?? "").trim();
+  }
+  return (await res.text()).trim();
+}
+
+export default {
+  id: "http",
+  label: "Local transcription server (HTTP)",
+  isAvailable: () => typeof window !== "undefined" && typeof window.MediaRecorder !== "undefined" && typeof fetch !== "undefined",
+  worksOffline: (settings) => isLoopbackUrl(settings?.httpEndpoint || DEFAULT_HTTP_ENDPOINT),
+  create({ lang, onResult, onError, onEnd, getStream, getSettings }) {
+    let endpoint = DEFAULT_HTTP_ENDPOINT; // start() のときの設定
+    let recorder = null, audioCtx = null, raf = null, active = false;
+    let chunks = [], heardSpeech = false, lastVoiceAt = 0, segmentStart = 0;
+    let pending = 0;
+
+    function finish() {
+      if (active || pending > 0) return;
+      onEnd();
+    }
+
+    function sendSegment(blob) {
+      const url = endpoint;
+      pending++;
+      onResult({ transcript: "…", isFinal: false });
+      transcribe(url, blob, lang)
+        .then(text => onResult({ transcript: text, isFinal: true, alternatives: [{ transcript: text }] }))
+        .catch(e => onError({ code: "network", message: `${url}: ${e.message || e}` }))
+        .finally(() => { pending--; finish(); });
+    }
+
+    function startSegment(stream) {
+      chunks = []; heardSpeech = false; segmentStart = Date.now(); lastVoiceAt = segmentStart;
+      recorder = new window.MediaRecorder(stream);
+      recorder.ondataavailable = (e) => { if (e.data?.size) chunks.push(e.data); };
+      recorder.onstop = () => {
+        const spoke = heardSpeech;
+        const blob = chunks.length ? new Blob(chunks, { type: recorder?.mimeType || "audio/webm" }) : null;
+        if (spoke && blob) sendSegment(blob);
+        if (active) startSegment(stream);
+        else { cleanup(); finish(); }
+      };
+      recorder.start();
+    }
+
+    function cleanup() {
+      cancelAnimationFrame(raf);
+      try { audioCtx?.close?.(); } catch { /* already closed */ }
+      audioCtx = null;
+    }
+
+    return {
+      start() {
+        const stream = getStream?.();
+        if (!stream) { onError({ code: "audio-capture", message: "no microphone stream" }); onEnd(); return; }
+        endpoint = getSettings?.()?.httpEndpoint || DEFAULT_HTTP_ENDPOINT;
+        active = true;
+        audioCtx = new (window.AudioContext || window.webkitAudioContext)();
+        const analyser = audioCtx.createAnalyser();
+        analyser.fftSize = 1024;
+        audioCtx.createMediaStreamSource(stream).connect(analyser);
+        const data = new Uint8Array(analyser.fftSize);
+        const loop = () => {
+          analyser.getByteTimeDomainData(data);
+          let sum = 0; for (let i = 0; i < data.length; i++) { const v = (data[i] - 128) / 128; sum += v * v; }
+          const now = Date.now();
+          if (Math.sqrt(sum / data.length) > SPEECH_RMS) { heardSpeech = true; lastVoiceAt = now; }
+          const silentLong = heardSpeech && now - lastVoiceAt > SILENCE_MS;
+          if ((silentLong || now - segmentStart > MAX_SEGMENT_MS) && recorder?.state === "recording") recorder.stop();
+          raf = requestAnimationFrame(loop);
+        };
+        startSegment(stream);
+        raf = requestAnimationFrame(loop);
+      },
+      stop() {
+        active = false;
+        if (recorder?.state === "recording") recorder.stop();
+        else { cleanup(); finish(); }
+      },
+      abort() {
+        active = false;
+        chunks = []; heardSpeech = false;
+        if (recorder?.state === "recording") recorder.stop();
+        else { cleanup(); finish(); }
+      },
+    };
+  },
+};
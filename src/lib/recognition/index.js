@@ -0,0 +1,40 @@
+// ====== Speech recognition backends ======
+// どの backend も create(options) で { start, stop, abort } を返す。
+//   options: { lang, onResult({ transcript, isFinal, confidence, alternatives }),
+//              onError({ code, message }), onEnd(), getStream(), getSettings() }
+// 設定（エンドポイント・台本）は start() のたびに getSettings() で読む。作り直さなくても変更が効く。
+// isAvailable() はこのブラウザで使えるか、worksOffline(settings) はネットワーク無しで使えるか。
+
+import webSpeech from "./webSpeech.js";
+import httpEndpoint, { DEFAULT_HTTP_ENDPOINT } from "./httpEndpoint.js";
+import mock, { DEFAULT_MOCK_SCRIPT } from "./mock.js";
+
+export const BACKENDS = [webSpeech, httpEndpoint, mock];
+
+export const DEFAULT_RECOGNITION_SETTINGS = {
+  backend: "webspeech",
+  httpEndpoint: DEFAULT_HTTP_ENDPOINT,
+  mockScript: DEFAULT_MOCK_SCRIPT,
+};
+
+export function getBackend(id) {
+  return BACKENDS.find(b => b.id === id) || null;
+}
+
+// 指定の backend が使えなければ、使えるものを先頭から選ぶ
+export function resolveBackend(id) {
+  const wanted = getBackend(id);
+  if (wanted?.isAvailable()) return wanted;
+  return BACKENDS.find(b => b.isAvailable()) || mock;
+}
+
+// ?recognizer=mock&script=Yes%2C%20I%20do.%7CNo%2C%20I%20don't. で上書き（自動テスト用）
+export function settingsFromUrl(search = typeof location !== "undefined" ? location.search : "") {
+  const params = new URLSearchParams(search);
+  const out = {};
+  if (params.get("recognizer")) out.backend = params.get("recognizer");
+  if (params.get("script")) out.mockScript = params.get("script").split("|").join("\n");
+  return out;
+}
+
+export { resetMockScript } from "./mock.js";
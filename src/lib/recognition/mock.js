@@ -0,0 +1,52 @@
+// ====== Scripted mock backend ======
+// 台本（1 行 = 1 回の発話）を順番に返す。CI やマイクの無い環境での動作確認用。
+// start() のたびに次の行を interim → final の順に流して終了する。空行は「無言」。
+
+export const DEFAULT_MOCK_SCRIPT = "Yes, I do.\nNo, I don't.";
+
+const WORD_MS = 120;
+const START_DELAY_MS = 300;
+
+let cursor = 0; // セッションをまたいで台本を進める
+
+export function resetMockScript() { cursor = 0; }
+
+export default {
+  id: "mock",
+  label: "Mock (scripted)",
+  isAvailable: () => true,
+  worksOffline: () => true,
+  create({ onResult, onEnd, getSettings }) {
+    let timers = [];
+    let running = false;
+
+    function clear() { timers.forEach(clearTimeout); timers = []; }
+    function end() {
+      if (!running) return;
+      running = false;
+      clear();
+      onEnd();
+    }
+
+    return {
+      start() {
+        if (running) throw new Error("already started");
+        running = true;
+        const lines = String(getSettings?.()?.mockScript ?? DEFAULT_MOCK_SCRIPT).split(/\r?\n/);
+        const line = lines.length ? lines[cursor % lines.length].trim() : "";
+        cursor++;
+        if (!line) { timers.push(setTimeout(end, START_DELAY_MS)); return; }
+        const words = line.split(/\s+/);
+        words.forEach((_, i) => {
+          timers.push(setTimeout(() => {
+            const isFinal = i === words.length - 1;
+            onResult({ transcript: words.slice(0, i + 1).join(" "), isFinal, confidence: isFinal ? 1 : undefined, alternatives: [{ transcript: line, confidence: 1 }] });
+            if (isFinal) end();
+          }, START_DELAY_MS + i * WORD_MS));
+        });
+      },
+      stop: end,
+      abort: end,
+    };
+  },
+};
@@ -0,0 +1,41 @@
+// ====== Web Speech API backend ======
+// Chrome / Edge / Safari の SpeechRecognition。ネットワーク必須のブラウザが多い。
+
+function getCtor() {
+  if (typeof window === "undefined") return null;
+  return window.SpeechRecognition || window.webkitSpeechRecognition || null;
+}
+
+export default {
+  id: "webspeech",
+  label: "Web Speech (built-in)",
+  isAvailable: () => !!getCtor(),
+  // 音声をサーバーへ送って認識するブラウザが多いので、オフラインでは使えない扱い
+  worksOffline: () => false,
+  create({ lang, onResult, onError, onEnd }) {
+    const SR = getCtor();
+    const rec = new SR();
+    rec.lang = lang;
+    rec.interimResults = true;
+    rec.continuous = false;
+    rec.maxAlternatives = 3;
+
+    rec.onresult = (e) => {
+      let txt = "";
+      for (let i = e.resultIndex; i < e.results.length; i++) {
+        txt += e.results[i][0].transcript;
+      }
+      const last = e.results[e.results.length - 1];
+      const alternatives = Array.from(last, alt => ({ transcript: alt.transcript, confidence: alt.confidence }));
+      onResult({ transcript: txt, isFinal: last.isFinal, confidence: last[0]?.confidence, alternatives });
+    };
+    rec.onerror = (e) => onError({ code: e.error || "unknown", message: e.message || e.error || "recognition error" });
+    rec.onend = () => onEnd();
+
+    return {
+      start: () => rec.start(),
+      stop: () => rec.stop(),
+      abort: () => rec.abort(),
+    };
+  },
+};
@@ -0,0 +1,53 @@
+// ====== Practice recorder (MediaRecorder) ======
+
+const MIME_CANDIDATES = ["audio/webm;codecs=opus", "audio/webm", "audio/ogg;codecs=opus", "audio/mp4"];
+
+export function isRecordingSupported() {
+  return typeof window !== "undefined" && typeof window.MediaRecorder !== "undefined";
+}
+
+function pickMimeType() {
+  if (!window.MediaRecorder?.isTypeSupported) return undefined;
+  return MIME_CANDIDATES.find(t => window.MediaRecorder.isTypeSupported(t));
+}
+
+// 録音を開始し、stop() で { blob, mimeType, durationMs }（無音・失敗時は null）を返す
+export function startClip(stream) {
+  const mimeType = pickMimeType();
+  const rec = new window.MediaRecorder(stream, mimeType ? { mimeType } : undefined);
+  const chunks = [];
+  const startedAt = Date.now();
+  rec.ondataavailable = (e) => { if (e.data?.size) chunks.push(e.data); };
+  rec.start();
+  return {
+    stop() {
+      return new Promise(resolve => {
+        const finish = () => {
+          const type = rec.mimeType || mimeType || "audio/webm";
+          resolve(chunks.length ? { blob: new Blob(chunks, { type }), mimeType: type, durationMs: Date.now() - startedAt } : null);
+        };
+        if (rec.state === "inactive") { finish(); return; }
+        rec.onstop = finish;
+        try { rec.stop(); } catch { finish(); }
+      });
+    },
+  };
+}
+
+// 再生が終わったら resolve（エラーでも resolve して後続を止めない）
+export function playBlob(blob) {
+  return new Promise(resolve => {
+    const url = URL.createObjectURL(blob);
+    const audio = new Audio(url);
+    const done = () => { URL.revokeObjectURL(url); resolve(); };
+    audio.onended = done;
+    audio.onerror = done;
+    audio.play().catch(done);
+  });
+}
+
+export function clipExtension(mimeType = "") {
+  if (mimeType.includes("ogg")) return "ogg";
+  if (mimeType.includes("mp4")) return "m4a";
+  return "webm";
+}
@@ -0,0 +1,65 @@
+// ====== Teacher report ======
+// 学習者を比べる表（全体とテーマ別の正答率）と、学習者ごとのセッション一覧（成績の根拠として印刷する）。
+//   learners: [{ profile, history }]。since より前の記録は数えない（0 なら全期間）
+
+import { summarizeAttempts, topicAccuracy, dayKey } from "./history.js";
+import { csvField } from "./deckFormat.js";
+
+export const REPORT_PERIODS = [7, 30, 0]; // 日数（0 = 全期間）
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export function periodStart(days, now = Date.now()) {
+  return days ? now - days * DAY_MS : 0;
+}
+
+// sessionId ごとにまとめる（セッション外の練習は日ごとに 1 つ）。新しい順
+export function sessionsOf(history) {
+  const groups = new Map();
+  history.forEach(a => {
+    const key = a.sessionId ?? `free:${dayKey(a.ts)}`;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(a);
+  });
+  return Array.from(groups, ([key, list]) => ({
+    key,
+    ...summarizeAttempts(list),
+    free: list[0].sessionId == null,
+    start: Math.min(...list.map(a => a.ts)),
+    topics: Array.from(new Set(list.map(a => a.topic || "Untitled"))),
+  })).sort((a, b) => b.start - a.start);
+}
+
+export function buildReport(learners, { since = 0 } = {}) {
+  const rows = learners.map(({ profile, history }) => {
+    const list = history.filter(a => a.ts >= since);
+    return {
+      profile,
+      ...summarizeAttempts(list),
+      byTopic: Object.fromEntries(topicAccuracy(list).map(r => [r.topic, r])),
+      sessions: sessionsOf(list),
+      lastTs: list.length ? Math.max(...list.map(a => a.ts)) : null,
+    };
+  });
+  const topics = Array.from(new Set(rows.flatMap(r => Object.keys(r.byTopic)))).sort((a, b) => a.localeCompare(b));
+  return { topics, rows };
+}
+
+const percent = (ratio) => Math.round(ratio * 100);
+
+// 学習者 1 人 = 1 行。テーマごとに正答率と解答数の 2 列（t は i18n の翻訳関数）
+export function reportCsv(report, t) {
+  const header = [
+    t("report.learner"), t("report.sessions"), t("report.attempts"), t("report.correct"),
+    t("report.accuracyPercent"), t("report.avgFluency"), t("report.lastPracticed"),
+    ...report.topics.flatMap(topic => [`${topic} (%)`, `${topic} (n)`]),
+  ];
+  const lines = report.rows.map(r => [
+    r.profile.name, r.sessions.length, r.total, r.correct,
+    r.total ? percent(r.accuracy) : "", r.avgFluency ?? "", r.lastTs ? dayKey(r.lastTs) : "",
+    ...report.topics.flatMap(topic => {
+      const c = r.byTopic[topic];
+      return c ? [percent(c.accuracy), c.total] : ["", 0];
+    }),
+  ]);
+  return [header, ...lines].map(cols => cols.map(v => csvField(v)).join(",")).join("\n") + "\n";
+}
@@ -0,0 +1,54 @@
+import { describe, it, expect } from "vitest";
+import { buildReport, sessionsOf, reportCsv, periodStart } from "./report.js";
+
+const DAY = 24 * 60 * 60 * 1000;
+const NOW = new Date("2026-03-10T12:00:00").getTime();
+
+function attempt(topic, correct, ts, sessionId = null) {
+  const grade = correct ? "correct" : "wrong_aux";
+  return { itemId: 1, topic, ts, sessionId, grades: { yes: "correct", no: grade } };
+}
+
+const AKI = { profile: { id: 1, name: "Aki" }, history: [
+  attempt("Daily Life", true, NOW - 2 * DAY, 100),
+  attempt("Daily Life", false, NOW - 2 * DAY + 1000, 100),
+  attempt("Plans", true, NOW - DAY),
+  attempt("Plans", true, NOW - 40 * DAY, 50),
+] };
+const BEN = { profile: { id: 2, name: "Ben, Jr." }, history: [attempt("Plans", false, NOW - DAY, 200)] };
+
+const t = (key) => ({
+  "report.learner": "Learner", "report.sessions": "Sessions", "report.attempts": "Answers", "report.correct": "Correct",
+  "report.accuracyPercent": "Accuracy (%)", "report.avgFluency": "Avg", "report.lastPracticed": "Last",
+}[key] || key);
+
+describe("sessionsOf", () => {
+  it("groups by session and puts free practice into one group per day", () => {
+    const sessions = sessionsOf(AKI.history);
+    expect(sessions.map(s => [s.key, s.total, s.correct, s.free])).toEqual([
+      ["free:2026-03-09", 1, 1, true],
+      [100, 2, 1, false],
+      [50, 1, 1, false],
+    ]);
+  });
+});
+
+describe("buildReport", () => {
+  it("compares learners by topic within the period", () => {
+    const report = buildReport([AKI, BEN], { since: periodStart(30, NOW) });
+    expect(report.topics).toEqual(["Daily Life", "Plans"]);
+    const [aki, ben] = report.rows;
+    expect(aki).toMatchObject({ total: 3, correct: 2, lastTs: NOW - DAY });
+    expect(aki.sessions).toHaveLength(2); // 40 日前のセッションは期間外
+    expect(aki.byTopic["Daily Life"]).toMatchObject({ total: 2, correct: 1, accuracy: 0.5 });
+    expect(ben.byTopic["Daily Life"]).toBe(undefined);
+    expect(ben.byTopic.Plans.accuracy).toBe(0);
+  });
+
+  it("exports one CSV row per learner with a pair of columns per topic", () => {
+    const csv = reportCsv(buildReport([AKI, BEN], { since: periodStart(30, NOW) }), t).trim().split("\n");
+    expect(csv[0]).toBe("Learner,Sessions,Answers,Correct,Accuracy (%),Avg,Last,Daily Life (%),Daily Life (n),Plans (%),Plans (n)");
+    expect(csv[1]).toBe("Aki,2,3,2,67,,2026-03-09,50,2,100,1");
+    expect(csv[2]).toBe('"Ben, Jr.",1,1,0,0,,2026-03-09,,0,0,1');
+  });
+});
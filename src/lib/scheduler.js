@@ -0,0 +1,68 @@
+// ====== Spaced repetition (SM-2 style) ======
+// 各アイテム ID ごとに { due, interval, ease, reps, lapses } を保持する。
+// interval は日数、due は epoch ms。
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MIN_EASE = 1.3;
+const DEFAULT_EASE = 2.5;
+
+// reveal 時点で残っている needed（target ごと。yes/no なら { yes, no }）から評価を決める
+//   全部言えた → good / 一部だけ → hard / 何も無し → again
+//   grades（grader の結果）があれば、全部言えても形が違えば hard
+export function gradeFromNeeded(needed, grades) {
+  const keys = Object.keys(needed || {});
+  const heard = keys.filter(k => !needed[k]).length;
+  if (heard && heard === keys.length && grades && keys.some(k => grades[k]?.result !== "correct")) return "hard";
+  if (heard && heard === keys.length) return "good";
+  if (heard) return "hard";
+  return "again";
+}
+
+const QUALITY = { good: 5, hard: 3, again: 1 };
+
+// SM-2: 品質 q (0..5) で ease と interval を更新する
+export function reviewItem(entry, grade, now = Date.now()) {
+  const q = QUALITY[grade] ?? QUALITY.again;
+  const prev = entry || { interval: 0, ease: DEFAULT_EASE, reps: 0, lapses: 0 };
+  const ease = Math.max(MIN_EASE, prev.ease + (0.1 - (5 - q) * (0.08 + (5 - q) * 0.02)));
+  let reps, interval, lapses = prev.lapses || 0;
+  if (q < 3) {
+    // 失敗したら次回セッションですぐ出す
+    reps = 0; interval = 0; lapses += 1;
+  } else {
+    reps = (prev.reps || 0) + 1;
+    if (reps === 1) interval = 1;
+    else if (reps === 2) interval = 6;
+    else interval = Math.round(prev.interval * ease);
+    if (grade === "hard") interval = Math.max(1, Math.round(interval / 2));
+  }
+  return { due: now + interval * DAY_MS, interval, ease, reps, lapses, last: now, lastGrade: grade };
+}
+
+export function isDue(entry, now = Date.now()) {
+  return !!entry && entry.due <= now;
+}
+
+// 期限切れ（古い順）→ 未学習 → 期限前（近い順）に並べる。同順位はシャッフル。
+export function orderBySchedule(ids, schedule, now = Date.now()) {
+  const shuffled = ids.slice();
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+  const rank = (id) => {
+    const s = schedule[id];
+    if (!s) return 1;
+    return s.due <= now ? 0 : 2;
+  };
+  return shuffled.sort((a, b) => {
+    const ra = rank(a), rb = rank(b);
+    if (ra !== rb) return ra - rb;
+    if (ra === 1) return 0;
+    return schedule[a].due - schedule[b].due;
+  });
+}
+
+export function countDue(ids, schedule, now = Date.now()) {
+  return ids.filter(id => isDue(schedule[id], now)).length;
+}
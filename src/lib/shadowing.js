@@ -0,0 +1,177 @@
+// ====== Shadowing engine ======
+// お手本の文を読み上げ → 学習者がまねして言う → 認識結果がお手本にどれだけ近いかで採点する。
+// 1 文につき repeats 回。slower なら遅い速さから始めて最後の回を設定の速さにする（repeatRates）。
+// trainer と同じく時計・読み上げ・音声認識は外から渡す。
+//
+//   const shadowing = createShadowing({ clock, tts, createRecognizer });
+//   shadowing.setSentences(sampleSentences(topicPool(items, topic), defaultLang));
+//   shadowing.on("result", ({ sentence, repeat, rate, said, score, words }) => { ... });
+//   shadowing.play();
+
+import { realClock } from "./trainer.js";
+import { isPolar, parseAnswerList } from "./questionTypes.js";
+import { getLanguagePack, itemLang } from "./languages.js";
+import { alignWords } from "./fluency.js";
+
+export const DEFAULT_SHADOWING_SETTINGS = {
+  rate: 1,
+  pitch: 1,
+  repeats: 2, // 1 文を何回まねするか
+  slower: false, // 最初の回を遅く読む
+  listenSec: 8, // 読み上げ後に聞き取る最大時間
+};
+
+const SLOWEST = 0.7; // slower のときの最初の回の速さ（設定の速さに対する割合）
+const NEXT_REPEAT_MS = 1200; // 採点を見せてから次の回を読み上げるまで
+
+// 練習に使う文。yes/no・付加疑問は yesSample / noSample、それ以外はお手本の answers
+export function sampleSentences(items, defaultLang) {
+  return items.flatMap(item => {
+    const texts = isPolar(item) ? [item.yesSample, item.noSample] : parseAnswerList(item.answers);
+    const unique = Array.from(new Set(texts.map(s => String(s || "").trim()).filter(Boolean)));
+    return unique.map((text, k) => ({ key: `${item.id}:${k}`, itemId: item.id, text, lang: itemLang(item, defaultLang) }));
+  });
+}
+
+// 回ごとの読み上げ速さ（小数 2 桁）
+export function repeatRates(rate, repeats, slower) {
+  return Array.from({ length: Math.max(1, repeats) }, (_, i) => {
+    if (!slower || repeats < 2) return rate;
+    const ratio = SLOWEST + (1 - SLOWEST) * (i / (repeats - 1));
+    return Math.round(rate * ratio * 100) / 100;
+  });
+}
+
+// 0..100。お手本の語のうち言えた割合（語単位の編集距離から）と、語ごとの判定
+export function shadowScore(expected, said, spaceless = false) {
+  const { words, distance, expectedLength } = alignWords(expected, said, [], spaceless);
+  const score = expectedLength ? Math.max(0, Math.round(100 * (1 - distance / expectedLength))) : 0;
+  return { score, words };
+}
+
+export function createShadowing({ clock = realClock, tts = null, createRecognizer = null, settings = {} } = {}) {
+  let config = { ...DEFAULT_SHADOWING_SETTINGS, ...settings };
+  let sentences = [];
+  let state = {
+    phase: "idle", // 'idle' | 'playing' | 'listening' | 'graded'
+    index: 0,
+    repeat: 0, // 何回目か（0 から）
+    heard: "", // 今の回の認識結果（interim を含む）
+    results: [], // 今の文の各回の採点 { repeat, rate, said, score, words }
+  };
+  const listeners = new Set();
+  const handlers = {};
+  let recognizerFactory = createRecognizer;
+  let rec = null;
+  let token = 0; // play() ごとに増やす。古い読み上げ・認識のコールバックを無視するため
+  let timer = null;
+
+  function setState(patch) {
+    state = { ...state, ...patch };
+    listeners.forEach(fn => fn());
+  }
+
+  function emit(type, payload) {
+    handlers[type]?.forEach(fn => fn(payload));
+  }
+
+  function current() {
+    return sentences[state.index] || null;
+  }
+
+  function halt() {
+    token++;
+    clock.clearTimeout(timer);
+    const old = rec;
+    rec = null;
+    try { old?.abort(); } catch { /* not started */ }
+    if (state.phase === "playing") tts?.cancel(); // 他の読み上げ（質問モード）は止めない
+  }
+
+  // 今の回を読み上げてから聞き取る
+  function play() {
+    const sentence = current();
+    if (!sentence) return;
+    halt();
+    const my = token;
+    const rate = repeatRates(config.rate, config.repeats, config.slower)[state.repeat] ?? config.rate;
+    setState({ phase: "playing", heard: "" });
+    const listen = () => { if (token === my) startListening(my, sentence, rate); };
+    if (tts) tts.speak(sentence.text, { lang: sentence.lang, rate, pitch: config.pitch }, listen);
+    else listen();
+  }
+
+  function startListening(my, sentence, rate) {
+    setState({ phase: "listening" });
+    let said = "", done = false;
+    const finish = () => {
+      if (done || token !== my) return;
+      done = true;
+      grade(my, sentence, rate, said);
+    };
+    rec = recognizerFactory?.({
+      lang: getLanguagePack(sentence.lang).locale,
+      onResult: ({ transcript, isFinal }) => {
+        if (token !== my) return;
+        said = transcript;
+        setState({ heard: transcript });
+        if (isFinal) finish();
+      },
+      onError: (err) => { if (token === my) emit("error", err); },
+      onEnd: finish,
+    }) || null;
+    try { rec?.start(); } catch (e) { console.warn("recognition start failed", e); }
+    timer = clock.setTimeout(finish, config.listenSec * 1000);
+  }
+
+  function grade(my, sentence, rate, said) {
+    clock.clearTimeout(timer);
+    const r = rec;
+    rec = null;
+    try { r?.stop(); } catch { /* not started */ }
+    const { score, words } = shadowScore(sentence.text, said, getLanguagePack(sentence.lang).spaceless);
+    const result = { repeat: state.repeat, rate, said, score, words };
+    setState({ phase: "graded", results: [...state.results, result] });
+    emit("result", { sentence, ...result });
+    if (state.repeat + 1 < config.repeats) {
+      timer = clock.setTimeout(() => {
+        if (token !== my) return;
+        setState({ repeat: state.repeat + 1 });
+        play();
+      }, NEXT_REPEAT_MS);
+    }
+  }
+
+  function select(index) {
+    halt();
+    const n = sentences.length;
+    setState({ phase: "idle", index: n ? (index + n) % n : 0, repeat: 0, heard: "", results: [] });
+  }
+
+  return {
+    getState: () => state,
+    subscribe(fn) { listeners.add(fn); return () => listeners.delete(fn); },
+    on(type, fn) {
+      if (!handlers[type]) handlers[type] = new Set();
+      handlers[type].add(fn);
+      return () => handlers[type].delete(fn);
+    },
+    current,
+    setSentences(list) {
+      const key = current()?.key;
+      sentences = list;
+      const index = list.findIndex(s => s.key === key);
+      if (index >= 0 && index === state.index) return;
+      select(Math.max(0, index));
+    },
+    configure(patch) { config = { ...config, ...patch }; },
+    setRecognizerFactory(factory) { recognizerFactory = factory; },
+    play,
+    // 今の文を最初の回からやり直す
+    restart() { select(state.index); play(); },
+    next() { select(state.index + 1); play(); },
+    previous() { select(state.index - 1); play(); },
+    stop() { halt(); setState({ phase: "idle" }); },
+    dispose: halt,
+  };
+}
@@ -0,0 +1,83 @@
+import { describe, it, expect } from "vitest";
+import { createShadowing, sampleSentences, repeatRates, shadowScore } from "./shadowing.js";
+import { createFakeClock, createFakeTts, createFakeRecognition } from "./testFakes.js";
+
+const ITEMS = [
+  { id: 1, topic: "Daily Life", question: "Do you like coffee?", yesSample: "Yes, I do.", noSample: "No, I don't." },
+  { id: 2, type: "wh", question: "Where do you live?", answers: ["I live in Tokyo.", "In Tokyo."], lang: "en" },
+];
+
+function setup(settings = {}) {
+  const clock = createFakeClock();
+  const tts = createFakeTts();
+  const recognition = createFakeRecognition();
+  const shadowing = createShadowing({ clock, tts, createRecognizer: recognition.factory, settings });
+  shadowing.setSentences(sampleSentences(ITEMS, "en"));
+  const results = [];
+  shadowing.on("result", r => results.push(r));
+  return { clock, tts, recognition, shadowing, results };
+}
+
+describe("sentences", () => {
+  it("uses yes/no samples and model answers from the deck", () => {
+    expect(sampleSentences(ITEMS, "en").map(s => s.text)).toEqual(["Yes, I do.", "No, I don't.", "I live in Tokyo.", "In Tokyo."]);
+  });
+
+  it("ramps the rate up to the normal speed on slower repeats", () => {
+    expect(repeatRates(1, 3, true)).toEqual([0.7, 0.85, 1]);
+    expect(repeatRates(1.2, 2, false)).toEqual([1.2, 1.2]);
+    expect(repeatRates(1, 1, true)).toEqual([1]);
+  });
+
+  it("scores by word similarity", () => {
+    expect(shadowScore("No, I don't.", "no I don't").score).toBe(100);
+    expect(shadowScore("I live in Tokyo.", "I live Tokyo").score).toBe(75);
+    expect(shadowScore("Yes, I do.", "").score).toBe(0);
+  });
+});
+
+describe("shadowing", () => {
+  it("plays, listens and grades each repeat, slower first", () => {
+    const { clock, tts, recognition, shadowing, results } = setup({ repeats: 2, slower: true });
+    shadowing.play();
+    expect(shadowing.getState().phase).toBe("playing");
+    expect(tts.spoken).toEqual(["Yes, I do."]);
+    tts.finish();
+    expect(shadowing.getState().phase).toBe("listening");
+    recognition.last.say("Yes I do");
+    expect(results[0]).toMatchObject({ repeat: 0, rate: 0.7, score: 100 });
+    expect(shadowing.getState().phase).toBe("graded");
+
+    clock.advance(1200); // 次の回を自動で読み上げる
+    expect(tts.spoken).toHaveLength(2);
+    tts.finish();
+    recognition.last.say("Yes", true);
+    expect(results[1]).toMatchObject({ repeat: 1, rate: 1, said: "Yes" });
+    clock.advance(5000);
+    expect(tts.spoken).toHaveLength(2); // 最後の回のあとは止まる
+    expect(shadowing.getState().results).toHaveLength(2);
+  });
+
+  it("grades silence when the listening time is up", () => {
+    const { clock, tts, shadowing, results } = setup({ repeats: 1, listenSec: 5 });
+    shadowing.play();
+    tts.finish();
+    clock.advance(5000);
+    expect(results).toMatchObject([{ said: "", score: 0 }]);
+  });
+
+  it("moves between sentences and ignores the old recognizer", () => {
+    const { tts, recognition, shadowing, results } = setup({ repeats: 1 });
+    shadowing.play();
+    tts.finish();
+    const old = recognition.last;
+    shadowing.next();
+    expect(shadowing.current().text).toBe("No, I don't.");
+    expect(shadowing.getState()).toMatchObject({ phase: "playing", repeat: 0, results: [] });
+    old.say("Yes, I do.");
+    expect(results).toHaveLength(0);
+    shadowing.previous();
+    shadowing.previous();
+    expect(shadowing.current().text).toBe("In Tokyo."); // 先頭から戻ると最後へ
+  });
+});
@@ -0,0 +1,240 @@
+// ====== Persistent storage (IndexedDB) ======
+// ストア構成:
+//   kv        … "decks" / "profiles" / "settings" / "meta" と、学習者ごとの
+//                "schedule:<id>" / "history:<id>" / "profileSettings:<id>"（profiles.js を参照）
+//   snapshots … decks の自動バックアップ { id, ts, reason, count, decks }（v2 までは items）
+//   recordings … 練習中の録音 { id, profileId, itemId, attemptTs, ts, question, mimeType, durationMs, blob }
+// データ形式のバージョン (SCHEMA_VERSION) は kv "meta" に持ち、MIGRATIONS で順に上げる。
+// v1 は localStorage 1 キー時代 ("yn_trainer_items_v1")。
+
+import { decksFromItems, validDecks, allItems } from "./decks.js";
+import { defaultProfiles, validProfiles, profileKey } from "./profiles.js";
+
+const DB_NAME = "yn_trainer";
+const DB_VERSION = 2; // IndexedDB のストア構成のバージョン
+export const SCHEMA_VERSION = 4; // 保存データ形式のバージョン
+
+const LEGACY_KEYS = {
+  items: "yn_trainer_items_v1",
+  schedule: "yn_trainer_schedule_v1",
+  history: "yn_trainer_history_v1",
+};
+
+const MAX_SNAPSHOTS = 20;
+export const SNAPSHOT_INTERVAL_MS = 5 * 60 * 1000;
+
+function promisify(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+let dbPromise = null;
+function openDb() {
+  if (dbPromise) return dbPromise;
+  dbPromise = new Promise((resolve, reject) => {
+    if (typeof indexedDB === "undefined") { reject(new Error("IndexedDB is not available")); return; }
+    const req = indexedDB.open(DB_NAME, DB_VERSION);
+    req.onupgradeneeded = (e) => {
+      const db = req.result;
+      // ストアを増やすときは DB_VERSION を上げてここに追記する
+      if (e.oldVersion < 1) {
+        db.createObjectStore("kv");
+        db.createObjectStore("snapshots", { keyPath: "id", autoIncrement: true });
+      }
+      if (e.oldVersion < 2) {
+        const rec = db.createObjectStore("recordings", { keyPath: "id", autoIncrement: true });
+        rec.createIndex("itemId", "itemId");
+      }
+    };
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+    req.onblocked = () => reject(new Error("IndexedDB open blocked"));
+  });
+  dbPromise.catch(() => { dbPromise = null; });
+  return dbPromise;
+}
+
+async function tx(storeName, mode, fn) {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const t = db.transaction(storeName, mode);
+    const store = t.objectStore(storeName);
+    let result;
+    Promise.resolve(fn(store)).then(r => { result = r; }, reject);
+    t.oncomplete = () => resolve(result);
+    t.onerror = () => reject(t.error);
+    t.onabort = () => reject(t.error || new Error("transaction aborted"));
+  });
+}
+
+export function getValue(key) {
+  return tx("kv", "readonly", store => promisify(store.get(key)));
+}
+export function setValue(key, value) {
+  return tx("kv", "readwrite", store => promisify(store.put(value, key)));
+}
+export function deleteValue(key) {
+  return tx("kv", "readwrite", store => promisify(store.delete(key)));
+}
+
+// ====== Migrations ======
+// MIGRATIONS[n] は schema n-1 → n。kv に直接書き込む。
+function readLegacy(key) {
+  try {
+    const raw = localStorage.getItem(key);
+    return raw ? JSON.parse(raw) : undefined;
+  } catch {
+    return undefined;
+  }
+}
+const MIGRATIONS = {
+  // v1 (localStorage) → v2 (IndexedDB)。localStorage 側は念のため残す。
+  2: async () => {
+    const items = readLegacy(LEGACY_KEYS.items);
+    const schedule = readLegacy(LEGACY_KEYS.schedule);
+    const history = readLegacy(LEGACY_KEYS.history);
+    // v1 は空の一覧を読むと初期データを表示していたので、空なら移さない（初期データのまま）
+    if (Array.isArray(items) && items.length) {
+      await setValue("items", items);
+      await addSnapshot(decksFromItems(items), "migration");
+    }
+    if (schedule && typeof schedule === "object" && !Array.isArray(schedule)) await setValue("schedule", schedule);
+    if (Array.isArray(history)) await setValue("history", history);
+  },
+  // v2 (items 1 つ) → v3 (名前付きデッキの配列)。"items" は念のため残す。
+  // v2 は読み込みが終わるまで保存しないので、空の items はユーザーが全部消した結果。空のまま移す。
+  3: async () => {
+    const items = await getValue("items");
+    if (Array.isArray(items)) await setValue("decks", decksFromItems(items));
+  },
+  // v3 (学習者 1 人) → v4 (学習者ごと)。記録・声の選択・録音を最初の学習者のものにする。古いキーは念のため残す。
+  4: async () => {
+    const [first] = defaultProfiles();
+    await setValue("profiles", [first]);
+    const schedule = await getValue("schedule");
+    const history = await getValue("history");
+    const settings = await getValue("settings");
+    if (schedule !== undefined) await setValue(profileKey("schedule", first.id), schedule);
+    if (history !== undefined) await setValue(profileKey("history", first.id), history);
+    if (settings?.voiceNames) await setValue(profileKey("profileSettings", first.id), { voiceNames: settings.voiceNames });
+    await tx("recordings", "readwrite", async store => {
+      const list = await promisify(store.getAll());
+      await Promise.all(list.map(r => promisify(store.put({ ...r, profileId: first.id }))));
+    });
+  },
+};
+
+async function migrate() {
+  const meta = (await getValue("meta")) || {};
+  let version = meta.schemaVersion || 1;
+  if (version > SCHEMA_VERSION) {
+    const err = new Error(`stored schema version ${version} is newer than this app (${SCHEMA_VERSION})`);
+    err.name = "SchemaVersionError";
+    err.version = version;
+    throw err;
+  }
+  while (version < SCHEMA_VERSION) {
+    const step = MIGRATIONS[version + 1];
+    if (step) await step();
+    version++;
+    await setValue("meta", { ...meta, schemaVersion: version, migratedAt: Date.now() });
+  }
+}
+
+// 起動時に一度呼ぶ。壊れたデータは黙って捨てず warnings で知らせる。
+//   戻り値: { decks, profiles, settings, warnings }（無いものは undefined）
+//   warnings は { code, params } の配列（表示文言は UI 側のカタログで引く）
+//   学習者ごとのデータは loadProfile で読む。
+export async function loadState() {
+  await migrate();
+  const warnings = [];
+  let decks = await getValue("decks");
+  if (decks !== undefined && !validDecks(decks)) {
+    const latest = (await listSnapshots())[0];
+    if (latest) {
+      warnings.push({ code: "itemsRestored", params: { ts: latest.ts } });
+      decks = snapshotDecks(latest);
+    } else {
+      warnings.push({ code: "itemsReset" });
+      decks = undefined;
+    }
+  }
+  let profiles = await getValue("profiles");
+  if (profiles !== undefined && !validProfiles(profiles)) {
+    warnings.push({ code: "profilesReset" });
+    profiles = undefined;
+  }
+  const settings = (await getValue("settings")) || undefined;
+  return { decks, profiles, settings, warnings };
+}
+
+// 学習者ごとのデータ。戻り値: { schedule, history, settings, warnings }
+export async function loadProfile(profileId) {
+  const warnings = [];
+  let schedule = await getValue(profileKey("schedule", profileId));
+  if (schedule !== undefined && (typeof schedule !== "object" || Array.isArray(schedule) || schedule === null)) {
+    warnings.push({ code: "scheduleReset" });
+    schedule = undefined;
+  }
+  let history = await getValue(profileKey("history", profileId));
+  if (history !== undefined && !Array.isArray(history)) {
+    warnings.push({ code: "historyReset" });
+    history = undefined;
+  }
+  const settings = (await getValue(profileKey("profileSettings", profileId))) || undefined;
+  return { schedule, history, settings, warnings };
+}
+
+// 先生用レポート向け。壊れていれば空
+export async function loadHistory(profileId) {
+  const history = await getValue(profileKey("history", profileId));
+  return Array.isArray(history) ? history : [];
+}
+
+// 学習者を消すときに、その人の記録・設定・録音も消す
+export async function deleteProfileData(profileId) {
+  await Promise.all(["schedule", "history", "profileSettings"].map(kind => deleteValue(profileKey(kind, profileId))));
+  const recordings = await listRecordings(null, profileId);
+  await tx("recordings", "readwrite", store => Promise.all(recordings.map(r => promisify(store.delete(r.id)))));
+}
+
+// ====== Snapshots ======
+export function listSnapshots() {
+  return tx("snapshots", "readonly", store => promisify(store.getAll()))
+    .then(list => list.sort((a, b) => b.ts - a.ts));
+}
+
+// v2 までのスナップショットは items だけを持つ
+export function snapshotDecks(snapshot) {
+  return snapshot.decks || decksFromItems(snapshot.items || []);
+}
+
+export async function addSnapshot(decks, reason = "auto") {
+  await tx("snapshots", "readwrite", store => promisify(store.add({ ts: Date.now(), reason, count: allItems(decks).length, decks })));
+  // 古いものから削除して MAX_SNAPSHOTS 件に保つ
+  const list = await listSnapshots();
+  const stale = list.slice(MAX_SNAPSHOTS);
+  if (stale.length) await tx("snapshots", "readwrite", store => Promise.all(stale.map(s => promisify(store.delete(s.id)))));
+}
+
+export function deleteSnapshot(id) {
+  return tx("snapshots", "readwrite", store => promisify(store.delete(id)));
+}
+
+// ====== Recordings ======
+export function addRecording(recording) {
+  return tx("recordings", "readwrite", store => promisify(store.add({ ts: Date.now(), ...recording })));
+}
+
+// 新しい順。itemId を渡すとその問題だけ、profileId を渡すとその学習者の録音だけ。
+export function listRecordings(itemId, profileId) {
+  return tx("recordings", "readonly", store => promisify(
+    itemId == null ? store.getAll() : store.index("itemId").getAll(itemId)
+  )).then(list => list.filter(r => profileId == null || r.profileId === profileId).sort((a, b) => b.ts - a.ts));
+}
+
+export function deleteRecording(id) {
+  return tx("recordings", "readwrite", store => promisify(store.delete(id)));
+}
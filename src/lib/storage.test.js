@@ -0,0 +1,65 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from "vitest";
+import { IDBFactory } from "fake-indexeddb";
+
+const ITEMS = [
+  { id: 1, topic: "Daily Life", question: "Do you like coffee?", yesSample: "Yes, I do.", noSample: "No, I don't." },
+  { id: 2, topic: "Abilities", question: "Can you swim?", yesSample: "Yes, I can.", noSample: "No, I can't." },
+];
+
+// テストごとに空の IndexedDB と localStorage（v1 のデータ）で storage.js を読み込み直す
+async function open(legacy = {}) {
+  const data = Object.fromEntries(Object.entries(legacy).map(([k, v]) => [k, JSON.stringify(v)]));
+  vi.stubGlobal("localStorage", { getItem: key => data[key] ?? null });
+  return import("./storage.js");
+}
+
+beforeEach(() => {
+  vi.resetModules();
+  vi.stubGlobal("indexedDB", new IDBFactory());
+});
+afterEach(() => vi.unstubAllGlobals());
+
+describe("migrations v1 → v4", () => {
+  it("starts with the built-in deck when nothing was saved", async () => {
+    const { loadState, getValue, SCHEMA_VERSION } = await open();
+    const state = await loadState();
+    expect(state).toMatchObject({ decks: undefined, warnings: [] });
+    expect(state.profiles).toHaveLength(1);
+    expect((await getValue("meta")).schemaVersion).toBe(SCHEMA_VERSION);
+  });
+
+  it("moves the localStorage items, schedule and history to the first learner", async () => {
+    const schedule = { 1: { due: 0, interval: 1, ease: 2.5 } };
+    const history = [{ itemId: 1, ts: 1, polarity: "yes" }];
+    const { loadState, loadProfile, listSnapshots } = await open({
+      yn_trainer_items_v1: ITEMS,
+      yn_trainer_schedule_v1: schedule,
+      yn_trainer_history_v1: history,
+    });
+    const state = await loadState();
+    expect(state.decks).toEqual([{ id: 1, name: expect.any(String), items: ITEMS }]);
+    const profile = await loadProfile(state.profiles[0].id);
+    expect(profile).toMatchObject({ schedule, history, warnings: [] });
+    expect((await listSnapshots()).map(s => s.reason)).toEqual(["migration"]);
+  });
+
+  it("keeps showing the built-in deck for an empty v1 list, as the v1 app did", async () => {
+    const { loadState, listSnapshots } = await open({ yn_trainer_items_v1: [] });
+    expect(await loadState()).toMatchObject({ decks: undefined, warnings: [] });
+    expect(await listSnapshots()).toEqual([]);
+  });
+
+  it("keeps a v2 list the learner emptied on purpose", async () => {
+    const { loadState, setValue } = await open();
+    await setValue("meta", { schemaVersion: 2 });
+    await setValue("items", []);
+    const state = await loadState();
+    expect(state.decks).toEqual([{ id: 1, name: expect.any(String), items: [] }]);
+    expect(state.warnings).toEqual([]);
+  });
+
+  it("ignores a v1 value that is not a list", async () => {
+    const { loadState } = await open({ yn_trainer_items_v1: { not: "a list" } });
+    expect(await loadState()).toMatchObject({ decks: undefined, warnings: [] });
+  });
+});
@@ -0,0 +1,71 @@
+// ====== Test fakes ======
+// engine のテスト用の時計・読み上げ・音声認識（trainer.test.js / shadowing.test.js）
+
+// setTimeout を手で進める時計
+export function createFakeClock(start = 1_000_000) {
+  let now = start;
+  let seq = 0;
+  const timers = new Map();
+  return {
+    now: () => now,
+    setTimeout(fn, ms) { timers.set(++seq, { at: now + ms, fn }); return seq; },
+    clearTimeout(id) { timers.delete(id); },
+    advance(ms) {
+      const end = now + ms;
+      for (;;) {
+        const [id, next] = [...timers.entries()].sort((a, b) => a[1].at - b[1].at || a[0] - b[0])[0] || [];
+        if (!next || next.at > end) break;
+        timers.delete(id);
+        now = next.at;
+        next.fn();
+      }
+      now = end;
+    },
+  };
+}
+
+// speechSynthesis と同じく、新しい発話や cancel で前の発話の onend が呼ばれる
+export function createFakeTts() {
+  const tts = {
+    spoken: [],
+    pending: null,
+    speak(text, options, onend) {
+      tts.cancel();
+      tts.spoken.push(text);
+      tts.pending = onend || null;
+    },
+    cancel() {
+      const done = tts.pending;
+      tts.pending = null;
+      done?.();
+    },
+    finish() { tts.cancel(); },
+  };
+  return tts;
+}
+
+export function createFakeRecognition() {
+  const instances = [];
+  const factory = (options) => {
+    const rec = {
+      options,
+      running: false,
+      starts: 0,
+      start() {
+        if (rec.running) throw new Error("already started");
+        rec.running = true; rec.starts++;
+      },
+      stop() {
+        if (!rec.running) return;
+        rec.running = false; options.onEnd();
+      },
+      abort() { rec.stop(); },
+      say(transcript, isFinal = true) {
+        options.onResult({ transcript, isFinal, confidence: 0.9, alternatives: [] });
+      },
+    };
+    instances.push(rec);
+    return rec;
+  };
+  return { factory, instances, get last() { return instances[instances.length - 1]; } };
+}
@@ -0,0 +1,515 @@
+// ====== Trainer engine ======
+// 練習の流れ（読み上げ → 認識 → 答え合わせ → 次へ）を画面から切り離した状態機械。
+// 時計・読み上げ・音声認識は外から渡す（テストでは偽物に差し替える）。
+//
+//   const trainer = createTrainer({ clock, tts, createRecognizer, beforeAnswer });
+//   trainer.setItems(items);
+//   trainer.subscribe(() => render(trainer.getState()));
+//   trainer.on("attempt", ({ attempt, item, grades, opposite, fluency, grade }) => { ... });
+//   trainer.ask();
+//
+// イベント:
+//   attempt    答え合わせした（履歴・スケジュールの更新用）
+//   listen     認識を開始した（録音の開始用）
+//   result     認識結果が届いた { transcript, isFinal, confidence, lang }（診断の記録用。interim も含む）
+//   end        認識が終わった { restart }（練習中なら自動で再開する）
+//   discard    問題を記録せずに打ち切った（録音の破棄用）
+//   sessionEnd セッションの最後の問題が終わった { sessionId }
+//   command    音声コマンドを聞き取った { action, text, at }
+//   error      認識エラー { code, message }
+
+import { gradeFromNeeded, orderBySchedule } from "./scheduler.js";
+import { betterGrade } from "./grader.js";
+import { gradeResponse, completesTarget, neededFor, expectedAnswers, answerText, itemType, isPolar } from "./questionTypes.js";
+import { parseVoiceCommand } from "./commands.js";
+import { DEFAULT_LANG, getLanguagePack, itemLang } from "./languages.js";
+import { scoreAttempt } from "./fluency.js";
+
+export const realClock = {
+  now: () => Date.now(),
+  setTimeout: (fn, ms) => setTimeout(fn, ms),
+  clearTimeout: (id) => clearTimeout(id),
+};
+
+export const DEFAULT_TRAINER_SETTINGS = {
+  practiceSec: 8, // 一問あたりの練習時間
+  useTTS: true,
+  random: true, // セッション外での出題順
+  rate: 1,
+  pitch: 1,
+  autoEndOnSilence: true, // 話し終わって無音が続いたら早めに答え合わせ
+  silenceSec: 2,
+  defaultLang: DEFAULT_LANG,
+  targetMode: "both", // TARGET_MODES。yes/no で答える問題で言う答えを指定する
+  speakTarget: true, // 指定した答え（"Answer: no"）を質問の後に読み上げる
+};
+
+// 'both' … yes と no の両方（順不同）、'yes' / 'no' … 指定した方だけ、'mixed' … 問題ごとに yes と no を交互に
+export const TARGET_MODES = ["both", "yes", "no", "mixed"];
+
+const MAX_EXTEND_MS = 5000; // 話し続けている場合の最大延長
+const EXTEND_STEP_MS = 1000;
+const LISTEN_DELAY_MS = 200; // 読み上げ終了 → 認識開始
+const RESTART_DELAY_MS = 100; // 認識が途中で終わったときの再開
+
+export function topicOf(item) {
+  return item?.topic || "Untitled";
+}
+
+// テーマで絞った問題
+export function topicPool(items, topic) {
+  return topic === "All" ? items : items.filter(it => topicOf(it) === topic);
+}
+
+// 出題対象（セッション中はセッションの問題だけ）
+export function viewItems(items, state) {
+  const pool = topicPool(items, state.topic);
+  return state.session ? pool.filter(it => state.session.ids.includes(it.id)) : pool;
+}
+
+// セッション中は ID 基準で現在を特定
+export function currentItem(items, state) {
+  const view = viewItems(items, state);
+  if (state.session && state.session.ids.length) {
+    const id = state.session.ids[state.session.cursor] ?? state.session.ids[0];
+    return items.find(it => it.id === id) || view[0] || items[0];
+  }
+  return view[state.index] || view[0] || items[0];
+}
+
+// 指定した答えの読み上げ（"Answer: no" / "答え: いいえ"）
+function targetCue(target, lang) {
+  const pack = getLanguagePack(lang);
+  return `${pack.answerLabel}: ${pack[target][0]}`;
+}
+
+export function createTrainer({
+  clock = realClock,
+  tts = null,
+  createRecognizer = null,
+  beforeAnswer = null, // (attempt) => Promise | null。答えを読み上げる前に待つ（自分の録音の再生など）
+  random = Math.random,
+  settings = {},
+} = {}) {
+  let config = { ...DEFAULT_TRAINER_SETTINGS, ...settings };
+  let items = [];
+  let state = {
+    phase: "idle", // 'idle' | 'practice' | 'reveal'
+    paused: false,
+    listening: false,
+    recognized: "", // 直近の認識結果（interim を含む）
+    needed: { yes: true, no: true }, // まだ言えていない target（問題の種類で変わる）
+    target: null, // 'yes' | 'no'。答えを指定した問題（targetMode）で言うべき方。指定なしは null
+    topic: "All",
+    index: 0, // セッション外での位置
+    session: null, // { ids, cursor, id }
+  };
+  const listeners = new Set();
+  const handlers = {};
+
+  // 一問ごとの計測（描画には使わない）
+  let practice = freshPractice(neededFor(null));
+  let practiceActive = false; // reveal の二重実行防止
+  let askId = 0; // ask() ごとに増やす。古い読み上げのコールバックを無視するため
+  let timer = null;
+  let wantListening = false; // 練習中は認識が終わっても再開する
+  let recognizerFactory = createRecognizer;
+  let rec = null;
+  let recLang = null;
+  let vad = { speaking: false, lastSpeechAt: null };
+  let lastTarget = null; // 'mixed' で交互にするため
+
+  function freshPractice(needed) {
+    return {
+      transcript: "", // この問題で確定した認識結果をつなげたもの
+      startAt: null, // 認識開始時刻
+      firstAnswerAt: null, // 最初に答えを検出した時刻
+      grades: Object.fromEntries(Object.keys(needed).map(k => [k, null])), // target ごとの最良の採点結果
+      opposite: null, // 指定と逆の答えを言ったときの採点結果
+      resultTimes: [], // 発話中の認識結果の到着時刻
+      ttsEndAt: null, // 質問の読み上げが終わった時刻
+      voiceOnsetAt: null, // 読み上げ後、最初に声が出た時刻
+      extendedMs: 0, // 話し続けていたため延長した時間
+    };
+  }
+
+  function setState(patch) {
+    state = { ...state, ...patch };
+    listeners.forEach(fn => fn());
+  }
+
+  function emit(type, payload) {
+    handlers[type]?.forEach(fn => fn(payload));
+  }
+
+  function current() {
+    return currentItem(items, state);
+  }
+
+  function currentLang() {
+    return itemLang(current(), config.defaultLang);
+  }
+
+  // === Recognition ===
+  // 認識ロケールは問題の言語に合わせる。変わったら作り直す。
+  function recognizer() {
+    const locale = getLanguagePack(currentLang()).locale;
+    if (rec && recLang === locale) return rec;
+    disposeRecognizer();
+    if (!recognizerFactory) return null;
+    recLang = locale;
+    // 作り直した後に古いインスタンスから届くイベントは無視する
+    const instance = recognizerFactory({
+      lang: locale,
+      onResult: (result) => { if (rec === instance) handleResult(result); },
+      onError: (err) => { if (rec === instance) handleError(err); },
+      onEnd: () => { if (rec === instance) handleEnd(instance); },
+    });
+    rec = instance;
+    return rec;
+  }
+
+  function disposeRecognizer() {
+    const old = rec;
+    rec = null; recLang = null;
+    try { old?.abort(); } catch { /* not started */ }
+  }
+
+  function handleError(err) {
+    console.warn("recognition error", err);
+    emit("error", err);
+  }
+
+  function handleEnd(r) {
+    setState({ listening: false });
+    emit("end", { restart: wantListening });
+    if (!wantListening) return;
+    clock.setTimeout(() => {
+      if (!wantListening || rec !== r) return;
+      try { r.start(); setState({ listening: true }); } catch (e) { console.warn("recognition restart failed", e); }
+    }, RESTART_DELAY_MS);
+  }
+
+  function handleResult({ transcript: txt, isFinal, confidence, alternatives }) {
+    const now = clock.now();
+    practice.resultTimes.push(now);
+    setState({ recognized: txt });
+    emit("result", { transcript: txt, isFinal, confidence, lang: currentLang() });
+    if (!isFinal) return;
+    // 音声コマンドは採点に回さない
+    const action = parseVoiceCommand(txt);
+    if (action) {
+      practice.resultTimes = [];
+      emit("command", { action, text: txt, at: now });
+      return;
+    }
+    if (!practiceActive) return; // 答え合わせ後に届いた結果は数えない
+    practice.transcript = practice.transcript ? `${practice.transcript} / ${txt}` : txt;
+    const utterance = { transcript: txt, confidence, alternatives, resultTimes: practice.resultTimes };
+    practice.resultTimes = [];
+    const item = current();
+    const grade = { ...gradeResponse(txt, item, currentLang()), utterance };
+    const key = grade.target;
+    if (state.target && key && key !== state.target) {
+      // 指定と逆の答えは間違い。言い直しは待たずに答え合わせ
+      practice.opposite = grade;
+      if (practice.firstAnswerAt == null) practice.firstAnswerAt = now;
+      reveal();
+      return;
+    }
+    if (!key || !(key in state.needed)) return;
+    practice.grades = { ...practice.grades, [key]: betterGrade(practice.grades[key], grade) };
+    if (practice.firstAnswerAt == null) practice.firstAnswerAt = now;
+    if (!completesTarget(item, grade)) return; // 言い直しを待つ
+    const needed = { ...state.needed, [key]: false };
+    setState({ needed });
+    if (Object.values(needed).every(v => !v)) reveal(); // 全部言えたら即リビール
+  }
+
+  function startListening() {
+    const r = recognizer();
+    try { r?.stop(); } catch { /* not started */ }
+    wantListening = true;
+    try { r?.start(); setState({ listening: !!r }); } catch (e) { console.warn("recognition start failed", e); setState({ listening: false }); }
+    if (practice.startAt == null) practice.startAt = clock.now();
+    emit("listen", { item: current() });
+  }
+
+  function stopListening(abort = false) {
+    wantListening = false;
+    try { abort ? rec?.abort() : rec?.stop(); } catch { /* not started */ }
+  }
+
+  // 読み上げが終わってから認識と制限時間を始める
+  function beginAnswering(token) {
+    practice.ttsEndAt = clock.now();
+    clock.setTimeout(() => { if (askId === token && practiceActive) startListening(); }, LISTEN_DELAY_MS);
+    startTimer(config.practiceSec * 1000);
+  }
+
+  function startTimer(ms) {
+    clock.clearTimeout(timer);
+    timer = clock.setTimeout(onPracticeTimeout, ms);
+  }
+
+  // 時間切れでも話している途中なら少しずつ延長する
+  function onPracticeTimeout() {
+    const recentlySpoke = vad.lastSpeechAt != null && clock.now() - vad.lastSpeechAt < 400;
+    if ((vad.speaking || recentlySpoke) && practice.extendedMs < MAX_EXTEND_MS) {
+      practice.extendedMs += EXTEND_STEP_MS;
+      timer = clock.setTimeout(onPracticeTimeout, EXTEND_STEP_MS);
+      return;
+    }
+    reveal();
+  }
+
+  function resetPractice(target = null) {
+    const needed = target ? { [target]: true } : neededFor(current());
+    practice = freshPractice(needed);
+    setState({ needed, target, recognized: "" });
+  }
+
+  // この問題で言うべき答え（yes/no で答える問題だけ）
+  function pickTarget(item) {
+    const mode = config.targetMode;
+    if (!isPolar(item) || !TARGET_MODES.includes(mode) || mode === "both") return null;
+    if (mode !== "mixed") return mode;
+    lastTarget = lastTarget === "yes" ? "no" : "yes";
+    return lastTarget;
+  }
+
+  // 質問（と指定した答え）を読み上げてから done
+  function speakQuestion(token, rate, done) {
+    const options = { lang: currentLang(), rate, pitch: config.pitch };
+    tts.speak(current()?.question || "", options, () => {
+      if (askId !== token) return; // スキップ・一時停止済みなら何もしない
+      if (state.target && config.speakTarget) tts.speak(targetCue(state.target, options.lang), options, done);
+      else done();
+    });
+  }
+
+  // === Practice flow ===
+  function ask() {
+    const item = current();
+    if (!item) return;
+    clock.clearTimeout(timer);
+    stopListening(true);
+    emit("discard"); // 前の問題の録音が残っていれば破棄
+    resetPractice(pickTarget(item));
+    practiceActive = true;
+    const token = ++askId;
+    setState({ phase: "practice", paused: false });
+    if (config.useTTS && tts) {
+      speakQuestion(token, config.rate, () => {
+        if (askId === token) beginAnswering(token);
+      });
+    } else {
+      practice.ttsEndAt = clock.now();
+      startListening();
+      startTimer(config.practiceSec * 1000);
+    }
+  }
+
+  // 練習中に質問だけ読み直す（回答状況はそのまま）
+  function repeat(rate = config.rate) {
+    if (!practiceActive) { ask(); return; }
+    const token = askId;
+    clock.clearTimeout(timer);
+    stopListening();
+    practice.ttsEndAt = null;
+    const resume = () => {
+      if (askId !== token || !practiceActive) return;
+      practice.extendedMs = 0;
+      beginAnswering(token);
+    };
+    if (tts) speakQuestion(token, rate, resume);
+    else resume();
+  }
+
+  function reveal() {
+    if (!practiceActive) return;
+    practiceActive = false;
+    clock.clearTimeout(timer);
+    stopListening();
+    setState({ phase: "reveal" });
+    const token = askId;
+    const item = current();
+    const lang = currentLang();
+    const pack = getLanguagePack(lang);
+    let attempt = null;
+    if (item) {
+      const { grades, opposite, startAt, firstAnswerAt, ttsEndAt, voiceOnsetAt } = practice;
+      const samples = Object.fromEntries(Object.entries(expectedAnswers(item, grades)).filter(([k]) => k in state.needed));
+      const fluency = scoreAttempt(grades, samples, pack.spaceless);
+      const mapTargets = (fn) => Object.fromEntries(Object.keys(state.needed).map(k => [k, fn(k)]));
+      attempt = {
+        itemId: item.id,
+        type: itemType(item),
+        topic: topicOf(item),
+        lang,
+        ts: clock.now(),
+        sessionId: state.session ? state.session.id : null,
+        target: state.target,
+        opposite: opposite ? opposite.said : null, // 指定と逆に答えたときの発話
+        detected: mapTargets(k => !state.needed[k]),
+        grades: mapTargets(k => grades[k]?.result || null),
+        transcript: practice.transcript,
+        firstAnswerMs: (startAt != null && firstAnswerAt != null) ? Math.max(0, firstAnswerAt - startAt) : null,
+        // 読み上げ終了 → 声が出るまで（VAD）
+        latencyMs: (ttsEndAt != null && voiceOnsetAt != null) ? voiceOnsetAt - ttsEndAt : null,
+        fluency: { score: fluency.score, wpm: fluency.wpm, hesitations: fluency.hesitations, ...fluency.components },
+      };
+      emit("attempt", { attempt, item, grades, opposite, fluency, grade: gradeFromNeeded(state.needed, grades) });
+    }
+    const answer = `${pack.answerLabel}: ${state.target ? expectedAnswers(item)[state.target] : answerText(item)}`;
+    const speakAnswer = () => {
+      if (askId !== token) return; // 答え合わせ中にスキップ・移動済み
+      if (config.useTTS && tts) tts.speak(answer, { lang, rate: config.rate, pitch: config.pitch }, () => { if (askId === token) goNext(); });
+      else goNext();
+    };
+    const wait = beforeAnswer?.(attempt);
+    if (wait && typeof wait.then === "function") wait.then(speakAnswer, speakAnswer);
+    else speakAnswer();
+  }
+
+  // 練習中の問題を記録せずに打ち切る（スキップ・一時停止・前へ）
+  function abortPractice() {
+    askId++;
+    practiceActive = false;
+    clock.clearTimeout(timer);
+    stopListening(true);
+    emit("discard");
+    tts?.cancel();
+    setState({ phase: "idle" });
+  }
+
+  function skip() {
+    abortPractice();
+    goNext();
+  }
+
+  // 記録せずに止めてセッションも終える（学習者の切り替えなど）。再開は togglePause で
+  function stop() {
+    abortPractice();
+    setState({ paused: true, session: null });
+  }
+
+  function previous() {
+    abortPractice();
+    const { session } = state;
+    if (session) {
+      if (session.cursor > 0) setState({ session: { ...session, cursor: session.cursor - 1 } });
+    } else {
+      const view = viewItems(items, state);
+      if (!view.length) return;
+      setState({ index: (state.index - 1 + view.length) % view.length });
+    }
+    advance();
+  }
+
+  function togglePause() {
+    if (state.paused) { ask(); return; }
+    setState({ paused: true });
+    abortPractice();
+  }
+
+  function advance() {
+    resetPractice();
+    if (!state.paused) ask();
+  }
+
+  function goNext() {
+    const { session } = state;
+    // セッションあり：カーソルを進める
+    if (session) {
+      const next = session.cursor + 1;
+      if (next < session.ids.length) {
+        setState({ session: { ...session, cursor: next } });
+        advance();
+      } else {
+        setState({ phase: "idle", session: null });
+        emit("sessionEnd", { sessionId: session.id });
+      }
+      return;
+    }
+    // セッションなし：通常モードで前進
+    const view = viewItems(items, state);
+    if (!view.length) return;
+    let index = (state.index + 1) % view.length;
+    if (config.random) {
+      const currentId = current()?.id ?? null;
+      index = Math.floor(random() * view.length);
+      for (let guard = 0; view.length > 1 && view[index]?.id === currentId && guard < 10; guard++) {
+        index = Math.floor(random() * view.length);
+      }
+    }
+    setState({ index });
+    advance();
+  }
+
+  // === Sessions ===
+  function startSession(ids) {
+    if (!ids.length) return null;
+    const id = clock.now();
+    setState({ session: { ids, cursor: 0, id } });
+    advance();
+    return id;
+  }
+
+  // 期限切れ・未学習を優先して count 問
+  function buildSession(count = 10, schedule = {}) {
+    const unique = Array.from(new Set(topicPool(items, state.topic).map(it => it.id)));
+    const ordered = orderBySchedule(unique, schedule, clock.now());
+    return startSession(ordered.slice(0, count));
+  }
+
+  function selectTopic(topic) {
+    setState({ topic, session: null, index: 0 });
+  }
+
+  // VAD の毎フレームの結果: 応答までの時間の計測と、無音による早期終了
+  function handleVoice(ev, { speaking, lastSpeechAt }, now = clock.now()) {
+    vad = { speaking, lastSpeechAt };
+    if (!practiceActive || practice.ttsEndAt == null) return;
+    if (ev?.type === "onset" && ev.at >= practice.ttsEndAt && practice.voiceOnsetAt == null) {
+      practice.voiceOnsetAt = ev.at;
+    }
+    if (config.autoEndOnSilence && practice.voiceOnsetAt != null && !speaking
+        && lastSpeechAt != null && now - lastSpeechAt > config.silenceSec * 1000) {
+      reveal();
+    }
+  }
+
+  return {
+    getState: () => state,
+    subscribe(fn) { listeners.add(fn); return () => listeners.delete(fn); },
+    on(type, fn) {
+      if (!handlers[type]) handlers[type] = new Set();
+      handlers[type].add(fn);
+      return () => handlers[type].delete(fn);
+    },
+    current,
+    setItems(list) { items = list; },
+    configure(patch) { config = { ...config, ...patch }; },
+    setRecognizerFactory(factory) {
+      recognizerFactory = factory;
+      disposeRecognizer();
+      if (wantListening) startListening();
+    },
+    ask,
+    repeat,
+    reveal,
+    skip,
+    stop,
+    previous,
+    togglePause,
+    startSession,
+    buildSession,
+    selectTopic,
+    handleVoice,
+    dispose() {
+      if (practiceActive) abortPractice();
+      disposeRecognizer();
+    },
+  };
+}
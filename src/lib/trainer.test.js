@@ -0,0 +1,487 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from "vitest";
+import { createTrainer, currentItem } from "./trainer.js";
+import { createFakeClock, createFakeTts, createFakeRecognition } from "./testFakes.js";
+import httpEndpoint from "./recognition/httpEndpoint.js";
+
+const ITEMS = [
+  { id: 1, topic: "Daily Life", question: "Do you like coffee?", yesSample: "Yes, I do.", noSample: "No, I don't." },
+  { id: 2, topic: "Abilities", question: "Can you swim?", yesSample: "Yes, I can.", noSample: "No, I can't." },
+  { id: 3, topic: "Abilities", question: "Can you cook?", yesSample: "Yes, I can.", noSample: "No, I can't." },
+];
+
+function setup({ tts = null, settings = {}, beforeAnswer = null } = {}) {
+  const clock = createFakeClock();
+  const recognition = createFakeRecognition();
+  const trainer = createTrainer({
+    clock,
+    tts,
+    createRecognizer: recognition.factory,
+    beforeAnswer,
+    settings: { random: false, ...settings },
+  });
+  trainer.setItems(ITEMS);
+  const events = { attempt: [], discard: 0, sessionEnd: [], command: [], listen: 0 };
+  trainer.on("attempt", e => events.attempt.push(e));
+  trainer.on("discard", () => { events.discard++; });
+  trainer.on("sessionEnd", e => events.sessionEnd.push(e));
+  trainer.on("command", e => events.command.push(e));
+  trainer.on("listen", () => { events.listen++; });
+  return { clock, recognition, trainer, events, tts };
+}
+
+describe("session flow", () => {
+  it("walks through every question and reports the end of the session", () => {
+    const { trainer, recognition, clock, events } = setup({ settings: { useTTS: false } });
+    const sessionId = trainer.startSession([1, 2, 3]);
+
+    expect(trainer.getState().phase).toBe("practice");
+    expect(trainer.current().id).toBe(1);
+    recognition.last.say("Yes, I do.");
+    recognition.last.say("No, I don't.");
+
+    // 両方言えたので即答え合わせ → TTS なしなのでそのまま次の問題
+    expect(events.attempt).toHaveLength(1);
+    expect(events.attempt[0].attempt).toMatchObject({ itemId: 1, sessionId, detected: { yes: true, no: true } });
+    expect(events.attempt[0].grade).toBe("good");
+    expect(trainer.getState().session.cursor).toBe(1);
+    expect(trainer.current().id).toBe(2);
+
+    clock.advance(8000);
+    expect(events.attempt[1].attempt).toMatchObject({ itemId: 2, detected: { yes: false, no: false } });
+    expect(events.attempt[1].grade).toBe("again");
+    clock.advance(8000);
+
+    expect(events.attempt.map(e => e.attempt.itemId)).toEqual([1, 2, 3]);
+    expect(events.sessionEnd).toEqual([{ sessionId }]);
+    expect(trainer.getState()).toMatchObject({ phase: "idle", session: null });
+  });
+
+  it("builds sessions from due items first, then new ones", () => {
+    const { trainer, clock } = setup({ settings: { useTTS: false } });
+    const schedule = {
+      1: { due: clock.now() + 86_400_000 },
+      3: { due: clock.now() - 1000 },
+    };
+    trainer.buildSession(2, schedule);
+    expect(trainer.getState().session.ids).toEqual([3, 2]);
+  });
+
+  it("limits sessions to the selected topic", () => {
+    const { trainer } = setup({ settings: { useTTS: false } });
+    trainer.selectTopic("Abilities");
+    trainer.buildSession(10, {});
+    expect(trainer.getState().session.ids.sort()).toEqual([2, 3]);
+  });
+
+  it("goes back to the previous question without recording an attempt", () => {
+    const { trainer, events } = setup({ settings: { useTTS: false } });
+    trainer.startSession([1, 2]);
+    trainer.skip();
+    expect(trainer.current().id).toBe(2);
+    trainer.previous();
+    expect(trainer.current().id).toBe(1);
+    expect(trainer.getState().phase).toBe("practice");
+    expect(events.attempt).toHaveLength(0);
+  });
+
+  it("advances in order outside sessions when random is off", () => {
+    const { trainer } = setup({ settings: { useTTS: false } });
+    trainer.ask();
+    trainer.skip();
+    expect(trainer.current().id).toBe(2);
+    trainer.skip();
+    trainer.skip();
+    expect(trainer.current().id).toBe(1);
+  });
+
+  it("exposes the current item as a pure function of items and state", () => {
+    const state = { topic: "All", index: 2, session: null };
+    expect(currentItem(ITEMS, state).id).toBe(3);
+    expect(currentItem(ITEMS, { ...state, session: { ids: [2, 1], cursor: 1, id: 1 } }).id).toBe(1);
+  });
+});
+
+describe("timeouts", () => {
+  let ctx;
+  beforeEach(() => { ctx = setup({ tts: createFakeTts(), settings: { practiceSec: 8 } }); });
+
+  it("waits for the question to be read before listening and timing", () => {
+    const { trainer, recognition, clock, tts, events } = ctx;
+    trainer.ask();
+    expect(tts.spoken).toEqual(["Do you like coffee?"]);
+    clock.advance(20_000);
+    expect(events.attempt).toHaveLength(0);
+    expect(recognition.instances).toHaveLength(0);
+
+    tts.finish();
+    clock.advance(200);
+    expect(recognition.last.running).toBe(true);
+    expect(events.listen).toBe(1);
+    clock.advance(7799);
+    expect(trainer.getState().phase).toBe("practice");
+    clock.advance(1);
+    expect(trainer.getState().phase).toBe("reveal");
+    expect(events.attempt).toHaveLength(1);
+    expect(recognition.last.running).toBe(false);
+  });
+
+  it("reads the answer after revealing, then moves on", () => {
+    const { trainer, clock, tts } = ctx;
+    trainer.ask();
+    tts.finish();
+    clock.advance(8000);
+    expect(tts.spoken[1]).toBe("Answer: Yes, I do. / No, I don't.");
+    tts.finish();
+    expect(trainer.getState().phase).toBe("practice");
+    expect(tts.spoken[2]).toBe("Can you swim?");
+  });
+
+  it("extends the time limit while the learner is still speaking", () => {
+    const { trainer, clock, tts } = ctx;
+    trainer.ask();
+    tts.finish();
+    clock.advance(7000);
+    trainer.handleVoice({ type: "onset", at: clock.now() }, { speaking: true, lastSpeechAt: clock.now() });
+    clock.advance(1000);
+    expect(trainer.getState().phase).toBe("practice");
+    trainer.handleVoice({ type: "offset", at: clock.now() }, { speaking: false, lastSpeechAt: clock.now() });
+    clock.advance(1000);
+    expect(trainer.getState().phase).toBe("reveal");
+  });
+
+  it("stops extending after the maximum", () => {
+    const { trainer, clock, tts } = ctx;
+    trainer.configure({ autoEndOnSilence: false });
+    trainer.ask();
+    tts.finish();
+    trainer.handleVoice({ type: "onset", at: clock.now() }, { speaking: true, lastSpeechAt: clock.now() });
+    clock.advance(8000 + 4999);
+    expect(trainer.getState().phase).toBe("practice");
+    clock.advance(1000);
+    expect(trainer.getState().phase).toBe("reveal");
+  });
+
+  it("keeps the recognizer running until time is up", () => {
+    const { trainer, recognition, clock, tts } = ctx;
+    trainer.ask();
+    tts.finish();
+    clock.advance(200);
+    const rec = recognition.last;
+    rec.stop(); // ブラウザ側で認識が切れた
+    clock.advance(100);
+    expect(rec.running).toBe(true);
+    expect(rec.starts).toBe(2);
+    expect(trainer.getState().listening).toBe(true);
+  });
+});
+
+describe("early reveal", () => {
+  it("reveals as soon as both answers are heard, exactly once", () => {
+    const tts = createFakeTts();
+    const { trainer, recognition, clock, events } = setup({ tts });
+    trainer.ask();
+    tts.finish();
+    clock.advance(500);
+    recognition.last.say("Yes, I do.");
+    expect(trainer.getState().needed).toEqual({ yes: false, no: true });
+    recognition.last.say("No, I don't.");
+    expect(trainer.getState().phase).toBe("reveal");
+    expect(events.attempt).toHaveLength(1);
+    expect(events.attempt[0].attempt.grades).toEqual({ yes: "correct", no: "correct" });
+    expect(events.attempt[0].attempt.firstAnswerMs).toBe(300);
+
+    // 取り消した時間切れタイマーや遅れて届いた結果では二重に記録しない
+    recognition.last.say("Yes, I do.");
+    clock.advance(20_000);
+    expect(events.attempt).toHaveLength(1);
+  });
+
+  it("reveals early after the learner stops speaking", () => {
+    const tts = createFakeTts();
+    const { trainer, clock, events } = setup({ tts, settings: { silenceSec: 2 } });
+    trainer.ask();
+    tts.finish();
+    clock.advance(600);
+    trainer.handleVoice({ type: "onset", at: clock.now() }, { speaking: true, lastSpeechAt: clock.now() });
+    clock.advance(1000);
+    const spokeAt = clock.now();
+    trainer.handleVoice({ type: "offset", at: spokeAt }, { speaking: false, lastSpeechAt: spokeAt });
+    clock.advance(2000);
+    trainer.handleVoice(null, { speaking: false, lastSpeechAt: spokeAt });
+    expect(trainer.getState().phase).toBe("practice");
+    clock.advance(1);
+    trainer.handleVoice(null, { speaking: false, lastSpeechAt: spokeAt });
+    expect(trainer.getState().phase).toBe("reveal");
+    expect(events.attempt[0].attempt.latencyMs).toBe(600);
+  });
+
+  it("measures latency from the end of the question to the first onset only", () => {
+    const tts = createFakeTts();
+    const { trainer, clock, events } = setup({ tts, settings: { autoEndOnSilence: false } });
+    const onset = (at) => trainer.handleVoice({ type: "onset", at }, { speaking: true, lastSpeechAt: clock.now() });
+    trainer.ask();
+    onset(clock.now()); // 読み上げ中の声は数えない
+    clock.advance(100);
+    tts.finish();
+    const endAt = clock.now();
+    onset(endAt - 50); // 読み上げの終わりに重なった声も数えない
+    clock.advance(450);
+    onset(clock.now());
+    clock.advance(300);
+    onset(clock.now()); // 2 回目以降の発話は無視
+    clock.advance(20_000);
+    expect(events.attempt[0].attempt.latencyMs).toBe(450);
+
+    tts.finish();
+    tts.finish();
+    onset(clock.now()); // 読み上げ終了と同時 → 0
+    clock.advance(20_000);
+    expect(events.attempt[1].attempt.latencyMs).toBe(0);
+
+    tts.finish();
+    tts.finish();
+    clock.advance(20_000);
+    expect(events.attempt[2].attempt.latencyMs).toBe(null); // 声が出なかった
+  });
+
+  it("waits for beforeAnswer before reading the answer", async () => {
+    const tts = createFakeTts();
+    let release;
+    const gate = new Promise(resolve => { release = resolve; });
+    const { trainer, recognition, clock } = setup({ tts, beforeAnswer: () => gate });
+    trainer.ask();
+    tts.finish();
+    clock.advance(200);
+    recognition.last.say("Yes, I do.");
+    recognition.last.say("No, I don't.");
+    expect(tts.spoken).toHaveLength(1);
+    release();
+    await gate;
+    await Promise.resolve();
+    expect(tts.spoken[1]).toMatch(/^Answer:/);
+  });
+});
+
+describe("interruptions", () => {
+  it("ignores the read-aloud callback of a skipped question", () => {
+    const tts = createFakeTts();
+    const { trainer, clock, events } = setup({ tts });
+    trainer.ask();
+    trainer.skip(); // 読み上げ途中でスキップ → cancel で古い onend が呼ばれる
+    expect(events.discard).toBeGreaterThan(0);
+    expect(trainer.current().id).toBe(2);
+    clock.advance(8000);
+    expect(events.attempt).toHaveLength(0); // 新しい問題はまだ読み上げ中
+    expect(events.listen).toBe(0);
+  });
+
+  it("skipping during the answer moves on immediately", () => {
+    const tts = createFakeTts();
+    const { trainer, clock, events } = setup({ tts });
+    trainer.ask();
+    tts.finish();
+    clock.advance(8000);
+    expect(trainer.getState().phase).toBe("reveal");
+    trainer.skip();
+    expect(trainer.current().id).toBe(2);
+    expect(trainer.getState().phase).toBe("practice");
+    expect(events.attempt).toHaveLength(1);
+  });
+
+  it("pauses without recording and resumes on the same question", () => {
+    const { trainer, clock, events } = setup({ settings: { useTTS: false } });
+    trainer.ask();
+    trainer.togglePause();
+    expect(trainer.getState()).toMatchObject({ paused: true, phase: "idle" });
+    clock.advance(60_000);
+    expect(events.attempt).toHaveLength(0);
+    trainer.togglePause();
+    expect(trainer.getState()).toMatchObject({ paused: false, phase: "practice" });
+    expect(trainer.current().id).toBe(1);
+  });
+
+  it("stops the session without recording when the learner changes", () => {
+    const { trainer, clock, events } = setup({ settings: { useTTS: false } });
+    trainer.startSession([1, 2]);
+    trainer.stop();
+    expect(trainer.getState()).toMatchObject({ paused: true, phase: "idle", session: null });
+    clock.advance(60_000);
+    expect(events.attempt).toHaveLength(0);
+    expect(events.sessionEnd).toHaveLength(0);
+  });
+
+  it("passes voice commands through without grading them", () => {
+    const { trainer, recognition, events } = setup({ settings: { useTTS: false } });
+    trainer.ask();
+    recognition.last.say("next");
+    expect(events.command).toHaveLength(1);
+    expect(events.command[0].action).toBe("skip");
+    expect(trainer.getState().needed).toEqual({ yes: true, no: true });
+  });
+});
+
+describe("question types", () => {
+  const MIXED = [
+    { id: 10, type: "wh", question: "Where do you live?", answers: ["I live in Tokyo.", "In Tokyo."] },
+    { id: 11, type: "choice", question: "Tea or coffee?", choices: ["tea", "coffee"] },
+    { id: 12, type: "tag", question: "You're a student, aren't you?", yesSample: "Yes, I am.", noSample: "No, I'm not." },
+  ];
+
+  it("runs different question types in one session", () => {
+    const tts = createFakeTts();
+    const { trainer, recognition, clock, events } = setup({ tts });
+    trainer.setItems(MIXED);
+    trainer.startSession([10, 11, 12]);
+    expect(trainer.getState().needed).toEqual({ answer: true });
+    tts.finish();
+    clock.advance(200);
+
+    recognition.last.say("I live in Osaka.");
+    expect(trainer.getState().phase).toBe("practice"); // 間違いなら言い直しを待つ
+    recognition.last.say("I live in Tokyo.");
+    expect(trainer.getState().phase).toBe("reveal");
+    expect(events.attempt[0].attempt).toMatchObject({ type: "wh", detected: { answer: true }, grades: { answer: "correct" } });
+    expect(events.attempt[0].grade).toBe("good");
+    expect(tts.spoken[1]).toBe("Answer: I live in Tokyo.");
+
+    tts.finish();
+    tts.finish();
+    clock.advance(200);
+    recognition.last.say("Yes.");
+    clock.advance(8000);
+    expect(events.attempt[1].attempt).toMatchObject({ type: "choice", detected: { answer: false }, grades: { answer: "yes_no_to_open" } });
+    expect(events.attempt[1].grade).toBe("again");
+    expect(tts.spoken[3]).toBe("Answer: tea / coffee");
+
+    tts.finish();
+    expect(trainer.getState().needed).toEqual({ yes: true, no: true });
+    tts.finish();
+    clock.advance(200);
+    recognition.last.say("Yes, I am.");
+    recognition.last.say("No, I'm not.");
+    expect(events.attempt[2].attempt).toMatchObject({ type: "tag", grades: { yes: "correct", no: "correct" } });
+  });
+});
+
+describe("target answers", () => {
+  it("asks for one answer, reads it after the question and reveals on it", () => {
+    const tts = createFakeTts();
+    const { trainer, recognition, clock, events } = setup({ tts, settings: { targetMode: "no" } });
+    trainer.ask();
+    expect(trainer.getState()).toMatchObject({ target: "no", needed: { no: true } });
+    tts.finish();
+    expect(tts.spoken).toEqual(["Do you like coffee?", "Answer: no"]);
+    tts.finish();
+    clock.advance(200);
+    recognition.last.say("No, I don't.");
+    expect(trainer.getState().phase).toBe("reveal");
+    expect(events.attempt[0].attempt).toMatchObject({ target: "no", opposite: null, detected: { no: true }, grades: { no: "correct" } });
+    expect(events.attempt[0].grade).toBe("good");
+    expect(tts.spoken[2]).toBe("Answer: No, I don't.");
+  });
+
+  it("counts the opposite answer as a mistake", () => {
+    const { trainer, recognition, events } = setup({ settings: { useTTS: false, targetMode: "yes" } });
+    trainer.ask();
+    recognition.last.say("No, I don't.");
+    expect(events.attempt).toHaveLength(1); // 言い直しは待たない
+    expect(events.attempt[0].attempt).toMatchObject({ target: "yes", opposite: "No, I don't.", detected: { yes: false }, grades: { yes: null } });
+    expect(events.attempt[0].opposite).toMatchObject({ target: "no" });
+    expect(events.attempt[0].grade).toBe("again");
+  });
+
+  it("alternates in mixed mode and leaves open questions alone", () => {
+    const { trainer, clock } = setup({ settings: { useTTS: false, targetMode: "mixed", speakTarget: false } });
+    trainer.setItems([...ITEMS, { id: 4, type: "wh", question: "Where do you live?", answers: ["I live in Tokyo."] }]);
+    const targets = [];
+    trainer.startSession([1, 2, 4, 3]);
+    for (let i = 0; i < 4; i++) {
+      targets.push(trainer.getState().target);
+      clock.advance(8000);
+    }
+    expect(targets).toEqual(["yes", "no", null, "yes"]);
+  });
+});
+
+describe("diagnostics events", () => {
+  it("reports every recognition result and the end of listening", () => {
+    const { trainer, recognition, clock } = setup({ settings: { useTTS: false } });
+    const results = [], ends = [];
+    trainer.on("result", r => results.push(r));
+    trainer.on("end", e => ends.push(e));
+    trainer.ask();
+    recognition.last.say("Yes I", false);
+    recognition.last.say("next"); // コマンドも記録する
+    expect(results).toEqual([
+      { transcript: "Yes I", isFinal: false, confidence: 0.9, lang: "en" },
+      { transcript: "next", isFinal: true, confidence: 0.9, lang: "en" },
+    ]);
+    trainer.stop();
+    clock.advance(1000);
+    expect(ends).toEqual([{ restart: false }]);
+  });
+});
+
+describe("recognition settings", () => {
+  // httpEndpoint backend をブラウザ API の代わりの最小限の偽物で動かす
+  function stubBrowser(urls) {
+    let frame = null;
+    class FakeRecorder {
+      constructor() { this.state = "inactive"; this.mimeType = "audio/webm"; }
+      start() { this.state = "recording"; }
+      stop() {
+        this.state = "inactive";
+        this.ondataavailable({ data: new Blob(["x"]) });
+        this.onstop();
+      }
+    }
+    class FakeAudioContext {
+      createAnalyser() { return { fftSize: 0, getByteTimeDomainData: data => data.fill(255) }; }
+      createMediaStreamSource() { return { connect() {} }; }
+      close() {}
+    }
+    vi.stubGlobal("window", { MediaRecorder: FakeRecorder, AudioContext: FakeAudioContext });
+    vi.stubGlobal("requestAnimationFrame", fn => { frame = fn; return 1; });
+    vi.stubGlobal("cancelAnimationFrame", () => { frame = null; });
+    vi.stubGlobal("fetch", async (url) => {
+      urls.push(url);
+      return { ok: true, headers: { get: () => "application/json" }, json: async () => ({ text: "hmm" }) };
+    });
+    return { speak: () => frame?.() }; // 大きな音を 1 フレーム
+  }
+
+  afterEach(() => vi.unstubAllGlobals());
+
+  it("uses a changed HTTP endpoint on the next start without recreating the recognizer", async () => {
+    const urls = [];
+    const browser = stubBrowser(urls);
+    const settings = { httpEndpoint: "http://localhost:8080/a" };
+    const instances = [];
+    const clock = createFakeClock();
+    const trainer = createTrainer({
+      clock,
+      createRecognizer: (options) => {
+        const rec = httpEndpoint.create({ ...options, getSettings: () => settings, getStream: () => ({}) });
+        instances.push(rec);
+        return rec;
+      },
+      settings: { random: false, useTTS: false },
+    });
+    trainer.setItems(ITEMS);
+    const flush = () => new Promise(resolve => setTimeout(resolve, 0));
+
+    trainer.ask();
+    browser.speak();
+    settings.httpEndpoint = "http://localhost:8080/b";
+    instances[0].stop(); // 区間を送信して終了 → trainer が同じ認識を再開する
+    await flush();
+    clock.advance(1000);
+    browser.speak();
+    instances[0].stop();
+    await flush();
+
+    expect(instances).toHaveLength(1);
+    expect(urls).toEqual(["http://localhost:8080/a", "http://localhost:8080/b"]);
+    trainer.stop();
+  });
+});
@@ -0,0 +1,29 @@
+// ====== Text to speech (speechSynthesis) ======
+// trainer に渡す TTS は { speak(text, { lang, rate, pitch }, onend), cancel() } の形。
+
+export function speak(text, voice, rate = 1, pitch = 1, onend) {
+  try {
+    const utter = new SpeechSynthesisUtterance(text);
+    if (voice) utter.voice = voice;
+    utter.rate = rate; utter.pitch = pitch;
+    if (onend) {
+      utter.onend = () => { try { onend(); } catch (e) { console.warn(e); } };
+      utter.onerror = () => { try { onend(); } catch (e) { console.warn(e); } };
+    }
+    speechSynthesis.cancel();
+    speechSynthesis.speak(utter);
+    return utter;
+  } catch (e) { console.warn(e); }
+}
+
+export function cancelSpeech() {
+  try { speechSynthesis.cancel(); } catch { /* no TTS */ }
+}
+
+// voiceFor(lang) で言語ごとの声を選ぶ
+export function createBrowserTts(voiceFor = () => null) {
+  return {
+    speak: (text, { lang, rate = 1, pitch = 1 } = {}, onend) => speak(text, voiceFor(lang), rate, pitch, onend),
+    cancel: cancelSpeech,
+  };
+}
@@ -0,0 +1,42 @@
+// ====== Undo / redo ======
+// スクリプト一覧の編集（問題の編集・追加・削除・インポート・一括操作・デッキの操作）を
+// 変更前の decks 全体で戻す。decks は変更のたびに新しく作るので、前の値をそのまま持っておけばよい。
+// 履歴は保存しない（再読み込みで消える。長い期間の巻き戻しは BackupDialog のスナップショットで）。
+//   history = { past: [{ decks, label, key, at }], future: [{ decks, label }] }
+
+export const MAX_UNDO = 100;
+const COALESCE_MS = 1000; // 同じ欄への入力がこれより短い間隔で続いたら 1 回の変更にまとめる
+
+export const EMPTY_UNDO = { past: [], future: [] };
+
+// 変更前の decks を記録する。label は表示用（editor.undoLabels.<label>）、
+// key が直前と同じ変更（1 文字ずつの入力など）は最初の状態だけ残してまとめる
+export function recordChange(history, before, { label = "edit", key = null, now = Date.now() } = {}) {
+  const last = history.past[history.past.length - 1];
+  if (key && last?.key === key && now - last.at < COALESCE_MS) {
+    return { past: [...history.past.slice(0, -1), { ...last, at: now }], future: [] };
+  }
+  const past = [...history.past, { decks: before, label, key, at: now }];
+  return { past: past.slice(-MAX_UNDO), future: [] };
+}
+
+// 戻せなければ null。戻り値: { history, decks, label }
+export function undo(history, present) {
+  const last = history.past[history.past.length - 1];
+  if (!last) return null;
+  return {
+    history: { past: history.past.slice(0, -1), future: [...history.future, { decks: present, label: last.label }] },
+    decks: last.decks,
+    label: last.label,
+  };
+}
+
+export function redo(history, present) {
+  const next = history.future[history.future.length - 1];
+  if (!next) return null;
+  return {
+    history: { past: [...history.past, { decks: present, label: next.label, key: null, at: 0 }], future: history.future.slice(0, -1) },
+    decks: next.decks,
+    label: next.label,
+  };
+}
@@ -0,0 +1,50 @@
+import { describe, it, expect } from "vitest";
+import { EMPTY_UNDO, MAX_UNDO, recordChange, undo, redo } from "./undo.js";
+
+const v1 = [{ id: 1, name: "A", items: [] }];
+const v2 = [{ id: 1, name: "B", items: [] }];
+const v3 = [{ id: 1, name: "C", items: [] }];
+
+describe("undo history", () => {
+  it("undoes and redoes changes in order", () => {
+    let h = recordChange(EMPTY_UNDO, v1, { label: "edit", now: 0 });
+    h = recordChange(h, v2, { label: "delete", now: 5000 });
+    let r = undo(h, v3);
+    expect(r).toMatchObject({ decks: v2, label: "delete" });
+    r = undo(r.history, r.decks);
+    expect(r.decks).toBe(v1);
+    expect(undo(r.history, r.decks)).toBe(null);
+
+    r = redo(r.history, r.decks);
+    expect(r.decks).toBe(v2);
+    r = redo(r.history, r.decks);
+    expect(r).toMatchObject({ decks: v3, label: "delete" });
+    expect(redo(r.history, r.decks)).toBe(null);
+  });
+
+  it("drops the redo branch after a new change", () => {
+    const h = recordChange(EMPTY_UNDO, v1, { now: 0 });
+    const r = undo(h, v2);
+    const next = recordChange(r.history, v1, { now: 10 });
+    expect(next.future).toEqual([]);
+    expect(redo(next, v3)).toBe(null);
+  });
+
+  it("merges quick edits to the same field", () => {
+    let h = recordChange(EMPTY_UNDO, v1, { key: "1:question", now: 0 });
+    h = recordChange(h, v2, { key: "1:question", now: 500 });
+    h = recordChange(h, v3, { key: "1:question", now: 1200 });
+    expect(h.past).toHaveLength(1);
+    expect(undo(h, v3).decks).toBe(v1);
+    h = recordChange(h, v3, { key: "1:question", now: 5000 }); // 間が空いたら別の変更
+    h = recordChange(h, v3, { key: "2:question", now: 5100 });
+    expect(h.past).toHaveLength(3);
+  });
+
+  it("keeps at most MAX_UNDO steps", () => {
+    let h = EMPTY_UNDO;
+    for (let i = 0; i < MAX_UNDO + 5; i++) h = recordChange(h, [{ id: 1, name: String(i), items: [] }], { now: i * 2000 });
+    expect(h.past).toHaveLength(MAX_UNDO);
+    expect(h.past[0].decks[0].name).toBe("5");
+  });
+});
@@ -0,0 +1,73 @@
+// ====== Voice activity detection ======
+// attachStream の RMS（フレームごと）から発話の開始・終了を判定する。
+// ノイズフロアは calibrate() 中の平均で初期化し、無音中はゆっくり追従させる。
+
+const DEFAULTS = {
+  onsetMs: 80,        // しきい値を超え続けたら発話開始とみなす時間
+  hangoverMs: 350,    // しきい値を下回り続けたら発話終了とみなす時間
+  ratio: 2.5,         // しきい値 = ノイズフロア × ratio
+  margin: 0.012,      // ノイズフロアがほぼ 0 のときの最低幅
+  minThreshold: 0.02,
+  adaptRate: 0.02,    // 無音中のノイズフロア追従の速さ（EMA 係数）
+};
+
+export function createVad(options = {}) {
+  const o = { ...DEFAULTS, ...options };
+  let noiseFloor = 0.01;
+  let speaking = false;
+  let aboveSince = null, belowSince = null;
+  let lastSpeechAt = null, speechStartAt = null;
+  let calib = null; // { until, sum, n }
+
+  const threshold = () => Math.max(o.minThreshold, noiseFloor * o.ratio, noiseFloor + o.margin);
+
+  return {
+    // durationMs の間は入力を無音とみなしてノイズフロアを測る
+    calibrate(durationMs, now) {
+      calib = { until: now + durationMs, sum: 0, n: 0 };
+    },
+
+    // 1 フレーム分の RMS を入れる。戻り値は { type: 'onset' | 'offset', at } か null
+    update(rms, now) {
+      if (calib) {
+        calib.sum += rms; calib.n++;
+        if (now >= calib.until) {
+          if (calib.n) noiseFloor = calib.sum / calib.n;
+          calib = null;
+        }
+        return null;
+      }
+      const th = threshold();
+      if (!speaking) {
+        if (rms > th) {
+          if (aboveSince == null) aboveSince = now;
+          if (now - aboveSince >= o.onsetMs) {
+            speaking = true; belowSince = null;
+            speechStartAt = aboveSince; lastSpeechAt = now;
+            return { type: "onset", at: aboveSince };
+          }
+        } else {
+          aboveSince = null;
+          noiseFloor += (rms - noiseFloor) * o.adaptRate;
+        }
+        return null;
+      }
+      if (rms > th * 0.8) {
+        belowSince = null; lastSpeechAt = now;
+        return null;
+      }
+      if (belowSince == null) belowSince = now;
+      if (now - belowSince >= o.hangoverMs) {
+        speaking = false; aboveSince = null;
+        return { type: "offset", at: belowSince };
+      }
+      return null;
+    },
+
+    get speaking() { return speaking; },
+    get noiseFloor() { return noiseFloor; },
+    get threshold() { return threshold(); },
+    get lastSpeechAt() { return lastSpeechAt; },
+    get speechStartAt() { return speechStartAt; },
+  };
+}
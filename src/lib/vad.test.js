@@ -0,0 +1,89 @@
+import { describe, it, expect } from "vitest";
+import { createVad } from "./vad.js";
+
+// from から to まで 20ms ごとに同じ RMS を入れ、出てきたイベントを返す
+function feed(vad, rms, from, to) {
+  const events = [];
+  for (let now = from; now <= to; now += 20) {
+    const ev = vad.update(rms, now);
+    if (ev) events.push(ev);
+  }
+  return events;
+}
+
+describe("calibration", () => {
+  it("sets the noise floor to the average while calibrating and reports nothing", () => {
+    const vad = createVad();
+    vad.calibrate(400, 0);
+    expect(feed(vad, 0.03, 0, 180)).toEqual([]);
+    expect(feed(vad, 0.05, 200, 400)).toEqual([]); // 大きな音でも発話にしない
+    expect(vad.noiseFloor).toBeCloseTo((0.03 * 10 + 0.05 * 11) / 21);
+    expect(vad.speaking).toBe(false);
+  });
+
+  it("detects speech again once calibration is over", () => {
+    const vad = createVad();
+    vad.calibrate(100, 0);
+    expect(feed(vad, 0.01, 0, 100)).toEqual([]);
+    expect(feed(vad, 0.1, 120, 200)).toEqual([{ type: "onset", at: 120 }]);
+  });
+});
+
+describe("speech threshold", () => {
+  it("is the noise floor times 2.5, but never below 0.02", () => {
+    const vad = createVad();
+    expect(vad.threshold).toBeCloseTo(0.025); // 初期値 0.01 × 2.5
+    vad.calibrate(0, 0);
+    vad.update(0.004, 0);
+    expect(vad.threshold).toBe(0.02);
+    vad.calibrate(0, 100);
+    vad.update(0.04, 100);
+    expect(vad.threshold).toBeCloseTo(0.1);
+  });
+
+  it("keeps a margin above an almost silent floor", () => {
+    const vad = createVad({ minThreshold: 0 });
+    vad.calibrate(0, 0);
+    vad.update(0.004, 0);
+    expect(vad.threshold).toBeCloseTo(0.016); // 0.004 + 0.012 > 0.004 × 2.5
+  });
+
+  it("does not take the noise of a loud room for speech", () => {
+    const vad = createVad();
+    vad.calibrate(200, 0);
+    feed(vad, 0.04, 0, 200);
+    expect(feed(vad, 0.09, 220, 300)).toEqual([]); // 静かな部屋なら発話だが、しきい値 0.1 の下
+    expect(feed(vad, 0.15, 320, 400)).toEqual([{ type: "onset", at: 320 }]);
+  });
+
+  it("follows the noise floor slowly while silent only", () => {
+    const vad = createVad();
+    vad.update(0.02, 0); // しきい値 0.025 の下
+    expect(vad.noiseFloor).toBeCloseTo(0.01 + (0.02 - 0.01) * 0.02);
+    const floor = vad.noiseFloor;
+    feed(vad, 0.2, 20, 200);
+    expect(vad.speaking).toBe(true);
+    expect(vad.noiseFloor).toBe(floor);
+  });
+});
+
+describe("onset and offset", () => {
+  it("needs 80ms above the threshold to start", () => {
+    const vad = createVad();
+    expect(feed(vad, 0.1, 0, 60)).toEqual([]);
+    vad.update(0, 70); // 途切れたら数え直す
+    expect(feed(vad, 0.1, 100, 160)).toEqual([]);
+    expect(vad.update(0.1, 180)).toEqual({ type: "onset", at: 100 });
+    expect(vad.speechStartAt).toBe(100);
+  });
+
+  it("ends after 350ms below 80% of the threshold and reports when the silence began", () => {
+    const vad = createVad();
+    feed(vad, 0.1, 0, 100);
+    expect(feed(vad, 0.021, 120, 600)).toEqual([]); // 0.025 × 0.8 より上なら話し続けている
+    expect(vad.lastSpeechAt).toBe(600);
+    expect(feed(vad, 0.019, 620, 960)).toEqual([]);
+    expect(vad.update(0.019, 970)).toEqual({ type: "offset", at: 620 });
+    expect(vad.speaking).toBe(false);
+  });
+});
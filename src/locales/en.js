@@ -0,0 +1,511 @@
+// ====== English catalog ======
+// Keep the keys in sync with ja.js.
+
+export default {
+  app: {
+    title: "Yes/No Speaking Practice (Simple)",
+    uiLanguage: "Display language",
+  },
+  common: {
+    close: "Close",
+    closeEsc: "Close (Esc)",
+    cancel: "Cancel",
+    delete: "Delete",
+    download: "Download",
+    loading: "Loading…",
+    itemCount: { one: "{count} item", other: "{count} items" },
+  },
+  storage: {
+    loadFailed: "Could not load saved data ({detail}). Changes made now will not be saved.",
+    saveFailed: "Saving failed ({key}: {detail})",
+    schemaTooNew: "Saved data is version {version}, which is newer than this app, so it cannot be loaded",
+    retry: "Retry",
+    exportJson: "Save as JSON",
+    warnings: {
+      itemsRestored: "Saved data was corrupted, so it was restored from the backup of {date}",
+      itemsReset: "Saved data was corrupted, so the default questions are shown",
+      scheduleReset: "The review schedule was corrupted and has been reset",
+      historyReset: "The practice history was corrupted and has been reset",
+      profilesReset: "The learner list was corrupted and has been reset",
+    },
+  },
+  session: {
+    topic: "Topic:",
+    allTopics: "All",
+    start: "Start a {count}-question session on this topic",
+    due: { one: "Due for review: {count} item", other: "Due for review: {count} items" },
+    progress: "Progress: {current} / {total}",
+  },
+  question: {
+    label: "Question",
+    empty: "No question",
+    yesExample: "Yes example:",
+    noExample: "No example:",
+    answerExample: "Example answer:",
+  },
+  controls: {
+    ask: "Read question → start practice",
+    practiceSec: "Practice time (sec)",
+    useTTS: "Read aloud",
+    random: "Random",
+    record: "Record",
+    replayInReveal: "Replay my voice when revealing",
+    state: "State: {phase}",
+    phase: { idle: "idle", practice: "practicing", reveal: "revealing", paused: "paused" },
+    resume: "▶ Resume",
+    pause: "⏸ Pause",
+    shortcuts: "Keyboard shortcuts",
+    recError: "Recognition error: {code}",
+  },
+  practiceMode: {
+    label: "Practice:",
+    modes: { answer: "Answer questions", shadowing: "Shadowing", dictation: "Dictation" },
+  },
+  shadowing: {
+    label: "Shadowing (repeat after the model)",
+    position: "{current} / {total}",
+    empty: "No sample sentences",
+    phase: {
+      idle: "Press ▶ to play",
+      playing: "Playing the model… (repeat {current} of {total})",
+      listening: "Your turn! (repeat {current} of {total})",
+      graded: "Repeat {current} of {total} graded",
+    },
+    repeat: "#{current} {rate}x",
+    silent: "(nothing heard)",
+    play: "▶ Play and repeat",
+    stop: "■ Stop",
+    restart: "Start over",
+    previous: "◀ Previous",
+    next: "Next ▶",
+    repeats: "Repeats",
+    slower: "Slower at first",
+  },
+  dictation: {
+    label: "Dictation (listen and type)",
+    play: "🔊 Play",
+    slow: "🐢 Slowly",
+    placeholder: "Type what you hear and press Enter",
+    score: "{score} points",
+    errors: { one: "{count} wrong character", other: "{count} wrong characters" },
+    perfect: "Perfect!",
+    enterNext: "Press Enter for the next sentence",
+    parts: { missing: "Missing", extra: "Extra" },
+  },
+  target: {
+    label: "Answers:",
+    modes: { both: "Both yes and no", yes: "Answer yes", no: "Answer no", mixed: "Alternate yes / no" },
+    speak: "Read out the required answer",
+    answerWith: "Answer with {target}",
+  },
+  selection: {
+    select: "Select",
+    count: { one: "{count} item selected", other: "{count} items selected" },
+    selectShown: "Select all {count} shown",
+    clear: "Clear selection",
+    topic: "Topic:",
+    topicHint: "New or existing topic",
+    move: "Apply",
+    delete: "Delete {count}",
+    confirmDelete: { one: "Delete the selected item? (You can undo this)", other: "Delete the {count} selected items? (You can undo this)" },
+  },
+  duplicates: {
+    find: "Find duplicates",
+    title: { one: "{count} possible duplicate group", other: "{count} possible duplicate groups" },
+    none: "No duplicate questions found",
+    exact: "Same question",
+    near: "Very similar questions",
+    merge: "Merge into #{id}",
+    ignore: "Not a duplicate",
+  },
+  voice: {
+    label: "Voice ({lang})",
+    default: "Default",
+    speed: "Speed:",
+    pitch: "Pitch:",
+    test: "🔊 Test (current settings)",
+  },
+  mic: {
+    label: "Microphone:",
+    unnamed: "Microphone",
+    reload: "Reload",
+    level: "Input level",
+    speaking: "Speech detected",
+    recalibrate: "Re-measure noise (stay quiet for 1 s)",
+    threshold: "Speech threshold",
+    autoEnd: "Reveal early once I stop speaking",
+    silence: "Silence",
+    silenceUnit: "sec",
+    errors: {
+      denied: "Microphone access is blocked. Allow it from the microphone icon in the address bar (or the site settings).",
+      insecure: "The microphone is not available on this page. Open it over https or on localhost.",
+      notFound: "No microphone was found. Check the connection and press Reload.",
+      busy: "Could not open the microphone. Check that no other app (such as a meeting app) is using it.",
+      constraint: "The selected microphone is not available. Please pick another one.",
+      unsupported: "This browser cannot use the microphone.",
+      unknown: "Could not access the microphone. Please check your browser permissions and the microphone connection.",
+    },
+  },
+  recognition: {
+    label: "Speech recognition:",
+    unavailable: " (not available in this browser)",
+    endpoint: "Endpoint:",
+    mockScript: "Script (one line = one utterance, blank line = silence)",
+    backends: {
+      webspeech: "Web Speech (built into the browser)",
+      http: "Local transcription server (HTTP)",
+      mock: "Mock (plays a script)",
+    },
+  },
+  diagnostics: {
+    title: "🔧 Diagnostics (when it doesn't hear you)",
+    status: { backend: "Recognizer", permission: "Mic permission", mic: "Microphone in use", online: "Network", listening: "Listening" },
+    unknown: "unknown",
+    noStream: "(not connected)",
+    copy: "Copy log",
+    copied: "Copied",
+    clear: "Clear log",
+    empty: "Nothing logged yet. Recognition results appear here once you start practicing.",
+    noDecision: "no decision",
+    restart: "restarting",
+    kinds: { listen: "listen", interim: "interim", final: "final", end: "end", error: "error", permission: "permission", mic: "mic", check: "check" },
+  },
+  micCheck: {
+    open: "🎙 Mic check",
+    title: "Microphone check",
+    steps: { device: "1. Mic", level: "2. Level", noise: "3. Noise", phrase: "4. Recognition" },
+    device: {
+      hint: "Pick the microphone to use and press \"Use this mic\". Choose \"Allow\" if the browser asks.",
+      start: "Use this mic",
+      ready: "Microphone connected.",
+    },
+    level: {
+      hint: "Say something in your normal voice. Your voice is getting through when the green bar passes the red line.",
+      waiting: "Waiting for your voice…",
+      heard: "Your voice is getting through.",
+      trouble: "If the bar doesn't move, check that the mic isn't muted and check the input device and volume in your system settings.",
+    },
+    noise: {
+      hint: "Press the button and stay quiet for {seconds} seconds to measure the background noise.",
+      measure: "Measure noise",
+      measuring: "Stay quiet…",
+      quiet: "Nice and quiet.",
+      ok: "A little background noise, but that's fine.",
+      noisy: "It's noisy. Move somewhere quieter or use a headset mic.",
+    },
+    phrase: {
+      hint: "Press the button and say \"{word}\".",
+      start: "Recognition test",
+      listening: "Go ahead…",
+      ok: "Heard you correctly. You're all set!",
+      wrong: "Something was heard, but not recognized as \"{word}\". Say it again clearly, or check the practice language.",
+      nothing: "Nothing was heard. Check the recognizer and your network.",
+      error: "Recognition error: {code} (see the diagnostics log)",
+    },
+    log: { micReady: "mic connected", noise: "noise floor {value}", phrase: "test \"{word}\"" },
+    back: "Back",
+    next: "Next",
+    skip: "Skip",
+    summary: "{passed} of {total} checks OK",
+  },
+  offline: {
+    online: "Online",
+    offline: "Offline",
+    title: "What works offline",
+    app: {
+      ready: "The app is saved on this device (it starts without a connection)",
+      updated: "A new version was saved. Reload to use it",
+      installing: "Saving the app for offline use…",
+      disabled: "The app is not saved when running on the dev server",
+      unsupported: "This browser cannot start the app offline",
+      error: "Could not save the app for offline use",
+    },
+    reload: "Reload",
+    decks: "Scripts, stats and recordings are stored on this device",
+    voices: "{lang} voices: {count} of {total} work offline",
+    noVoices: "No {lang} voice works offline (download a voice in your OS settings)",
+    localVoice: "on device",
+    recognitionOk: "Speech recognition \"{backend}\" works offline",
+    recognitionNg: "Speech recognition \"{backend}\" needs a network connection",
+    recognitionHint: "Answers cannot be recognized while offline. If a transcription server runs on this device, choose HTTP.",
+  },
+  tabs: {
+    editor: "Scripts",
+    stats: "Stats",
+    recordings: "Recordings",
+  },
+  editor: {
+    title: "Script list",
+    add: "Add new",
+    generateAll: "Generate all answers",
+    generatedAll: { one: "Generated sample answers for {count} item", other: "Generated sample answers for {count} items" },
+    nothingToGenerate: "No items need generated answers",
+    export: "Export",
+    backups: "Backups",
+    share: "Share",
+    import: "Import",
+    defaultLang: "Default language:",
+    defaultLangHint: "(used for questions without a language)",
+    langDefault: "Default ({lang})",
+    id: "ID: {id}",
+    topic: "Topic",
+    lang: "Lang",
+    question: "Question",
+    yesSample: "Yes Sample",
+    noSample: "No Sample",
+    generate: "Generate answers",
+    confirmDelete: "Delete this item?",
+    generateEnglishOnly: "Automatic generation only supports English questions",
+    generateFailed: "Could not parse this as a yes/no question",
+    generateChoicesFailed: "Could not parse this as an either/or question (A or B)",
+    type: "Type",
+    choices: "Choices (one per line)",
+    modelAnswers: "Model answers (optional, one per line)",
+    acceptedAnswers: "Accepted answers (one per line)",
+    acceptedAnswersHint: "An answer close to any of these counts as correct. Listing both a short answer and a full sentence makes grading more reliable.",
+    tags: "Tags",
+    tagsHint: "comma-separated (e.g. past tense, travel)",
+    difficulty: "Difficulty",
+    difficultyNone: "Not set",
+    emptyDeck: "This deck has no questions yet. Add one with \"Add new\" or import a file.",
+    undo: "Undo (Ctrl+Z)",
+    redo: "Redo (Ctrl+Shift+Z)",
+    undoWhat: "Undo: {what}",
+    redoWhat: "Redo: {what}",
+    undoLabels: {
+      edit: "edit",
+      add: "add item",
+      delete: "delete item",
+      generate: "generate answers",
+      import: "import",
+      bulkTopic: "change topic",
+      bulkDelete: "delete selected",
+      merge: "merge duplicates",
+      deck: "deck change",
+      restore: "restore backup",
+    },
+  },
+  questionTypes: {
+    types: {
+      yesno: "Yes/No question",
+      choice: "Either/or (A or B)",
+      tag: "Tag question",
+      wh: "Wh- question",
+    },
+    targets: { answer: "Answer" },
+  },
+  profiles: {
+    label: "Learner:",
+    add: "+ Learner",
+    rename: "Rename",
+    promptNew: "Learner name",
+    promptRename: "New name",
+    defaultName: "Learner {number}",
+    lastProfile: "The last learner cannot be deleted",
+    confirmDelete: "Delete learner \"{name}\" with their stats, settings and recordings?",
+    report: "Teacher report",
+  },
+  decks: {
+    label: "Deck:",
+    option: "{name} ({count})",
+    add: "New deck",
+    rename: "Rename",
+    duplicate: "Duplicate",
+    promptNew: "Deck name",
+    promptRename: "New deck name",
+    defaultName: "Deck {number}",
+    copyName: "Copy of {name}",
+    confirmDelete: {
+      one: "Delete the deck \"{name}\" ({count} question)? (A backup is made first.)",
+      other: "Delete the deck \"{name}\" ({count} questions)? (A backup is made first.)",
+    },
+    lastDeck: "The last deck cannot be deleted",
+  },
+  filters: {
+    search: "Search (question, answers, topic, tags, ID)",
+    tag: "Tag",
+    allTags: "All tags",
+    difficulty: "Difficulty",
+    allDifficulties: "All difficulties",
+    noDifficulty: "Not set",
+    count: "{shown} / {total}",
+    clear: "Clear filters",
+    noMatch: "No questions match these filters.",
+    showMore: "Show more ({count} left)",
+  },
+  difficulty: {
+    1: "Easy",
+    2: "Medium",
+    3: "Hard",
+  },
+  stats: {
+    title: "Practice history",
+    empty: "No history yet. Statistics will appear here once you practice.",
+    total: "Answers",
+    accuracy: "Accuracy",
+    streak: "Streak",
+    days: { one: "{count} day", other: "{count} days" },
+    longest: { one: "Longest {count} day", other: "Longest {count} days" },
+    avgFirstAnswer: "Avg. first answer",
+    avgLatency: "Avg. reaction time",
+    latencyHint: "end of question → voice",
+    avgScore: "Avg. score",
+    scoreHint: "fluency & pronunciation",
+    daily: "Daily activity ({count} days)",
+    dayScore: " (score {score})",
+    byTopic: "Accuracy by topic",
+    weakest: "Weakest questions",
+    noWeakest: "No weak questions.",
+    clear: "Delete history",
+    confirmClear: "Delete all practice history?",
+  },
+  report: {
+    title: "Teacher report",
+    period: "Period:",
+    periods: { 7: "Last 7 days", 30: "Last 30 days", 0: "All time" },
+    exportCsv: "Save as CSV",
+    print: "Print",
+    generated: "Generated: {date} · {period}",
+    learner: "Learner",
+    sessions: "Sessions",
+    attempts: "Answers",
+    correct: "Correct",
+    accuracy: "Accuracy",
+    accuracyPercent: "Accuracy (%)",
+    avgFluency: "Avg. score",
+    lastPracticed: "Last practiced",
+    byTopic: "Accuracy by topic (answers)",
+    sessionList: "Session log",
+    freePractice: "Free practice",
+    date: "Date",
+    topics: "Topics",
+    empty: "No practice in this period",
+  },
+  recordings: {
+    title: "Recording archive",
+    empty: "No recordings yet. They are saved automatically while you practice.",
+    all: "All ({count})",
+    downloadShown: "Download shown",
+    deleteShown: "Delete shown",
+    confirmDeleteShown: { one: "Delete {count} recording?", other: "Delete {count} recordings?" },
+    compare: "A/B compare",
+    confirmDelete: "Delete this recording?",
+  },
+  feedback: {
+    title: "Feedback: {question}",
+    latency: "Response in {value}s",
+    compare: "▶ My answer → model",
+    score: "Score {score}",
+    match: "Match",
+    confidence: "Clarity",
+    rate: "Pace",
+    hesitation: "Smoothness",
+    hesitations: { one: "{count} pause", other: "{count} pauses" },
+    words: {
+      missed: "Not said",
+      mispronounced: "Sounded like a different word",
+      unclear: "Hard to make out",
+    },
+    grade: {
+      none: "No answer was heard",
+      correct: "Well answered",
+      wrong_subject: "Wrong subject ({got} → {want}). Example: {expected}",
+      wrong_aux: "Wrong auxiliary ({got} → {want}). Example: {expected}",
+      polarity_only: "Answer with the full short form, not just yes/no. Example: {expected}",
+      both_choices: "Pick one of the choices. Example: {expected}",
+      wrong_answer: "That's not one of the expected answers. Example: {expected}",
+      yes_no_to_open: "Answer with content, not yes or no. Example: {expected}",
+      unrecognized: "Could not recognize this as an answer",
+    },
+    opposite: "Opposite answer (this one needed {target})",
+  },
+  summary: {
+    title: "Session complete. Well done!",
+    correct: "Correct {correct} / {total} ({percent}%)",
+    avgFirstAnswer: " · Avg. first answer {value}s",
+    avgLatency: " · Avg. reaction time {value}s",
+    avgScore: " · Avg. score {score}",
+    points: { one: "{score} pt", other: "{score} pts" },
+    retryMissed: "Review missed questions ({count})",
+  },
+  shortcuts: {
+    title: "Shortcuts",
+    voiceCommands: "Voice commands during practice:",
+    actions: {
+      start: "Read question → start practice",
+      repeat: "Read the question again",
+      reveal: "Reveal now",
+      skip: "Skip (next question)",
+      previous: "Previous question",
+      pause: "Pause / resume",
+      session: "Start a session on this topic",
+      nextTopic: "Switch topic",
+      slower: "Read more slowly",
+      faster: "Read faster",
+      help: "Show shortcuts",
+      undo: "Undo a script list edit",
+      redo: "Redo a script list edit",
+    },
+  },
+  share: {
+    title: "Share: {name}",
+    scope: "Scope:",
+    wholeDeck: "Whole deck",
+    link: "Share link",
+    copy: "Copy",
+    copied: "Copied",
+    qrAlt: "QR code of the share link",
+    enlarge: "Show large",
+    tapToClose: "Click to close",
+    tooLong: "Too many questions to fit in a QR code. Pick a topic to split the deck, or send the link instead.",
+    hint: "The questions are stored in the link itself and are not sent to any server. Opening it shows a preview before importing.",
+    opened: "Share link",
+    errors: {
+      format: "Could not read the share link (it may have been cut off)",
+      version: "This link was made by a newer version of the app. Please update the app",
+      encode: "Could not create the share link. Please close and open this dialog again",
+    },
+  },
+  backup: {
+    title: "Backups",
+    now: "Back up now",
+    empty: "No backups yet.",
+    restore: "Restore",
+    confirmRestore: "Restore this backup? (The current content will be backed up too.)",
+    reasons: { auto: "automatic", manual: "manual", import: "before import", restore: "before restore", migration: "migration", deckDelete: "before deleting a deck" },
+  },
+  import: {
+    title: "Import: {name}",
+    file: "file",
+    format: "Format",
+    generate: "Generate empty sample answers",
+    readFailed: "Could not read the file",
+    none: "(none)",
+    column: "Column {index}",
+    row: "Row",
+    validation: "Validation",
+    auto: "(auto)",
+    moreRows: { one: "…and {count} more row", other: "…and {count} more rows" },
+    invalidRows: { one: "{count} row has errors (it will not be imported)", other: "{count} rows have errors (they will not be imported)" },
+    rowError: "Row {row}: {messages}",
+    modes: { append: "Append", merge: "Merge", replace: "Replace" },
+    mergeKey: "Match by",
+    mergeKeys: { id: "ID", question: "Question" },
+    preview: "{valid} valid rows → added {added} / updated {updated} / duplicates skipped {duplicates} / IDs renumbered {renumbered}",
+    confirmReplace: { one: "This replaces the current {count} item. Continue?", other: "This replaces the current {count} items. Continue?" },
+    apply: "Import",
+    errors: {
+      notArray: "Not a JSON array",
+    },
+    issues: {
+      invalidId: "ID \"{id}\" is not a positive integer",
+      duplicateId: "ID {id} is duplicated (it will be renumbered)",
+      missingField: "{field} is missing",
+      unsupportedLang: "Language \"{lang}\" is not supported (the default language is used)",
+      generated: "Sample answers were generated",
+      duplicateQuestion: "The same question appears more than once in the file",
+      unsupportedType: "Type \"{type}\" is not supported (imported as a yes/no question)",
+      invalidDifficulty: "Difficulty \"{value}\" is not 1-3 (left unset)",
+    },
+  },
+};
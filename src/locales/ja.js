@@ -0,0 +1,508 @@
+// ====== 日本語カタログ ======
+// キーを追加したら en.js にも同じキーを追加すること。
+
+export default {
+  app: {
+    title: "Yes/No スピーキング練習（シンプル）",
+    uiLanguage: "表示言語",
+  },
+  common: {
+    close: "閉じる",
+    closeEsc: "閉じる（Esc）",
+    cancel: "キャンセル",
+    delete: "削除",
+    download: "ダウンロード",
+    loading: "読み込み中…",
+    itemCount: "{count} 件",
+  },
+  storage: {
+    loadFailed: "保存データを読み込めませんでした（{detail}）。この状態での変更は保存されません。",
+    saveFailed: "保存に失敗しました（{key}: {detail}）",
+    schemaTooNew: "保存データのバージョン ({version}) がこのアプリより新しいため読み込めません",
+    retry: "再試行",
+    exportJson: "JSONで退避",
+    warnings: {
+      itemsRestored: "保存データが壊れていたため、{date} のバックアップから復元しました",
+      itemsReset: "保存データが壊れていたため、初期データを表示しています",
+      scheduleReset: "復習スケジュールが壊れていたため、リセットしました",
+      historyReset: "学習記録が壊れていたため、リセットしました",
+      profilesReset: "学習者の一覧が壊れていたため、リセットしました",
+    },
+  },
+  session: {
+    topic: "テーマ:",
+    allTopics: "All",
+    start: "このテーマで{count}問セッション開始",
+    due: "復習期限: {count} 件",
+    progress: "進行: {current} / {total}",
+  },
+  question: {
+    label: "Question",
+    empty: "No question",
+    yesExample: "Yes 例:",
+    noExample: "No 例:",
+    answerExample: "答え例:",
+  },
+  controls: {
+    ask: "質問を読む → 練習開始",
+    practiceSec: "練習時間（秒）",
+    useTTS: "音声読み上げ",
+    random: "ランダム",
+    record: "録音",
+    replayInReveal: "答え合わせで自分の声を再生",
+    state: "状態: {phase}",
+    phase: { idle: "待機中", practice: "練習中", reveal: "答え合わせ", paused: "一時停止中" },
+    resume: "▶ 再開",
+    pause: "⏸ 一時停止",
+    shortcuts: "ショートカット一覧",
+    recError: "認識エラー: {code}",
+  },
+  practiceMode: {
+    label: "練習:",
+    modes: { answer: "質問に答える", shadowing: "シャドーイング", dictation: "ディクテーション" },
+  },
+  shadowing: {
+    label: "シャドーイング（お手本の後にまねして言う）",
+    position: "{current} / {total}",
+    empty: "お手本の文がありません",
+    phase: {
+      idle: "▶ で読み上げます",
+      playing: "お手本を再生中…（{current} / {total} 回目）",
+      listening: "どうぞ！（{current} / {total} 回目）",
+      graded: "{current} / {total} 回目の採点",
+    },
+    repeat: "{current} 回目 {rate}x",
+    silent: "（聞き取れませんでした）",
+    play: "▶ 再生してまねする",
+    stop: "■ 停止",
+    restart: "最初の回から",
+    previous: "◀ 前の文",
+    next: "次の文 ▶",
+    repeats: "回数",
+    slower: "最初はゆっくり",
+  },
+  dictation: {
+    label: "ディクテーション（聞いて書き取る）",
+    play: "🔊 再生",
+    slow: "🐢 ゆっくり",
+    placeholder: "聞こえた文を入力して Enter",
+    score: "{score} 点",
+    errors: "間違い {count} 文字",
+    perfect: "完璧です！",
+    enterNext: "Enter で次の文へ",
+    parts: { missing: "抜けている文字", extra: "余分な文字" },
+  },
+  target: {
+    label: "答え:",
+    modes: { both: "Yes と No の両方", yes: "Yes で答える", no: "No で答える", mixed: "Yes / No を交互に" },
+    speak: "指定を読み上げる",
+    answerWith: "{target} で答える",
+  },
+  selection: {
+    select: "選択",
+    count: "{count} 件を選択中",
+    selectShown: "表示中の {count} 件を選択",
+    clear: "選択を解除",
+    topic: "テーマ:",
+    topicHint: "新しいテーマ・既存のテーマ",
+    move: "変更",
+    delete: "{count} 件を削除",
+    confirmDelete: "選択した {count} 件を削除しますか？（元に戻せます）",
+  },
+  duplicates: {
+    find: "重複チェック",
+    title: "重複しているかもしれない問題: {count} 組",
+    none: "重複している問題は見つかりませんでした",
+    exact: "同じ問題文",
+    near: "よく似た問題文",
+    merge: "#{id} に統合",
+    ignore: "重複ではない",
+  },
+  voice: {
+    label: "Voice（{lang}）",
+    default: "Default",
+    speed: "Speed:",
+    pitch: "Pitch:",
+    test: "🔊 テスト再生（現在の設定）",
+  },
+  mic: {
+    label: "マイク:",
+    unnamed: "Microphone",
+    reload: "再読み込み",
+    level: "入力レベル",
+    speaking: "発話検出",
+    recalibrate: "ノイズ再測定（1秒静かに）",
+    threshold: "発話しきい値",
+    autoEnd: "話し終わったら早めに答え合わせ",
+    silence: "無音",
+    silenceUnit: "秒",
+    errors: {
+      denied: "マイクの使用が許可されていません。アドレスバーのマイクのアイコン（またはサイトの設定）から許可してください。",
+      insecure: "このページではマイクを使えません。https か localhost で開いてください。",
+      notFound: "マイクが見つかりません。接続を確認して「再読み込み」を押してください。",
+      busy: "マイクを開けませんでした。他のアプリ（会議アプリなど）が使っていないか確認してください。",
+      constraint: "選んだマイクが見つかりません。別のマイクを選んでください。",
+      unsupported: "このブラウザではマイクを使えません。",
+      unknown: "マイクにアクセスできませんでした。ブラウザの権限やマイクの接続を確認してください。",
+    },
+  },
+  recognition: {
+    label: "音声認識:",
+    unavailable: "（このブラウザでは使えません）",
+    endpoint: "エンドポイント:",
+    mockScript: "台本（1行 = 1回の発話、空行は無言）",
+    backends: {
+      webspeech: "Web Speech (ブラウザ内蔵)",
+      http: "ローカル文字起こしサーバ (HTTP)",
+      mock: "モック（台本を再生）",
+    },
+  },
+  diagnostics: {
+    title: "🔧 診断（聞き取ってくれないとき）",
+    status: { backend: "認識エンジン", permission: "マイクの権限", mic: "使用中のマイク", online: "ネットワーク", listening: "認識中" },
+    unknown: "不明",
+    noStream: "（未接続）",
+    copy: "記録をコピー",
+    copied: "コピーしました",
+    clear: "記録を消去",
+    empty: "まだ記録はありません。練習を始めると認識の結果がここに出ます。",
+    noDecision: "判定なし",
+    restart: "再開します",
+    kinds: { listen: "認識開始", interim: "途中", final: "確定", end: "認識終了", error: "エラー", permission: "権限", mic: "マイク", check: "チェック" },
+  },
+  micCheck: {
+    open: "🎙 マイクチェック",
+    title: "マイクチェック",
+    steps: { device: "1. マイク", level: "2. 音量", noise: "3. 雑音", phrase: "4. 聞き取り" },
+    device: {
+      hint: "使うマイクを選んで「マイクを使う」を押してください。許可を求められたら「許可」を選びます。",
+      start: "マイクを使う",
+      ready: "マイクにつながりました。",
+    },
+    level: {
+      hint: "ふつうの声で何か話してください。緑のバーが赤い線を超えれば声が届いています。",
+      waiting: "声を待っています…",
+      heard: "声が届いています。",
+      trouble: "バーが動かないときは、マイクのミュート、OS の入力デバイス・音量の設定を確認してください。",
+    },
+    noise: {
+      hint: "ボタンを押したら {seconds} 秒間静かにしてください。周りの雑音の大きさを測ります。",
+      measure: "雑音を測る",
+      measuring: "静かにしてください…",
+      quiet: "静かです。",
+      ok: "少し雑音がありますが問題ありません。",
+      noisy: "雑音が大きいです。静かな場所に移るか、ヘッドセットのマイクを使ってください。",
+    },
+    phrase: {
+      hint: "ボタンを押して「{word}」と言ってください。",
+      start: "聞き取りテスト",
+      listening: "どうぞ…",
+      ok: "正しく聞き取れました。準備完了です！",
+      wrong: "聞き取れましたが「{word}」と判定できませんでした。はっきり言い直すか、練習の言語を確認してください。",
+      nothing: "何も聞き取れませんでした。認識エンジンとネットワークを確認してください。",
+      error: "認識エラー: {code}（診断の記録を確認してください）",
+    },
+    log: { micReady: "マイクにつながった", noise: "ノイズフロア {value}", phrase: "「{word}」のテスト" },
+    back: "戻る",
+    next: "次へ",
+    skip: "飛ばす",
+    summary: "{total} 項目中 {passed} 項目 OK",
+  },
+  offline: {
+    online: "オンライン",
+    offline: "オフライン",
+    title: "オフラインで使える機能",
+    app: {
+      ready: "アプリ本体はこの端末に保存済み（電波が無くても起動できます）",
+      updated: "新しい版を保存しました。再読み込みで反映されます",
+      installing: "オフライン用にアプリを保存しています…",
+      disabled: "開発サーバーではアプリを保存しません",
+      unsupported: "このブラウザはオフライン起動に対応していません",
+      error: "アプリを保存できませんでした",
+    },
+    reload: "再読み込み",
+    decks: "問題・学習記録・録音はこの端末に保存されています",
+    voices: "{lang} の声: {count} / {total} 個がオフラインで使えます",
+    noVoices: "{lang} でオフラインで使える声がありません（OS の設定で音声をダウンロードしてください）",
+    localVoice: "端末内",
+    recognitionOk: "音声認識「{backend}」はオフラインで使えます",
+    recognitionNg: "音声認識「{backend}」はネットワークが必要です",
+    recognitionHint: "オフラインの間は答えを聞き取れません。この端末で文字起こしサーバーを動かしている場合は HTTP を選んでください。",
+  },
+  tabs: {
+    editor: "スクリプト",
+    stats: "統計",
+    recordings: "録音",
+  },
+  editor: {
+    title: "スクリプト一覧",
+    add: "新規追加",
+    generateAll: "回答一括生成",
+    generatedAll: "{count} 件のサンプル回答を生成しました",
+    nothingToGenerate: "生成が必要な項目はありません",
+    export: "エクスポート",
+    backups: "バックアップ",
+    share: "共有",
+    import: "インポート",
+    defaultLang: "既定の言語:",
+    defaultLangHint: "（言語を指定していない問題に使います）",
+    langDefault: "既定（{lang}）",
+    id: "ID: {id}",
+    topic: "Topic",
+    lang: "Lang",
+    question: "Question",
+    yesSample: "Yes Sample",
+    noSample: "No Sample",
+    generate: "回答を自動生成",
+    confirmDelete: "削除しますか？",
+    generateEnglishOnly: "自動生成は英語の問題のみ対応しています",
+    generateFailed: "Yes/No 疑問文として解析できませんでした",
+    generateChoicesFailed: "選択疑問文（A or B）として解析できませんでした",
+    type: "種類",
+    choices: "選択肢（1行に1つ）",
+    modelAnswers: "お手本の答え（任意・1行に1つ）",
+    acceptedAnswers: "正解とする答え（1行に1つ）",
+    acceptedAnswersHint: "どれかとほぼ同じ内容を言えたら正解です。短い答えと文の答えの両方を書いておくと採点が安定します。",
+    tags: "Tags",
+    tagsHint: "カンマ区切り（例: 過去形, 旅行）",
+    difficulty: "難易度",
+    difficultyNone: "未設定",
+    emptyDeck: "このデッキにはまだ問題がありません。「新規追加」かインポートで追加してください。",
+    undo: "元に戻す（Ctrl+Z）",
+    redo: "やり直す（Ctrl+Shift+Z）",
+    undoWhat: "元に戻す: {what}",
+    redoWhat: "やり直す: {what}",
+    undoLabels: {
+      edit: "編集",
+      add: "問題の追加",
+      delete: "問題の削除",
+      generate: "答えの生成",
+      import: "インポート",
+      bulkTopic: "テーマの一括変更",
+      bulkDelete: "一括削除",
+      merge: "重複の統合",
+      deck: "デッキの操作",
+      restore: "バックアップの復元",
+    },
+  },
+  questionTypes: {
+    types: {
+      yesno: "Yes/No 疑問文",
+      choice: "選択疑問文 (A or B)",
+      tag: "付加疑問文",
+      wh: "疑問詞疑問文 (wh-)",
+    },
+    targets: { answer: "答え" },
+  },
+  profiles: {
+    label: "学習者:",
+    add: "＋ 学習者",
+    rename: "名前を変更",
+    promptNew: "学習者の名前",
+    promptRename: "新しい名前",
+    defaultName: "学習者 {number}",
+    lastProfile: "最後の学習者は削除できません",
+    confirmDelete: "学習者「{name}」と、その学習記録・設定・録音を削除しますか？",
+    report: "先生用レポート",
+  },
+  decks: {
+    label: "デッキ:",
+    option: "{name}（{count}）",
+    add: "新規デッキ",
+    rename: "名前変更",
+    duplicate: "複製",
+    promptNew: "デッキ名",
+    promptRename: "新しいデッキ名",
+    defaultName: "デッキ {number}",
+    copyName: "{name} のコピー",
+    confirmDelete: "デッキ「{name}」（{count} 問）を削除しますか？（削除前にバックアップされます）",
+    lastDeck: "最後のデッキは削除できません",
+  },
+  filters: {
+    search: "検索（問題文・回答・テーマ・タグ・ID）",
+    tag: "タグ",
+    allTags: "すべてのタグ",
+    difficulty: "難易度",
+    allDifficulties: "すべての難易度",
+    noDifficulty: "未設定",
+    count: "{shown} / {total} 件",
+    clear: "絞り込みを解除",
+    noMatch: "条件に合う問題はありません。",
+    showMore: "さらに表示（残り {count} 件）",
+  },
+  difficulty: {
+    1: "やさしい",
+    2: "ふつう",
+    3: "むずかしい",
+  },
+  stats: {
+    title: "学習記録",
+    empty: "まだ記録がありません。練習すると ここに統計が表示されます。",
+    total: "回答数",
+    accuracy: "正答率",
+    streak: "連続日数",
+    days: "{count} 日",
+    longest: "最長 {count} 日",
+    avgFirstAnswer: "平均初回応答",
+    avgLatency: "平均反応時間",
+    latencyHint: "読み上げ後 → 発声",
+    avgScore: "平均スコア",
+    scoreHint: "流暢さ・発音",
+    daily: "日別アクティビティ（{count}日）",
+    dayScore: "（スコア {score}）",
+    byTopic: "テーマ別正答率",
+    weakest: "苦手な問題",
+    noWeakest: "苦手な問題はありません。",
+    clear: "記録を削除",
+    confirmClear: "学習記録をすべて削除しますか？",
+  },
+  report: {
+    title: "先生用レポート",
+    period: "期間:",
+    periods: { 7: "直近 7 日", 30: "直近 30 日", 0: "全期間" },
+    exportCsv: "CSV で保存",
+    print: "印刷",
+    generated: "作成: {date} ・ {period}",
+    learner: "学習者",
+    sessions: "セッション数",
+    attempts: "回答数",
+    correct: "正解数",
+    accuracy: "正答率",
+    accuracyPercent: "正答率 (%)",
+    avgFluency: "平均スコア",
+    lastPracticed: "最終練習日",
+    byTopic: "テーマ別の正答率（解答数）",
+    sessionList: "セッションの記録",
+    freePractice: "自由練習",
+    date: "日時",
+    topics: "テーマ",
+    empty: "この期間の記録はありません",
+  },
+  recordings: {
+    title: "録音アーカイブ",
+    empty: "録音はまだありません。練習すると自動で保存されます。",
+    all: "すべて（{count}）",
+    downloadShown: "表示中をダウンロード",
+    deleteShown: "表示中を削除",
+    confirmDeleteShown: "{count} 件の録音を削除しますか？",
+    compare: "A/B 比較",
+    confirmDelete: "この録音を削除しますか？",
+  },
+  feedback: {
+    title: "Feedback: {question}",
+    latency: "応答まで {value}s",
+    compare: "▶ 自分の回答 → お手本",
+    score: "スコア {score}",
+    match: "一致",
+    confidence: "明瞭さ",
+    rate: "速さ",
+    hesitation: "よどみ無さ",
+    hesitations: "{count} 回",
+    words: {
+      missed: "言えていません",
+      mispronounced: "別の語に聞こえました",
+      unclear: "聞き取りにくい発音でした",
+    },
+    grade: {
+      none: "回答が聞き取れませんでした",
+      correct: "正しい答え方です",
+      wrong_subject: "主語が違います（{got} → {want}）。例: {expected}",
+      wrong_aux: "助動詞が違います（{got} → {want}）。例: {expected}",
+      polarity_only: "Yes/No だけでなくサンプルの形で答えましょう。例: {expected}",
+      both_choices: "どちらか 1 つを選んで答えましょう。例: {expected}",
+      wrong_answer: "想定している答えと違います。例: {expected}",
+      yes_no_to_open: "この質問には Yes/No ではなく内容で答えましょう。例: {expected}",
+      unrecognized: "回答として認識できませんでした",
+    },
+    opposite: "逆の答えです（{target} で答える問題）",
+  },
+  summary: {
+    title: "セッション終了です。おつかれさま！",
+    correct: "正解 {correct} / {total}（{percent}%）",
+    avgFirstAnswer: " ・ 平均初回応答 {value}s",
+    avgLatency: " ・ 平均反応時間 {value}s",
+    avgScore: " ・ 平均スコア {score}",
+    points: "{score}点",
+    retryMissed: "間違えた問題を復習（{count}）",
+  },
+  shortcuts: {
+    title: "ショートカット",
+    voiceCommands: "練習中の音声コマンド:",
+    actions: {
+      start: "質問を読む → 練習開始",
+      repeat: "質問をもう一度読む",
+      reveal: "今すぐ答え合わせ",
+      skip: "スキップ（次の問題）",
+      previous: "前の問題",
+      pause: "一時停止 / 再開",
+      session: "このテーマでセッション開始",
+      nextTopic: "テーマを切り替え",
+      slower: "読み上げを遅く",
+      faster: "読み上げを速く",
+      help: "ショートカット一覧",
+      undo: "スクリプト一覧の編集を元に戻す",
+      redo: "スクリプト一覧の編集をやり直す",
+    },
+  },
+  share: {
+    title: "共有: {name}",
+    scope: "範囲:",
+    wholeDeck: "デッキ全体",
+    link: "共有リンク",
+    copy: "コピー",
+    copied: "コピーしました",
+    qrAlt: "共有リンクの QR コード",
+    enlarge: "大きく表示",
+    tapToClose: "クリックで閉じる",
+    tooLong: "問題が多すぎて QR コードに入りません。テーマを選んで分けるか、リンクを送ってください。",
+    hint: "問題はリンクの中に入っていて、サーバーには送られません。開くと取り込み前のプレビューが表示されます。",
+    opened: "共有リンク",
+    errors: {
+      format: "共有リンクを読み取れませんでした（途中で切れている可能性があります）",
+      version: "このリンクは新しい版のアプリで作られています。アプリを更新してください",
+      encode: "共有リンクを作れませんでした。もう一度開き直してください",
+    },
+  },
+  backup: {
+    title: "バックアップ",
+    now: "今すぐバックアップ",
+    empty: "バックアップはまだありません。",
+    restore: "復元",
+    confirmRestore: "このバックアップに戻しますか？（現在の内容もバックアップされます）",
+    reasons: { auto: "自動", manual: "手動", import: "インポート前", restore: "復元前", migration: "移行時", deckDelete: "デッキ削除前" },
+  },
+  import: {
+    title: "インポート: {name}",
+    file: "ファイル",
+    format: "形式",
+    generate: "空のサンプル回答を自動生成",
+    readFailed: "読み込みに失敗しました",
+    none: "（なし）",
+    column: "列 {index}",
+    row: "行",
+    validation: "検証",
+    auto: "（自動）",
+    moreRows: "…ほか {count} 行",
+    invalidRows: "{count} 行にエラーがあります（取り込まれません）",
+    rowError: "行 {row}: {messages}",
+    modes: { append: "追加", merge: "マージ", replace: "置き換え" },
+    mergeKey: "照合キー",
+    mergeKeys: { id: "ID", question: "問題文" },
+    preview: "有効 {valid} 行 → 追加 {added} / 更新 {updated} / 重複スキップ {duplicates} / ID振り直し {renumbered}",
+    confirmReplace: "現在の {count} 件を置き換えます。よろしいですか？",
+    apply: "取り込む",
+    errors: {
+      notArray: "JSON配列ではありません",
+    },
+    issues: {
+      invalidId: "ID \"{id}\" が正の整数ではありません",
+      duplicateId: "ID {id} が重複しています（振り直します）",
+      missingField: "{field} がありません",
+      unsupportedLang: "言語 \"{lang}\" には対応していません（既定の言語を使います）",
+      generated: "サンプル回答を自動生成しました",
+      duplicateQuestion: "同じ question がファイル内で重複しています",
+      unsupportedType: "種類 \"{type}\" には対応していません（Yes/No 疑問文として取り込みます）",
+      invalidDifficulty: "難易度 \"{value}\" は 1〜3 ではありません（未設定にします）",
+    },
+  },
+};
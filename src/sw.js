@@ -0,0 +1,37 @@
+// ====== Service worker ======
+// build 時に vite-plugin-sw.js が先頭へ self.__PRECACHE__ = { version, files } を書き足して dist/sw.js にする。
+// 同じオリジンの GET はキャッシュ優先、ページの読み込みはキャッシュした index.html を返す
+// （電波の悪い所でもすぐ起動できる。新しい版は裏で入れ替わり、次に開いたときに反映される）。
+// 別オリジン（文字起こしサーバーなど）と GET 以外には手を出さない。
+
+const { version, files } = self.__PRECACHE__ || { version: "dev", files: [] };
+const PREFIX = "yesno-trainer-";
+const CACHE = `${PREFIX}${version}`;
+const INDEX_URL = new URL("index.html", self.location).href;
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(
+    caches.open(CACHE)
+      .then(cache => cache.addAll(files.map(f => new URL(f, self.location).href)))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(keys.filter(k => k.startsWith(PREFIX) && k !== CACHE).map(k => caches.delete(k))))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  if (request.method !== "GET") return;
+  if (new URL(request.url).origin !== self.location.origin) return;
+  if (request.mode === "navigate") {
+    event.respondWith(caches.match(INDEX_URL).then(hit => hit || fetch(request)));
+    return;
+  }
+  event.respondWith(caches.match(request, { ignoreSearch: true }).then(hit => hit || fetch(request)));
+});
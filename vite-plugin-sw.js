@@ -0,0 +1,44 @@
+// ====== Service worker build plugin ======
+// build 時に src/sw.js の先頭へ precache する URL の一覧と版（中身のハッシュ）を書き足して sw.js を出力する。
+// 開発サーバーでは何もしない（service worker の登録も本番 build だけ。main.jsx を参照）。
+
+import { readFileSync, readdirSync } from 'node:fs'
+import { join, relative, sep } from 'node:path'
+import { createHash } from 'node:crypto'
+
+function listFiles(dir) {
+  return readdirSync(dir, { withFileTypes: true }).flatMap(e => {
+    const path = join(dir, e.name)
+    return e.isDirectory() ? listFiles(path) : [path]
+  })
+}
+
+export default function serviceWorker({ src = 'src/sw.js', fileName = 'sw.js' } = {}) {
+  let config
+  return {
+    name: 'yesno-service-worker',
+    apply: 'build',
+    enforce: 'post',
+    configResolved(resolved) { config = resolved },
+    generateBundle(_, bundle) {
+      const hash = createHash('sha256')
+      const files = []
+      for (const [name, out] of Object.entries(bundle)) {
+        if (name.endsWith('.map')) continue
+        files.push(name)
+        hash.update(name).update(out.type === 'chunk' ? out.code : out.source)
+      }
+      // public/ の中身（manifest・アイコン）はそのままコピーされる
+      const publicDir = config.publicDir
+      for (const path of publicDir ? listFiles(publicDir) : []) {
+        const name = relative(publicDir, path).split(sep).join('/')
+        files.push(name)
+        hash.update(name).update(readFileSync(path))
+      }
+      files.sort()
+      const precache = { version: hash.digest('hex').slice(0, 12), files: ['./', ...files] }
+      const source = `self.__PRECACHE__ = ${JSON.stringify(precache)};\n\n${readFileSync(join(config.root, src), 'utf8')}`
+      this.emitFile({ type: 'asset', fileName, source })
+    },
+  }
+}
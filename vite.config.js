@@ -1,8 +1,9 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
 import tailwindcss from '@tailwindcss/vite'  // ← ここを追加！
+import serviceWorker from './vite-plugin-sw.js'
 
 // https://vite.dev/config/
 export default defineConfig({
-  plugins: [react(), tailwindcss()],          // ← ここも追加！
+  plugins: [react(), tailwindcss(), serviceWorker()],          // ← ここも追加！
 })